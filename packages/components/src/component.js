@@ -5,7 +5,27 @@
  * to help identify performance bottlenecks.
  */
 
-import { ObservabilitySystem } from '@observablejs/core';
+import { ObservabilitySystem, getCurrentCause, traceRender, effect as createEffect } from '@observablejs/core';
+import { Renderer } from './renderer.js';
+import { scheduleUpdate } from './scheduler.js';
+
+// Frames for the renders currently running synchronously, innermost last.
+// Child renders add their time to the enclosing frame so parents can
+// report exclusive (self) render time as well as inclusive time.
+const renderStack = [];
+
+/**
+ * Shallow-compare two props objects
+ * @param {Object} a - Previous props
+ * @param {Object} b - Next props
+ * @returns {boolean} True if both have the same keys and values
+ */
+function shallowEqual(a, b) {
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(key => Object.is(a[key], b[key]));
+}
 
 class Component {
   /**
@@ -17,94 +37,371 @@ class Component {
     this.state = {};
     this._renderId = 0;
     this._mounted = false;
+    this._mounting = null; // Token of the mount() waiting for its first render
     this._element = null;
+    this._renderer = null;
     this._subscriptions = [];
+    this._sources = new Map(); // Observables subscribed to, with subscription counts
+    this._pendingCauses = []; // Causes of the updates the next render includes
+    this._lastRenderTrace = null; // Writes and computeds behind the latest render
+    this._parent = null;
+    this._children = new Set();
+    this._renderCause = null;
     
     this._metrics = {
       renders: 0,
       renderTime: 0,
+      exclusiveRenderTime: 0,
       lastRenderTime: 0,
+      parentRenders: 0, // Renders caused by the parent re-rendering
+      cascadedRenders: 0, // Child renders this component's renders caused
       updates: 0,
       updateTime: 0,
       createdAt: Date.now(),
-      mountedAt: null
+      mountedAt: null,
+      skippedUpdates: 0,
+      hooks: {},
+      renderSources: {} // Originating observable -> renders it caused
     };
     
     // Register with observability system
     this._id = ObservabilitySystem.registerComponent(this);
+    this._registered = true;
   }
   
   /**
-   * Update component state and trigger re-render
-   * @param {Object} newState - Partial state to update
-   * @returns {Promise} - Resolves after render completes
+   * Update component state and schedule a re-render
+   * Patches made before the next flush are merged into a single render.
+   * @param {Object|Function} newState - Partial state to update, or a function of the previous state
+   * @returns {Promise} - Resolves after the render that includes this update completes
    */
   setState(newState) {
-    const updateStart = performance.now();
     this._metrics.updates++;
     
+    // Called from a subscriber: remember which write this update answers to
+    const cause = getCurrentCause();
+    if (cause) this._pendingCauses.push(cause);
+    
+    return scheduleUpdate(this, newState);
+  }
+  
+  /**
+   * Merge queued state patches and render once
+   * Called by the scheduler when it flushes.
+   * @param {Array<Object|Function>} patches - Queued patches, oldest first
+   * @returns {Promise} - Resolves after render completes
+   * @private
+   */
+  _applyUpdate(patches) {
+    const updateStart = performance.now();
+    const prevState = this.state;
+    
     // Merge new state with existing state
-    this.state = { ...this.state, ...newState };
+    const nextState = patches.reduce((state, patch) => ({
+      ...state,
+      ...(typeof patch === 'function' ? patch(state, this.props) : patch)
+    }), prevState);
+    
+    const shouldRender = !this._mounted || this._callHook('shouldUpdate', nextState, prevState) !== false;
+    if (shouldRender && this._mounted) {
+      this._callHook('onBeforeUpdate', nextState, prevState);
+    }
     
-    // Schedule re-render
-    const renderPromise = this.render();
+    this.state = nextState;
     
     const updateEnd = performance.now();
     this._metrics.updateTime += (updateEnd - updateStart);
     ObservabilitySystem.recordMetric('componentUpdateTime', updateEnd - updateStart, {
       component: this.constructor.name,
-      id: this._id
+      id: this._id,
+      patches: patches.length
     });
     
-    return renderPromise;
+    if (!shouldRender) {
+      this._metrics.skippedUpdates++;
+      return Promise.resolve(null);
+    }
+    
+    return this.render().then(result => {
+      if (this._mounted) {
+        this._callHook('onUpdated', prevState);
+      }
+      return result;
+    });
+  }
+  
+  /**
+   * Called once after the first render, when the component is in the DOM
+   * Override in subclasses to start timers, fetch data, etc.
+   */
+  onMount() {}
+  
+  /**
+   * Called after state changes, before the component re-renders
+   * @param {Object} nextState - State about to be rendered
+   * @param {Object} prevState - Current state
+   */
+  onBeforeUpdate() {}
+  
+  /**
+   * Called after a state change has been rendered
+   * @param {Object} prevState - State before the update
+   */
+  onUpdated() {}
+  
+  /**
+   * Called before the component is removed from the DOM
+   * Override in subclasses to clear timers and release resources.
+   */
+  onUnmount() {}
+  
+  /**
+   * Decide whether a state change needs a re-render
+   * @param {Object} nextState - State about to be rendered
+   * @param {Object} prevState - Current state
+   * @returns {boolean} - False to skip the render
+   */
+  shouldUpdate() {
+    return true;
+  }
+  
+  /**
+   * Run a lifecycle hook, timing it and recording any exception
+   * Hooks that are not overridden are skipped so they add no overhead.
+   * @param {string} hook - Hook name
+   * @param {...any} args - Arguments for the hook
+   * @returns {any} - The hook's return value, or undefined if it threw
+   * @private
+   */
+  _callHook(hook, ...args) {
+    if (this[hook] === Component.prototype[hook]) {
+      return Component.prototype[hook].apply(this, args);
+    }
+    
+    const hookStart = performance.now();
+    const tags = {
+      component: this.constructor.name,
+      id: this._id,
+      hook
+    };
+    
+    const finish = () => {
+      const hookTime = performance.now() - hookStart;
+      const stats = this._metrics.hooks[hook] || (this._metrics.hooks[hook] = { calls: 0, time: 0 });
+      stats.calls++;
+      stats.time += hookTime;
+      ObservabilitySystem.recordMetric('componentHookTime', hookTime, tags);
+    };
+    
+    const fail = (error) => {
+      ObservabilitySystem.recordError('hookError', error, tags);
+      console.error(`Error in ${hook} of component ${this.constructor.name}:`, error);
+    };
+    
+    try {
+      const result = this[hook](...args);
+      
+      // Async hooks are timed until they settle
+      if (result && typeof result.then === 'function') {
+        result.then(finish, error => {
+          finish();
+          fail(error);
+        });
+        return result;
+      }
+      
+      finish();
+      return result;
+    } catch (error) {
+      finish();
+      fail(error);
+      return undefined;
+    }
+  }
+  
+  /**
+   * Describe the component's view
+   * Override in subclasses, or pass a `template(state, props)` prop.
+   * May return a view built with h(), an HTML string, or a promise of either.
+   * Returning undefined leaves the DOM untouched.
+   * @returns {Object|Array<Object>|string|Promise|undefined} - The view
+   */
+  view() {
+    if (typeof this.props.template === 'function') {
+      return this.props.template.call(this, this.state, this.props);
+    }
+    return undefined;
   }
   
   /**
    * Render the component
+   * Calls view() and applies its result to the DOM, measuring both.
+   * Async views are timed until their promise settles.
    * @returns {Promise} - Resolves after render completes
    */
   async render() {
+    // Nothing to render into until mounted
+    if (!this._element) return null;
+    
     const renderStart = performance.now();
-    this._renderId++;
+    const renderId = ++this._renderId;
     this._metrics.renders++;
     
+    const causedBy = this._renderCause;
+    this._renderCause = null;
+    const trace = traceRender(this, this._pendingCauses);
+    this._pendingCauses = [];
+    this._lastRenderTrace = trace;
+    const parentFrame = renderStack[renderStack.length - 1] || null;
+    const frame = { childTime: 0, active: true };
+    
     try {
-      // Component-specific render logic would be implemented by subclasses
-      // This is just the base tracking functionality
+      let output;
+      renderStack.push(frame);
+      try {
+        output = this.view();
+      } finally {
+        renderStack.pop();
+      }
+      
+      if (output && typeof output.then === 'function') {
+        output = await output;
+      }
+      
+      // A newer render started while this async view was pending; let it win.
+      // An unmount while it was pending leaves nothing to commit to.
+      if (renderId === this._renderId && this._element) {
+        renderStack.push(frame);
+        try {
+          this._commit(output);
+        } finally {
+          renderStack.pop();
+        }
+      }
+      frame.active = false;
       
       const renderEnd = performance.now();
       const thisRenderTime = renderEnd - renderStart;
+      const exclusiveRenderTime = Math.max(0, thisRenderTime - frame.childTime);
       this._metrics.renderTime += thisRenderTime;
+      this._metrics.exclusiveRenderTime += exclusiveRenderTime;
       this._metrics.lastRenderTime = thisRenderTime;
       
+      // Count towards the parent's inclusive time if it is still rendering
+      if (parentFrame && parentFrame.active) {
+        parentFrame.childTime += thisRenderTime;
+      }
+      
+      // Renders over the renderTime budget are reported as slowRender issues
       ObservabilitySystem.recordMetric('componentRenderTime', thisRenderTime, {
         component: this.constructor.name,
-        renderId: this._renderId,
-        id: this._id
+        renderId,
+        id: this._id,
+        exclusive: exclusiveRenderTime,
+        causedBy,
+        traceId: trace ? trace.traceIds[0] : undefined
       });
       
-      // Report slow renders
-      if (thisRenderTime > 16) { // Longer than one frame (60fps)
-        ObservabilitySystem.reportPerformanceIssue({
-          type: 'slowRender',
-          component: this.constructor.name,
-          renderTime: thisRenderTime,
-          renderId: this._renderId,
-          id: this._id
-        });
-        
-        ObservabilitySystem._metrics.global.slowRenders++;
-      }
-      
-      return Promise.resolve(null);
+      return null;
     } catch (error) {
       ObservabilitySystem.recordError('renderError', error, {
         component: this.constructor.name,
         id: this._id
       });
       console.error(`Error rendering component ${this.constructor.name}:`, error);
-      return Promise.reject(error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Attach a child component created while rendering this one
+   * @param {Component} child - The child component
+   * @private
+   */
+  _adoptChild(child) {
+    child._parent = this;
+    this._children.add(child);
+    ObservabilitySystem.linkComponent(child._id, this._id);
+  }
+  
+  /**
+   * Detach and unmount a child component that is no longer rendered
+   * @param {Component} child - The child component
+   * @private
+   */
+  _releaseChild(child) {
+    child.unmount();
+    this._children.delete(child);
+    child._parent = null;
+    ObservabilitySystem.unlinkComponent(child._id);
+  }
+  
+  /**
+   * Receive new props from the parent's render and re-render if they changed
+   * @param {Object} props - Props from the parent's view
+   * @returns {Promise} - Resolves after render completes
+   * @private
+   */
+  _receiveProps(props) {
+    if (shallowEqual(this.props, props)) {
+      return Promise.resolve(null);
+    }
+    
+    this.props = { ...props };
+    
+    if (this._parent) {
+      this._renderCause = this._parent._id;
+      // The child renders because of whatever rendered the parent
+      if (this._parent._lastRenderTrace) this._pendingCauses.push(this._parent._lastRenderTrace);
+      this._metrics.parentRenders++;
+      this._parent._metrics.cascadedRenders++;
+    }
+    
+    return this.render();
+  }
+  
+  /**
+   * Apply the output of view() to the component's element
+   * @param {Object|Array<Object>|string|undefined} output - Result of view()
+   * @private
+   */
+  _commit(output) {
+    // Unmounted while an async view was pending
+    if (output === undefined || !this._element) return;
+    
+    if (typeof output === 'string') {
+      // Child components from an earlier h() view are not in the string
+      if (this._renderer) {
+        this._renderer.clear();
+        this._renderer = null;
+      }
+      this._element.innerHTML = output;
+      return;
+    }
+    
+    this.patch(output);
+  }
+  
+  /**
+   * Patch the component's element to match a view built with h()
+   * Only the DOM nodes that differ from the previous view are touched.
+   * @param {Object|Array<Object>} view - Virtual node(s) to render
+   * @returns {Object} Patch statistics ({ patches, patchTime })
+   */
+  patch(view) {
+    if (!this._element) {
+      throw new Error('Cannot patch a component that has no element');
+    }
+    
+    if (!this._renderer) {
+      this._renderer = new Renderer(this._element, { owner: this });
     }
+    
+    return this._renderer.render(view, {
+      component: this.constructor.name,
+      renderId: this._renderId,
+      id: this._id
+    });
   }
   
   /**
@@ -120,10 +417,27 @@ class Component {
     const mountStart = performance.now();
     this._element = element;
     
+    // Remounting after unmount() registers the component again
+    if (!this._registered) {
+      this._id = ObservabilitySystem.registerComponent(this);
+      this._registered = true;
+    }
+    
+    const attempt = {};
+    this._mounting = attempt;
+    
     try {
       await this.render();
+      if (this._mounting !== attempt) {
+        // Unmounted before the first render finished: release what it created,
+        // unless a newer mount() has taken over
+        if (this._mounting === null) this._teardown();
+        return this;
+      }
+      this._mounting = null;
       this._mounted = true;
       this._metrics.mountedAt = Date.now();
+      this._callHook('onMount');
       
       const mountEnd = performance.now();
       ObservabilitySystem.recordMetric('componentMountTime', mountEnd - mountStart, {
@@ -133,6 +447,7 @@ class Component {
       
       return this;
     } catch (error) {
+      if (this._mounting === attempt) this._mounting = null;
       ObservabilitySystem.recordError('mountError', error, {
         component: this.constructor.name,
         id: this._id
@@ -146,8 +461,27 @@ class Component {
    * Unmount and clean up component
    */
   unmount() {
+    if (this._mounting) {
+      // Still waiting for the first render: onMount never ran, so neither does onUnmount
+      this._mounting = null;
+      this._teardown();
+      return;
+    }
     if (!this._mounted) return;
     
+    this._callHook('onUnmount');
+    this._mounted = false;
+    this._teardown();
+  }
+  
+  /**
+   * Release children, subscriptions, the DOM and the registry entry
+   * @private
+   */
+  _teardown() {
+    // Children go first, so they can still reach their DOM in onUnmount
+    Array.from(this._children).forEach(child => this._releaseChild(child));
+    
     // Clean up subscriptions
     this._subscriptions.forEach(unsubscribe => {
       if (typeof unsubscribe === 'function') {
@@ -160,13 +494,17 @@ class Component {
     });
     
     this._subscriptions = [];
-    this._mounted = false;
     
     // Clear DOM references
     if (this._element) {
       this._element.innerHTML = '';
       this._element = null;
     }
+    this._renderer = null;
+    
+    // Stop tracking; the registry would otherwise keep this instance alive
+    ObservabilitySystem.unregisterComponent(this._id);
+    this._registered = false;
   }
   
   /**
@@ -181,11 +519,37 @@ class Component {
       return () => {};
     }
     
-    const unsubscribe = observable.subscribe(callback);
+    // Remember the source so the dependency graph can draw the subscription
+    this._sources.set(observable, (this._sources.get(observable) || 0) + 1);
+    const unsubscribeObservable = observable.subscribe(callback);
+    let active = true;
+    const unsubscribe = () => {
+      if (!active) return;
+      active = false;
+      unsubscribeObservable();
+      const count = this._sources.get(observable) - 1;
+      if (count > 0) {
+        this._sources.set(observable, count);
+      } else {
+        this._sources.delete(observable);
+      }
+    };
     this._subscriptions.push(unsubscribe);
     return unsubscribe;
   }
   
+  /**
+   * Run an effect that is disposed automatically on unmount
+   * @param {Function} fn - Side effect; may return a cleanup function
+   * @param {Object} options - Effect options ({ name }); the name defaults to Component.effect
+   * @returns {Effect} - The effect
+   */
+  effect(fn, options = {}) {
+    const instance = createEffect(fn, { name: `${this.constructor.name}.effect`, ...options });
+    this._subscriptions.push(() => instance.dispose());
+    return instance;
+  }
+  
   /**
    * Get performance metrics for this component
    * @returns {Object} - Metrics data
@@ -195,6 +559,9 @@ class Component {
       id: this._id,
       component: this.constructor.name,
       mounted: this._mounted,
+      parent: this._parent ? this._parent._id : null,
+      children: Array.from(this._children).map(child => child._id),
+      lastRenderTrace: this._lastRenderTrace,
       ...this._metrics
     };
   }
@@ -8,8 +8,8 @@
  */
 
 import { Component } from './component.js';
-// Import renderer once implemented
-// import { Renderer } from './renderer.js';
+import { Renderer, h } from './renderer.js';
+import { flushSync, configureScheduler } from './scheduler.js';
 
 /**
  * Create a new component instance
@@ -58,19 +58,25 @@ async function render(options, element) {
 export {
   // Core classes
   Component,
-  // Renderer, // Uncomment when implemented
+  Renderer,
   
   // Helper functions
+  h,
   createComponent,
   mount,
-  render
+  render,
+  flushSync,
+  configureScheduler
 };
 
 // Export a default configuration
 export default {
   Component,
-  // Renderer, // Uncomment when implemented
+  Renderer,
+  h,
   createComponent,
   mount,
-  render
+  render,
+  flushSync,
+  configureScheduler
 };
\ No newline at end of file
@@ -0,0 +1,362 @@
+/**
+ * Renderer - Virtual DOM renderer with patch tracking
+ *
+ * Turns a declarative description of the view (built with h()) into DOM
+ * nodes, diffs each new description against the previous one and patches
+ * only the nodes that changed, so focus, listeners and scroll position survive.
+ *
+ * A vnode whose type is a Component class renders a child component: it is
+ * mounted into its own host element, reused (with new props) while it stays
+ * in the view, and unmounted when it disappears.
+ */
+
+import { ObservabilitySystem } from '@observablejs/core';
+
+const TEXT_NODE = '#text';
+
+/**
+ * Create a virtual node (hyperscript)
+ * @param {string|Function} type - Tag name, or a Component class for a child component
+ * @param {Object} props - Attributes, properties and on* event handlers
+ * @param {...any} children - Child nodes, strings, numbers or arrays of them
+ * @returns {Object} Virtual node
+ */
+function h(type, props, ...children) {
+  return {
+    type,
+    props: props || {},
+    key: props && props.key !== undefined ? props.key : null,
+    children: normalizeChildren(children)
+  };
+}
+
+/**
+ * Flatten children and turn primitives into text nodes
+ * @param {Array} children - Raw children
+ * @returns {Array<Object>} Virtual nodes
+ */
+function normalizeChildren(children) {
+  const result = [];
+  
+  children.forEach(child => {
+    if (Array.isArray(child)) {
+      result.push(...normalizeChildren(child));
+    } else if (child === null || child === undefined || child === false || child === true) {
+      // Skip empty values so conditionals like `cond && h(...)` work
+    } else if (typeof child === 'object') {
+      result.push(child);
+    } else {
+      result.push({ type: TEXT_NODE, props: {}, key: null, text: String(child), children: [] });
+    }
+  });
+  
+  return result;
+}
+
+/**
+ * Check whether a vnode describes a child component
+ * @param {Object} vnode - Virtual node
+ * @returns {boolean} True if the type is a component class
+ */
+function isComponentNode(vnode) {
+  return typeof vnode.type === 'function';
+}
+
+/**
+ * Props to hand to a child component (everything except the diffing key)
+ * @param {Object} props - Vnode props
+ * @returns {Object} Component props
+ */
+function componentProps(props) {
+  const { key, ...rest } = props;
+  return rest;
+}
+
+/**
+ * Check whether a prop name is an event handler
+ * @param {string} name - Prop name
+ * @returns {boolean} True for on* props
+ */
+function isEventProp(name) {
+  return /^on[A-Z]/.test(name);
+}
+
+class Renderer {
+  /**
+   * Create a renderer for a container element
+   * @param {HTMLElement} container - Element the view is rendered into
+   * @param {Object} options - Renderer options
+   * @param {Component} options.owner - Component that owns child components created here
+   */
+  constructor(container, options = {}) {
+    if (!container) {
+      throw new Error('Renderer requires a container element');
+    }
+    
+    this._container = container;
+    this._owner = options.owner || null;
+    this._vnodes = null;
+    this._patches = 0;
+  }
+  
+  /**
+   * Render a view, patching the DOM from the previous render
+   * @param {Object|Array<Object>} view - Virtual node(s) to render
+   * @param {Object} tags - Tags to attach to the reported metrics
+   * @returns {Object} Patch statistics ({ patches, patchTime })
+   */
+  render(view, tags = {}) {
+    const patchStart = performance.now();
+    this._patches = 0;
+    
+    const nextVNodes = normalizeChildren([view]);
+    
+    // First render replaces whatever was in the container
+    if (this._vnodes === null) {
+      this._container.innerHTML = '';
+      this._vnodes = [];
+    }
+    
+    this._patchChildren(this._container, this._vnodes, nextVNodes);
+    this._vnodes = nextVNodes;
+    
+    const patchTime = performance.now() - patchStart;
+    ObservabilitySystem.recordMetric('componentPatchCount', this._patches, tags);
+    ObservabilitySystem.recordMetric('componentPatchTime', patchTime, tags);
+    
+    return { patches: this._patches, patchTime };
+  }
+  
+  /**
+   * Remove everything the renderer created
+   */
+  clear() {
+    if (this._vnodes) {
+      this._vnodes.forEach(vnode => this._removeNode(this._container, vnode));
+    }
+    this._vnodes = null;
+  }
+  
+  /**
+   * Create a DOM node for a virtual node
+   * @private
+   */
+  _createNode(vnode) {
+    this._patches++;
+    
+    if (vnode.type === TEXT_NODE) {
+      vnode.el = document.createTextNode(vnode.text);
+      return vnode.el;
+    }
+    
+    if (isComponentNode(vnode)) {
+      return this._createComponent(vnode);
+    }
+    
+    const el = document.createElement(vnode.type);
+    vnode.el = el;
+    
+    // Children first, so props like a <select>'s value can find their options
+    vnode.children.forEach(child => {
+      el.appendChild(this._createNode(child));
+    });
+    
+    Object.keys(vnode.props).forEach(name => {
+      this._setProp(el, name, vnode.props[name], undefined);
+    });
+    
+    return el;
+  }
+  
+  /**
+   * Create and mount a child component into a fresh host element
+   * @private
+   */
+  _createComponent(vnode) {
+    const host = document.createElement('div');
+    host.setAttribute('data-component', vnode.type.name);
+    vnode.el = host;
+    
+    const child = new vnode.type(componentProps(vnode.props));
+    vnode.component = child;
+    if (this._owner) {
+      this._owner._adoptChild(child);
+    }
+    
+    // Mount errors are recorded by the child itself
+    child.mount(host).catch(() => {});
+    return host;
+  }
+  
+  /**
+   * Remove a virtual node's DOM node
+   * @private
+   */
+  _removeNode(parent, vnode) {
+    this._patches++;
+    this._unmountComponents(vnode);
+    if (vnode.el && vnode.el.parentNode === parent) {
+      parent.removeChild(vnode.el);
+    }
+  }
+  
+  /**
+   * Unmount every child component inside a vnode that is going away
+   * @private
+   */
+  _unmountComponents(vnode) {
+    if (vnode.component) {
+      if (this._owner) {
+        this._owner._releaseChild(vnode.component);
+      } else {
+        vnode.component.unmount();
+      }
+      return;
+    }
+    
+    vnode.children.forEach(child => this._unmountComponents(child));
+  }
+  
+  /**
+   * Patch a single node in place, or replace it if it changed type
+   * @private
+   */
+  _patchNode(parent, oldVNode, newVNode) {
+    if (oldVNode.type !== newVNode.type || oldVNode.key !== newVNode.key) {
+      this._unmountComponents(oldVNode);
+      const el = this._createNode(newVNode);
+      parent.replaceChild(el, oldVNode.el);
+      return;
+    }
+    
+    const el = oldVNode.el;
+    newVNode.el = el;
+    
+    // Same component in the same place: keep the instance, pass new props down
+    if (isComponentNode(newVNode)) {
+      newVNode.component = oldVNode.component;
+      newVNode.component._receiveProps(componentProps(newVNode.props)).catch(() => {});
+      return;
+    }
+    
+    if (newVNode.type === TEXT_NODE) {
+      if (oldVNode.text !== newVNode.text) {
+        el.nodeValue = newVNode.text;
+        this._patches++;
+      }
+      return;
+    }
+    
+    this._patchProps(el, oldVNode.props, newVNode.props);
+    this._patchChildren(el, oldVNode.children, newVNode.children);
+  }
+  
+  /**
+   * Diff two child lists, matching keyed children by key and the rest by position
+   * @private
+   */
+  _patchChildren(parent, oldChildren, newChildren) {
+    const oldKeyed = new Map();
+    const oldUnkeyed = [];
+    
+    oldChildren.forEach(child => {
+      if (child.key !== null) {
+        oldKeyed.set(child.key, child);
+      } else {
+        oldUnkeyed.push(child);
+      }
+    });
+    
+    let unkeyedIndex = 0;
+    const reused = new Set();
+    
+    newChildren.forEach((newChild, index) => {
+      let oldChild = null;
+      
+      if (newChild.key !== null) {
+        oldChild = oldKeyed.get(newChild.key) || null;
+      } else if (unkeyedIndex < oldUnkeyed.length) {
+        oldChild = oldUnkeyed[unkeyedIndex++];
+      }
+      
+      if (oldChild) {
+        reused.add(oldChild);
+        this._patchNode(parent, oldChild, newChild);
+      } else {
+        this._createNode(newChild);
+      }
+      
+      // Move the node into place if it is not already there
+      const current = parent.childNodes[index];
+      if (current !== newChild.el) {
+        parent.insertBefore(newChild.el, current || null);
+        if (oldChild) this._patches++;
+      }
+    });
+    
+    oldChildren.forEach(oldChild => {
+      if (!reused.has(oldChild)) {
+        this._removeNode(parent, oldChild);
+      }
+    });
+  }
+  
+  /**
+   * Apply added, changed and removed props
+   * @private
+   */
+  _patchProps(el, oldProps, newProps) {
+    Object.keys(oldProps).forEach(name => {
+      if (!(name in newProps)) {
+        this._setProp(el, name, undefined, oldProps[name]);
+      }
+    });
+    
+    Object.keys(newProps).forEach(name => {
+      if (newProps[name] !== oldProps[name]) {
+        this._setProp(el, name, newProps[name], oldProps[name]);
+      }
+    });
+  }
+  
+  /**
+   * Set or remove a single prop on an element
+   * @private
+   */
+  _setProp(el, name, value, oldValue) {
+    if (name === 'key') return;
+    this._patches++;
+    
+    if (isEventProp(name)) {
+      const eventName = name.slice(2).toLowerCase();
+      if (typeof oldValue === 'function') el.removeEventListener(eventName, oldValue);
+      if (typeof value === 'function') el.addEventListener(eventName, value);
+      return;
+    }
+    
+    if (name === 'style' && value && typeof value === 'object') {
+      el.style.cssText = '';
+      Object.assign(el.style, value);
+      return;
+    }
+    
+    if (name === 'className' || name === 'class') {
+      el.className = value || '';
+      return;
+    }
+    
+    // Form state lives in properties, not attributes
+    if (name === 'value' || name === 'checked' || name === 'selected') {
+      el[name] = value === undefined ? '' : value;
+      return;
+    }
+    
+    if (value === undefined || value === null || value === false) {
+      el.removeAttribute(name);
+    } else {
+      el.setAttribute(name, value === true ? '' : value);
+    }
+  }
+}
+
+export { Renderer, h };
\ No newline at end of file
@@ -0,0 +1,116 @@
+/**
+ * Scheduler - Batches component updates into a single render
+ *
+ * setState() calls are queued per component and flushed once per microtask
+ * (or animation frame), so many state patches made in one handler produce
+ * one render instead of one each.
+ */
+
+import { ObservabilitySystem } from '@observablejs/core';
+
+// Pending updates per component: { patches, resolvers }
+const queue = new Map();
+let flushScheduled = false;
+
+const options = {
+  mode: 'microtask' // 'microtask', 'animationFrame' or 'sync'
+};
+
+/**
+ * Configure how queued updates are flushed
+ * @param {Object} newOptions - Scheduler options
+ * @param {string} newOptions.mode - 'microtask', 'animationFrame' or 'sync'
+ */
+function configureScheduler(newOptions = {}) {
+  if (newOptions.mode !== undefined) {
+    if (!['microtask', 'animationFrame', 'sync'].includes(newOptions.mode)) {
+      throw new Error(`Unknown scheduler mode: ${newOptions.mode}`);
+    }
+    options.mode = newOptions.mode;
+  }
+}
+
+/**
+ * Arrange for the queue to be flushed
+ * @private
+ */
+function requestFlush() {
+  if (flushScheduled) return;
+  flushScheduled = true;
+  
+  if (options.mode === 'animationFrame' && typeof requestAnimationFrame === 'function') {
+    requestAnimationFrame(() => flushSync());
+  } else {
+    queueMicrotask(() => flushSync());
+  }
+}
+
+/**
+ * Queue a state patch for a component
+ * @param {Component} component - Component to update
+ * @param {Object|Function} patch - Partial state, or a function of the previous state
+ * @returns {Promise} - Resolves after the render that includes this patch
+ */
+function scheduleUpdate(component, patch) {
+  return new Promise((resolve, reject) => {
+    let pending = queue.get(component);
+    if (!pending) {
+      pending = { patches: [], resolvers: [] };
+      queue.set(component, pending);
+    }
+    
+    pending.patches.push(patch);
+    pending.resolvers.push({ resolve, reject });
+    
+    if (options.mode === 'sync') {
+      flushSync();
+    } else {
+      requestFlush();
+    }
+  });
+}
+
+/**
+ * Flush all queued updates right away
+ * Useful in tests to avoid waiting for the next microtask or frame.
+ * @returns {Promise} - Resolves after the flushed renders complete
+ */
+function flushSync() {
+  flushScheduled = false;
+  if (queue.size === 0) return Promise.resolve();
+  
+  const pending = Array.from(queue);
+  queue.clear();
+  
+  let coalesced = 0;
+  let rendered = 0;
+  const renders = pending.map(([component, { patches, resolvers }]) => {
+    coalesced += patches.length - 1;
+    
+    // shouldUpdate() can skip the render, and an unmounted component has
+    // nothing to render into; render() counts itself synchronously when it runs
+    const rendersBefore = component._metrics.renders;
+    let renderPromise;
+    try {
+      renderPromise = Promise.resolve(component._applyUpdate(patches));
+    } catch (error) {
+      renderPromise = Promise.reject(error);
+    }
+    if (component._metrics.renders > rendersBefore) rendered++;
+    
+    return renderPromise.then(
+      result => resolvers.forEach(({ resolve }) => resolve(result)),
+      error => resolvers.forEach(({ reject }) => reject(error))
+    );
+  });
+  
+  ObservabilitySystem._metrics.global.scheduledRenders += rendered;
+  ObservabilitySystem._metrics.global.coalescedUpdates += coalesced;
+  ObservabilitySystem.recordMetric('schedulerFlush', rendered, {
+    coalesced
+  });
+  
+  return Promise.all(renders).then(() => undefined);
+}
+
+export { scheduleUpdate, flushSync, configureScheduler };
\ No newline at end of file
@@ -0,0 +1,170 @@
+import { ObservabilitySystem } from '@observablejs/core';
+import { Component, h, flushSync } from '../src/index.js';
+
+/**
+ * Wait for child mounts and renders started during a render to finish
+ * @returns {Promise} Resolves on the next macrotask
+ */
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+class Item extends Component {
+  view() {
+    return h('li', null, this.props.label);
+  }
+  onUnmount() {
+    Item.unmounted.push(this.props.label);
+  }
+}
+Item.unmounted = [];
+
+class List extends Component {
+  view() {
+    if (this.state.asText) return '<p>plain</p>';
+    return h('ul', null, this.state.labels.map(label => h(Item, { key: label, label })));
+  }
+}
+
+/**
+ * Mount a list of Item children
+ * @param {Array<string>} labels - Labels of the items
+ * @returns {Promise<List>} The mounted list
+ */
+async function mountList(labels) {
+  const list = new List();
+  list.state = { labels, asText: false };
+  await list.mount(document.createElement('div'));
+  await settle();
+  return list;
+}
+
+describe('child components', () => {
+  beforeEach(() => {
+    Item.unmounted = [];
+  });
+  
+  test('mounts children and links them to the parent in the registry', async () => {
+    const list = await mountList(['a', 'b']);
+    
+    expect(list._element.textContent).toBe('ab');
+    expect(list.getMetrics().children).toHaveLength(2);
+    const tree = ObservabilitySystem.getComponentTree().find(node => node.id === list._id);
+    expect(tree.children.map(node => node.component)).toEqual(['Item', 'Item']);
+    list.unmount();
+  });
+  
+  test('reuses children that stay and unmounts those that go', async () => {
+    const list = await mountList(['a', 'b', 'c']);
+    const [first] = list._children;
+    
+    list.setState({ labels: ['a', 'c'] });
+    await flushSync();
+    await settle();
+    
+    expect(list._element.textContent).toBe('ac');
+    expect(list._children.has(first)).toBe(true);
+    expect(Item.unmounted).toEqual(['b']);
+    list.unmount();
+  });
+  
+  test('unmounts children when the view switches to an HTML string', async () => {
+    const list = await mountList(['a', 'b']);
+    const children = Array.from(list._children);
+    
+    list.setState({ asText: true });
+    await flushSync();
+    
+    expect(list._element.innerHTML).toBe('<p>plain</p>');
+    expect(list._children.size).toBe(0);
+    expect(Item.unmounted).toEqual(['a', 'b']);
+    children.forEach(child => {
+      expect(child._mounted).toBe(false);
+      expect(ObservabilitySystem._components.has(child._id)).toBe(false);
+    });
+    
+    // Switching back mounts fresh children
+    list.setState({ asText: false });
+    await flushSync();
+    await settle();
+    expect(list._element.textContent).toBe('ab');
+    expect(list._children.size).toBe(2);
+    list.unmount();
+  });
+  
+  test('unmounts children recursively with the parent', async () => {
+    const list = await mountList(['a', 'b']);
+    const children = Array.from(list._children);
+    
+    list.unmount();
+    expect(Item.unmounted).toEqual(['a', 'b']);
+    children.forEach(child => expect(ObservabilitySystem._componentParents.has(child._id)).toBe(false));
+  });
+  
+  test('a child removed before its mount finishes is released and never mounted', async () => {
+    let resolveView;
+    const mounted = [];
+    class Slow extends Component {
+      view() {
+        return new Promise(resolve => {
+          resolveView = () => resolve(h('div', null, h(Item, { key: 'inner', label: 'inner' })));
+        });
+      }
+      onMount() {
+        mounted.push(this);
+      }
+    }
+    class Parent extends Component {
+      view() {
+        return h('div', null, this.state.show ? h(Slow, { key: 'slow' }) : 'none');
+      }
+    }
+    const parent = new Parent();
+    parent.state = { show: true };
+    await parent.mount(document.createElement('div'));
+    const [slow] = parent._children;
+    const errorsBefore = ObservabilitySystem._metrics.global.errors.length;
+    
+    parent.setState({ show: false });
+    await flushSync();
+    expect(parent._children.size).toBe(0);
+    expect(ObservabilitySystem._components.has(slow._id)).toBe(false);
+    
+    resolveView();
+    await settle();
+    expect(mounted).toEqual([]);
+    expect(slow._mounted).toBe(false);
+    expect(slow._children.size).toBe(0);
+    expect(ObservabilitySystem._components.has(slow._id)).toBe(false);
+    expect(ObservabilitySystem._metrics.global.errors.slice(errorsBefore)).toEqual([]);
+    parent.unmount();
+  });
+  
+  test('attributes child renders caused by new props to the parent', async () => {
+    class Label extends Component {
+      view() {
+        return h('span', null, this.props.text);
+      }
+    }
+    class Parent extends Component {
+      view() {
+        return h('div', null, h(Label, { text: this.state.text }));
+      }
+    }
+    const parent = new Parent();
+    parent.state = { text: 'one' };
+    await parent.mount(document.createElement('div'));
+    await settle();
+    const [label] = parent._children;
+    
+    parent.setState({ text: 'two' });
+    await flushSync();
+    await settle();
+    
+    expect(label._element.textContent).toBe('two');
+    expect(label.getMetrics().parentRenders).toBe(1);
+    expect(parent.getMetrics().cascadedRenders).toBe(1);
+    expect(parent.getMetrics().exclusiveRenderTime).toBeLessThanOrEqual(parent.getMetrics().renderTime);
+    parent.unmount();
+  });
+});
\ No newline at end of file
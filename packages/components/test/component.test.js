@@ -0,0 +1,114 @@
+import { jest } from '@jest/globals';
+import { use, createRecorderSink } from '@observablejs/core';
+import { Component, h } from '../src/index.js';
+
+/**
+ * Keep the CPU busy for a while, to give a render a measurable cost
+ * @param {number} ms - Milliseconds to spin
+ */
+function spin(ms) {
+  const end = performance.now() + ms;
+  while (performance.now() < end) {
+    // busy
+  }
+}
+
+describe('Component render timing', () => {
+  let recorder;
+  let detach;
+  
+  beforeEach(() => {
+    recorder = createRecorderSink({ filter: { names: ['componentRenderTime'] } });
+    detach = use(recorder);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    detach();
+    jest.restoreAllMocks();
+  });
+  
+  test('measures the work done in a subclass view()', async () => {
+    class Slow extends Component {
+      view() {
+        spin(20);
+        return h('p', null, 'done');
+      }
+    }
+    const slow = new Slow();
+    const el = document.createElement('div');
+    
+    await slow.mount(el);
+    expect(el.textContent).toBe('done');
+    expect(slow.getMetrics().lastRenderTime).toBeGreaterThanOrEqual(20);
+    expect(recorder.events).toHaveLength(1);
+    expect(recorder.events[0].value).toBeGreaterThanOrEqual(20);
+    expect(recorder.events[0].tags.component).toBe('Slow');
+    slow.unmount();
+  });
+  
+  test('renders a template prop with state and props', async () => {
+    const component = new Component({
+      label: 'Count',
+      template(state, props) {
+        return `${props.label}: ${state.count}`;
+      }
+    });
+    component.state = { count: 3 };
+    const el = document.createElement('div');
+    
+    await component.mount(el);
+    expect(el.innerHTML).toBe('Count: 3');
+    component.unmount();
+  });
+  
+  test('times an async view until its promise settles', async () => {
+    class Loading extends Component {
+      async view() {
+        await new Promise(resolve => setTimeout(resolve, 30));
+        return h('p', null, 'loaded');
+      }
+    }
+    const loading = new Loading();
+    const el = document.createElement('div');
+    
+    await loading.mount(el);
+    expect(el.textContent).toBe('loaded');
+    // Timers may fire a little early, so allow some slack
+    expect(loading.getMetrics().lastRenderTime).toBeGreaterThanOrEqual(25);
+    loading.unmount();
+  });
+  
+  test('lets the newest of overlapping async renders win', async () => {
+    const delays = [30, 0];
+    class Racing extends Component {
+      async view() {
+        const label = delays.length;
+        await new Promise(resolve => setTimeout(resolve, delays.shift()));
+        return `render ${label}`;
+      }
+    }
+    const racing = new Racing();
+    const el = document.createElement('div');
+    racing._element = el;
+    
+    await Promise.all([racing.render(), racing.render()]);
+    expect(el.innerHTML).toBe('render 1');
+  });
+  
+  test('records a renderError when view() throws', async () => {
+    const errors = createRecorderSink({ filter: { names: ['renderError'] } });
+    const detachErrors = use(errors);
+    class Broken extends Component {
+      view() {
+        throw new Error('bad view');
+      }
+    }
+    const el = document.createElement('div');
+    
+    await expect(new Broken().mount(el)).rejects.toThrow('bad view');
+    detachErrors();
+    expect(errors.events).toHaveLength(1);
+    expect(errors.events[0].tags.component).toBe('Broken');
+  });
+});
\ No newline at end of file
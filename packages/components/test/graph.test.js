@@ -0,0 +1,46 @@
+import { createObservable, getDependencyGraph } from '@observablejs/core';
+import { Component, h } from '../src/index.js';
+
+/**
+ * Wait for child mounts started during a render to finish
+ * @returns {Promise} Resolves on the next macrotask
+ */
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+const count = createObservable(0, { name: 'graphCount' });
+
+class Counter extends Component {
+  onMount() {
+    this.subscribe(count, () => this.setState({}));
+  }
+  view() {
+    return h('span', null, String(count.value));
+  }
+}
+
+class Panel extends Component {
+  view() {
+    return h('div', null, h(Counter, { key: 'counter' }));
+  }
+}
+
+describe('dependency graph of components', () => {
+  test('draws subscription and child edges', async () => {
+    const panel = new Panel();
+    await panel.mount(document.createElement('div'));
+    await settle();
+    const [counter] = panel._children;
+    
+    const graph = getDependencyGraph();
+    const types = (from, to) => graph.edges.filter(edge => edge.from === from && edge.to === to).map(edge => edge.type);
+    expect(graph.nodes.find(node => node.id === counter._id)).toMatchObject({ type: 'component', label: 'Counter' });
+    expect(types(count._id, counter._id)).toEqual(['subscription']);
+    expect(types(panel._id, counter._id)).toEqual(['child']);
+    
+    panel.unmount();
+    const after = getDependencyGraph();
+    expect(after.edges.some(edge => edge.to === counter._id)).toBe(false);
+  });
+});
\ No newline at end of file
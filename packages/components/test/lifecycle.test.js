@@ -0,0 +1,162 @@
+import { jest } from '@jest/globals';
+import { use, createRecorderSink, createObservable } from '@observablejs/core';
+import { Component } from '../src/index.js';
+
+describe('Component lifecycle hooks', () => {
+  let recorder;
+  let detach;
+  
+  beforeEach(() => {
+    recorder = createRecorderSink({ filter: { names: ['componentHookTime', 'hookError'] } });
+    detach = use(recorder);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    detach();
+    jest.restoreAllMocks();
+  });
+  
+  test('calls the hooks in order with the states involved', async () => {
+    const calls = [];
+    class Tracked extends Component {
+      view() {
+        return `count ${this.state.count}`;
+      }
+      onMount() {
+        calls.push(['onMount', this._element.innerHTML]);
+      }
+      onBeforeUpdate(nextState, prevState) {
+        calls.push(['onBeforeUpdate', nextState.count, prevState.count]);
+      }
+      onUpdated(prevState) {
+        calls.push(['onUpdated', prevState.count, this._element.innerHTML]);
+      }
+      onUnmount() {
+        calls.push(['onUnmount', this._element.innerHTML]);
+      }
+    }
+    const tracked = new Tracked();
+    tracked.state = { count: 0 };
+    
+    await tracked.mount(document.createElement('div'));
+    await tracked.setState({ count: 1 });
+    tracked.unmount();
+    
+    expect(calls).toEqual([
+      ['onMount', 'count 0'],
+      ['onBeforeUpdate', 1, 0],
+      ['onUpdated', 0, 'count 1'],
+      ['onUnmount', 'count 1']
+    ]);
+  });
+  
+  test('skips the render when shouldUpdate() returns false', async () => {
+    class EvenOnly extends Component {
+      view() {
+        return `count ${this.state.count}`;
+      }
+      shouldUpdate(nextState) {
+        return nextState.count % 2 === 0;
+      }
+    }
+    const even = new EvenOnly();
+    even.state = { count: 0 };
+    await even.mount(document.createElement('div'));
+    
+    await even.setState({ count: 1 });
+    expect(even._element.innerHTML).toBe('count 0');
+    expect(even.state.count).toBe(1);
+    
+    await even.setState({ count: 2 });
+    expect(even._element.innerHTML).toBe('count 2');
+    expect(even.getMetrics().skippedUpdates).toBe(1);
+    even.unmount();
+  });
+  
+  test('times overridden hooks per component and hook', async () => {
+    class Timed extends Component {
+      onMount() {}
+    }
+    const timed = new Timed();
+    await timed.mount(document.createElement('div'));
+    
+    expect(timed.getMetrics().hooks.onMount.calls).toBe(1);
+    // Hooks that aren't overridden cost nothing and report nothing
+    expect(timed.getMetrics().hooks.onUnmount).toBeUndefined();
+    expect(recorder.named('componentHookTime').map(event => event.tags)).toEqual([
+      { component: 'Timed', id: timed._id, hook: 'onMount' }
+    ]);
+    timed.unmount();
+  });
+  
+  test('records an exception in a hook with the hook name', async () => {
+    class Failing extends Component {
+      onMount() {
+        throw new Error('mount hook failed');
+      }
+    }
+    const failing = new Failing();
+    
+    // A failing hook doesn't fail the mount
+    await failing.mount(document.createElement('div'));
+    const [error] = recorder.named('hookError');
+    expect(error.error.message).toBe('mount hook failed');
+    expect(error.tags).toMatchObject({ component: 'Failing', hook: 'onMount' });
+    failing.unmount();
+  });
+  
+  test('records a rejected async hook once it settles', async () => {
+    class AsyncFailing extends Component {
+      async onMount() {
+        throw new Error('async hook failed');
+      }
+    }
+    const failing = new AsyncFailing();
+    
+    await failing.mount(document.createElement('div'));
+    await Promise.resolve();
+    expect(recorder.named('hookError').map(event => event.tags.hook)).toEqual(['onMount']);
+    failing.unmount();
+  });
+  
+  test('runs onUnmount before subscriptions are released', async () => {
+    const events = [];
+    class Cleanup extends Component {
+      onMount() {
+        this._subscriptions.push(() => events.push('unsubscribed'));
+      }
+      onUnmount() {
+        events.push('onUnmount');
+      }
+    }
+    const cleanup = new Cleanup();
+    await cleanup.mount(document.createElement('div'));
+    
+    cleanup.unmount();
+    cleanup.unmount();
+    expect(events).toEqual(['onUnmount', 'unsubscribed']);
+  });
+  
+  test('disposes effects started with this.effect() on unmount', async () => {
+    const title = createObservable('a');
+    const calls = [];
+    class Titled extends Component {
+      onMount() {
+        this.titleEffect = this.effect(() => {
+          const value = title.value;
+          calls.push(`run ${value}`);
+          return () => calls.push(`cleanup ${value}`);
+        });
+      }
+    }
+    const titled = new Titled();
+    await titled.mount(document.createElement('div'));
+    expect(titled.titleEffect.getMetrics().name).toBe('Titled.effect');
+    
+    title.value = 'b';
+    titled.unmount();
+    title.value = 'c';
+    expect(calls).toEqual(['run a', 'cleanup a', 'run b', 'cleanup b']);
+  });
+});
\ No newline at end of file
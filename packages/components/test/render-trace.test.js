@@ -0,0 +1,71 @@
+import { ObservabilitySystem, createObservable, computed, use, createRecorderSink } from '@observablejs/core';
+import { Component, h } from '../src/index.js';
+
+/**
+ * Wait for scheduled renders and child mounts to finish
+ * @returns {Promise} Resolves on the next macrotask
+ */
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+const count = createObservable(0, { name: 'traceCount' });
+const doubled = computed(() => count.value * 2, [], { name: 'traceDoubled' });
+
+class TraceBadge extends Component {
+  view() {
+    return h('b', null, String(this.props.value));
+  }
+}
+
+class TraceCounter extends Component {
+  onMount() {
+    this.subscribe(doubled, value => this.setState({ value }));
+  }
+  view() {
+    return h('div', null, h(TraceBadge, { key: 'badge', value: this.state.value }));
+  }
+}
+
+describe('render traces', () => {
+  test('a render caused by a write records the write and the computeds it passed through', async () => {
+    const counter = new TraceCounter();
+    counter.state = { value: 0 };
+    await counter.mount(document.createElement('div'));
+    const recorder = createRecorderSink({ filter: { names: ['componentRenderTime'] } });
+    const detach = use(recorder);
+    
+    count.value = 1;
+    await settle();
+    const trace = counter.getMetrics().lastRenderTrace;
+    expect(trace.sources).toEqual(['traceCount']);
+    expect(trace.writes[0]).toMatchObject({ name: 'traceCount', origin: 'write' });
+    expect(trace.via.map(step => step.name)).toEqual(['traceDoubled']);
+    
+    const sample = recorder.events.find(event => event.tags.component === 'TraceCounter');
+    expect(sample.tags.traceId).toBe(trace.traceIds[0]);
+    
+    // The child re-rendered because its parent did
+    const [badge] = counter._children;
+    expect(badge.getMetrics().lastRenderTrace.sources).toEqual(['traceCount']);
+    
+    detach();
+    counter.unmount();
+  });
+  
+  test('getRenderSources() totals the sources per component class', async () => {
+    const counter = new TraceCounter();
+    counter.state = { value: 0 };
+    await counter.mount(document.createElement('div'));
+    
+    count.value = 2;
+    await settle();
+    count.value = 3;
+    await settle();
+    const [top] = ObservabilitySystem.getRenderSources().TraceCounter;
+    expect(top.source).toBe('traceCount');
+    expect(top.renders).toBeGreaterThanOrEqual(2);
+    
+    counter.unmount();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,77 @@
+import { use, createRecorderSink } from '@observablejs/core';
+import { Renderer, h } from '../src/index.js';
+
+describe('Renderer', () => {
+  let container;
+  let renderer;
+  
+  beforeEach(() => {
+    container = document.createElement('div');
+    renderer = new Renderer(container);
+  });
+  
+  test('patches text in place without replacing the element', () => {
+    renderer.render(h('p', { id: 'greeting' }, 'Hello'));
+    const p = container.firstChild;
+    
+    const stats = renderer.render(h('p', { id: 'greeting' }, 'Bye'));
+    expect(container.firstChild).toBe(p);
+    expect(p.textContent).toBe('Bye');
+    expect(stats.patches).toBe(1);
+  });
+  
+  test('makes no patches when the view is unchanged', () => {
+    const view = () => h('ul', null, h('li', null, 'a'), h('li', null, 'b'));
+    renderer.render(view());
+    
+    expect(renderer.render(view()).patches).toBe(0);
+  });
+  
+  test('reuses keyed nodes when they are reordered', () => {
+    const list = keys => h('ul', null, keys.map(key => h('li', { key }, key)));
+    renderer.render(list(['a', 'b', 'c']));
+    const [a, b, c] = Array.from(container.querySelectorAll('li'));
+    
+    renderer.render(list(['c', 'a', 'b']));
+    expect(Array.from(container.querySelectorAll('li'))).toEqual([c, a, b]);
+  });
+  
+  test('removes props that are no longer in the view', () => {
+    renderer.render(h('input', { disabled: true, className: 'big', title: 'name' }));
+    renderer.render(h('input', { className: 'small' }));
+    const input = container.firstChild;
+    
+    expect(input.hasAttribute('disabled')).toBe(false);
+    expect(input.hasAttribute('title')).toBe(false);
+    expect(input.className).toBe('small');
+  });
+  
+  test('swaps event handlers instead of stacking them', () => {
+    const calls = [];
+    renderer.render(h('button', { onClick: () => calls.push('first') }));
+    renderer.render(h('button', { onClick: () => calls.push('second') }));
+    
+    container.firstChild.click();
+    expect(calls).toEqual(['second']);
+  });
+  
+  test('clear() removes everything it rendered', () => {
+    renderer.render([h('span', null, 'a'), h('span', null, 'b')]);
+    renderer.clear();
+    
+    expect(container.childNodes).toHaveLength(0);
+  });
+  
+  test('records patch count and time tagged with the given tags', () => {
+    const recorder = createRecorderSink({ filter: { names: ['componentPatchCount', 'componentPatchTime'] } });
+    const detach = use(recorder);
+    
+    renderer.render(h('p', null, 'one'), { component: 'Test' });
+    renderer.render(h('p', null, 'two'), { component: 'Test' });
+    detach();
+    
+    expect(recorder.named('componentPatchCount').map(event => event.value)).toEqual([2, 1]);
+    expect(recorder.named('componentPatchTime')).toHaveLength(2);
+    expect(recorder.events[0].tags).toMatchObject({ component: 'Test' });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,95 @@
+import { ObservabilitySystem } from '@observablejs/core';
+import { Component, flushSync, configureScheduler } from '../src/index.js';
+
+/**
+ * Read the scheduler counters from the global metrics
+ * @returns {Object} { scheduledRenders, coalescedUpdates }
+ */
+function schedulerCounts() {
+  const { scheduledRenders, coalescedUpdates } = ObservabilitySystem.getMetrics().global;
+  return { scheduledRenders, coalescedUpdates };
+}
+
+/**
+ * Mount a component that renders its count
+ * @param {Component} component - Component to mount
+ * @returns {Promise<Component>} The mounted component
+ */
+function mountCounter(component = new Component({ template: state => `count ${state.count}` })) {
+  component.state = { count: 0 };
+  return component.mount(document.createElement('div'));
+}
+
+describe('scheduler', () => {
+  afterEach(() => {
+    configureScheduler({ mode: 'microtask' });
+  });
+  
+  test('merges updates made in one tick into one render', async () => {
+    const counter = await mountCounter();
+    const before = schedulerCounts();
+    
+    const updates = [];
+    for (let i = 0; i < 10; i++) {
+      updates.push(counter.setState(state => ({ count: state.count + 1 })));
+    }
+    expect(counter.getMetrics().renders).toBe(1);
+    
+    await Promise.all(updates);
+    expect(counter._element.innerHTML).toBe('count 10');
+    expect(counter.getMetrics().renders).toBe(2);
+    
+    const after = schedulerCounts();
+    expect(after.scheduledRenders - before.scheduledRenders).toBe(1);
+    expect(after.coalescedUpdates - before.coalescedUpdates).toBe(9);
+    counter.unmount();
+  });
+  
+  test('flushSync() renders queued updates right away', async () => {
+    const counter = await mountCounter();
+    
+    counter.setState({ count: 5 });
+    flushSync();
+    expect(counter._element.innerHTML).toBe('count 5');
+    counter.unmount();
+  });
+  
+  test('sync mode renders on every setState', async () => {
+    configureScheduler({ mode: 'sync' });
+    const counter = await mountCounter();
+    
+    counter.setState({ count: 1 });
+    counter.setState({ count: 2 });
+    expect(counter.getMetrics().renders).toBe(3);
+    counter.unmount();
+  });
+  
+  test('does not count renders that shouldUpdate() skipped', async () => {
+    class Frozen extends Component {
+      shouldUpdate() {
+        return false;
+      }
+    }
+    const frozen = await mountCounter(new Frozen());
+    const before = schedulerCounts();
+    
+    await frozen.setState({ count: 1 });
+    expect(frozen.getMetrics().skippedUpdates).toBe(1);
+    expect(schedulerCounts().scheduledRenders).toBe(before.scheduledRenders);
+    frozen.unmount();
+  });
+  
+  test('does not count updates to an unmounted component as renders', async () => {
+    const counter = await mountCounter();
+    counter.unmount();
+    const before = schedulerCounts();
+    
+    await counter.setState({ count: 1 });
+    expect(counter.getMetrics().renders).toBe(1);
+    expect(schedulerCounts().scheduledRenders).toBe(before.scheduledRenders);
+  });
+  
+  test('throws on an unknown mode', () => {
+    expect(() => configureScheduler({ mode: 'idle' })).toThrow('Unknown scheduler mode: idle');
+  });
+});
\ No newline at end of file
@@ -1,19 +1,56 @@
+import { fileURLToPath } from 'node:url';
 import { nodeResolve } from '@rollup/plugin-node-resolve';
 
-export default {
-  input: 'src/index.js',
-  output: [
-    {
-      file: 'dist/index.js',
-      format: 'cjs',
-      exports: 'named'
-    },
-    {
-      file: 'dist/index.esm.js',
-      format: 'es'
-    }
-  ],
-  plugins: [
-    nodeResolve()
-  ]
-};
\ No newline at end of file
+// The node entry shares the main bundle's ObservabilitySystem instead of
+// bundling its own copy, so both entries see the same metrics
+const sharedModules = ['./src/index.js', './src/observability.js']
+  .map(path => fileURLToPath(new URL(path, import.meta.url)));
+
+/**
+ * Map the shared modules to a file of the main bundle
+ * @param {string} file - Main bundle file, relative to dist
+ * @returns {Object} Rollup output.paths
+ */
+function mainEntry(file) {
+  return Object.fromEntries(sharedModules.map(id => [id, file]));
+}
+
+export default [
+  {
+    input: 'src/index.js',
+    output: [
+      {
+        file: 'dist/index.js',
+        format: 'cjs',
+        exports: 'named'
+      },
+      {
+        file: 'dist/index.esm.js',
+        format: 'es'
+      }
+    ],
+    plugins: [
+      nodeResolve()
+    ]
+  },
+  {
+    input: 'src/node.js',
+    output: [
+      {
+        file: 'dist/node.js',
+        format: 'cjs',
+        exports: 'named',
+        paths: mainEntry('./index.js')
+      },
+      {
+        file: 'dist/node.esm.js',
+        format: 'es',
+        paths: mainEntry('./index.esm.js')
+      }
+    ],
+    external: ['node:http', ...sharedModules],
+    plugins: [
+      nodeResolve()
+    ]
+  }
+];
\ No newline at end of file
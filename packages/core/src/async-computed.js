@@ -0,0 +1,183 @@
+/**
+ * Async Computed - Derived values computed by an async function
+ *
+ * The observable's value is a state object, { status, value, error }, where
+ * status is 'loading', 'success' or 'error'. While a run is loading, value
+ * keeps the last successful result so views can show stale data.
+ *
+ * Dependencies are the observables read before computeFn's first await.
+ * When one changes, the running computation is aborted through the
+ * AbortSignal passed to computeFn and a new run starts; results of stale
+ * runs are ignored. Timing covers the whole run, up to settlement.
+ */
+
+import { Observable } from './observable.js';
+import { ObservabilitySystem } from './observability.js';
+import { track } from './tracking.js';
+import { link, unlink, scheduleChange } from './propagation.js';
+import { withCause, getCurrentCause } from './causality.js';
+
+/**
+ * Create a computed value from an async function
+ * @param {Function} computeFn - (signal: AbortSignal) => Promise of the value
+ * @param {Object} options - Additional options
+ * @param {string} options.name - Name for debugging and metrics
+ * @param {any} options.initialValue - Value reported until the first run succeeds
+ * @returns {Observable} An observable of { status, value, error }
+ */
+function asyncComputed(computeFn, options = {}) {
+  if (typeof computeFn !== 'function') {
+    throw new Error('First argument must be a function');
+  }
+  
+  const {
+    name = 'asyncComputed', // Name for debugging
+    initialValue
+  } = options;
+  
+  const result = new Observable({ status: 'loading', value: initialValue, error: null });
+  result._computeName = name;
+  result._dependencies = new Set();
+  
+  result._computeMetrics = {
+    totalComputations: 0,
+    lastComputeTime: 0,
+    averageComputeTime: 0,
+    cancelled: 0,
+    errors: 0
+  };
+  
+  let runId = 0;
+  let controller = null;
+  
+  // Link newly read dependencies and drop the ones no longer read
+  const updateDependencies = (trackedDeps) => {
+    trackedDeps.delete(result);
+    
+    Array.from(result._dependencies).forEach(dep => {
+      if (!trackedDeps.has(dep)) unlink(dep, result);
+    });
+    
+    trackedDeps.forEach(dep => {
+      if (!result._dependencies.has(dep) && dep instanceof Observable) link(dep, result);
+    });
+  };
+  
+  // Record how a run ended and publish its state, unless a newer run replaced it
+  const settle = (id, computeStart, cause, state) => {
+    if (id !== runId) return;
+    controller = null;
+    
+    const computeTime = performance.now() - computeStart;
+    const metrics = result._computeMetrics;
+    metrics.totalComputations++;
+    metrics.lastComputeTime = computeTime;
+    metrics.averageComputeTime =
+      (metrics.averageComputeTime * (metrics.totalComputations - 1) + computeTime) /
+      metrics.totalComputations;
+    result._metrics.computeTime += computeTime;
+    
+    // Runs over the asyncComputeTime budget are reported as slowAsyncComputation issues
+    ObservabilitySystem.recordMetric('asyncComputeTime', computeTime, {
+      name: result._computeName,
+      id: result._id,
+      status: state.status
+    });
+    
+    if (state.status === 'error') {
+      metrics.errors++;
+      ObservabilitySystem.recordError('asyncComputeError', state.error instanceof Error ? state.error : new Error(String(state.error)), {
+        name: result._computeName,
+        id: result._id
+      });
+    }
+    
+    const oldValue = result._value;
+    result._value = state;
+    result._metrics.writes++;
+    // The result is traced back to the change that started the run
+    withCause(cause, () => scheduleChange(result, oldValue));
+  };
+  
+  // Start a run, aborting the one in flight; stores the loading state without notifying
+  const start = () => {
+    if (controller) {
+      controller.abort();
+      result._computeMetrics.cancelled++;
+    }
+    
+    const id = ++runId;
+    const computeStart = performance.now();
+    const currentController = new AbortController();
+    controller = currentController;
+    
+    const previous = result._value;
+    const cause = result._cause; // Set by the propagation engine when a dependency changed
+    
+    // Reads are linked even when computeFn throws before returning a promise,
+    // so the run starts again once what it read changes
+    const dependencies = new Set();
+    let promise;
+    try {
+      const tracked = track(() => computeFn(currentController.signal), dependencies);
+      promise = Promise.resolve(tracked.result);
+    } catch (error) {
+      promise = Promise.reject(error);
+    }
+    updateDependencies(dependencies);
+    
+    promise.then(
+      value => settle(id, computeStart, cause, { status: 'success', value, error: null }),
+      error => settle(id, computeStart, cause, { status: 'error', value: previous.value, error })
+    );
+    
+    result._value = { status: 'loading', value: previous.value, error: null };
+    result._metrics.writes++;
+    return true;
+  };
+  
+  // Called by the propagation engine when a dependency has changed
+  result._update = start;
+  
+  // Method to manually start a new run
+  result.recompute = () => {
+    const oldValue = result._value;
+    // The run answers to whatever asked for it, not to the last dependency change
+    result._cause = getCurrentCause();
+    start();
+    scheduleChange(result, oldValue);
+    return result._value;
+  };
+  
+  // Override getMetrics to include compute-specific metrics
+  const originalGetMetrics = result.getMetrics;
+  result.getMetrics = function() {
+    return {
+      ...originalGetMetrics.call(this),
+      isComputed: true,
+      isAsync: true,
+      name: this._computeName,
+      status: this._value.status,
+      dependencies: Array.from(this._dependencies).map(dep => dep._id),
+      compute: { ...this._computeMetrics }
+    };
+  };
+  
+  // Method to abort the current run, unlink dependencies and release the registry entry
+  result.dispose = () => {
+    runId++;
+    if (controller) {
+      controller.abort();
+      controller = null;
+    }
+    Array.from(result._dependencies).forEach(dep => unlink(dep, result));
+    Observable.prototype.dispose.call(result);
+  };
+  
+  // Initial run
+  start();
+  
+  return result;
+}
+
+export { asyncComputed };
\ No newline at end of file
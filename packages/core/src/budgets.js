@@ -0,0 +1,237 @@
+/**
+ * Budgets - Configurable performance thresholds
+ *
+ * A budget rule limits one metric, either globally, for one component class
+ * or for one named computed. Rules are absolute (`max`, checked against every
+ * sample as it is recorded) or statistical (`mean`, `p50` … `p99`, checked
+ * against the rolling-window statistics). Each rule has an id such as
+ * 'components.Counter.renderTime', so a violation names the rule that fired.
+ */
+
+import { WINDOWS } from './stats.js';
+
+// Short names accepted in budget configuration, mapped to the recorded metric
+const METRIC_ALIASES = {
+  renderTime: 'componentRenderTime',
+  mountTime: 'componentMountTime',
+  hookTime: 'componentHookTime',
+  patchTime: 'componentPatchTime',
+  patchCount: 'componentPatchCount',
+  computeTime: 'derivedComputeTime'
+};
+
+const STATISTICS = ['mean', 'p50', 'p90', 'p95', 'p99'];
+
+// Sections of the configuration that aren't global metric rules
+const SCOPES = {
+  components: 'component',
+  computeds: 'name'
+};
+
+const DEFAULT_BUDGETS = {
+  renderTime: 16, // longer than one frame at 60fps
+  computeTime: 10,
+  asyncComputeTime: 1000,
+  hotspots: {
+    renders: 10, // findHotspots(): components rendered more often than this...
+    renderTime: 10, // ...whose last render took longer than this (ms)
+    writes: 20, // observables written more often than this
+    wastedWrites: 5 // observables with more skipped plus wasted writes than this
+  }
+};
+
+/**
+ * Resolve a configured metric key to a recorded metric name
+ * @param {string} key - Alias such as renderTime, or a full metric name
+ * @returns {string} Metric name
+ */
+function resolveMetric(key) {
+  return METRIC_ALIASES[key] || key;
+}
+
+/**
+ * Build a rule from a configured limit
+ * @param {string} id - Rule id
+ * @param {string} metric - Metric name
+ * @param {Object|null} scope - { tag, value } the rule is limited to
+ * @param {number|Object} limit - Max value, or { max, mean, p50, p90, p95, p99, window, minCount }
+ * @returns {Object|null} Rule, or null if the limit disables it
+ */
+function createRule(id, metric, scope, limit) {
+  if (limit === null || limit === undefined || limit === false) return null;
+  
+  const spec = typeof limit === 'number' ? { max: limit } : limit;
+  const window = spec.window || '1m';
+  if (!WINDOWS[window]) {
+    throw new Error(`Unknown budget window for ${id}: ${window}`);
+  }
+  
+  const rule = {
+    id,
+    metric,
+    scope,
+    max: typeof spec.max === 'number' ? spec.max : undefined,
+    window,
+    minCount: spec.minCount || 1,
+    statistics: {}
+  };
+  
+  STATISTICS.forEach(statistic => {
+    if (typeof spec[statistic] === 'number') {
+      rule.statistics[statistic] = spec[statistic];
+    }
+  });
+  
+  return rule;
+}
+
+class BudgetSet {
+  constructor() {
+    this.configure({});
+  }
+  
+  /**
+   * Replace the budget rules
+   * Budgets not mentioned keep their defaults; set one to null to disable it.
+   * @param {Object} budgets - Budget configuration
+   */
+  configure(budgets = {}) {
+    const config = {
+      ...DEFAULT_BUDGETS,
+      ...budgets,
+      hotspots: { ...DEFAULT_BUDGETS.hotspots, ...(budgets.hotspots || {}) }
+    };
+    
+    this.hotspots = config.hotspots;
+    this._global = new Map();
+    this._scoped = { component: new Map(), name: new Map() };
+    this._rules = [];
+    
+    Object.keys(config).forEach(key => {
+      if (key === 'hotspots') return;
+      
+      if (SCOPES[key]) {
+        const tag = SCOPES[key];
+        Object.keys(config[key] || {}).forEach(value => {
+          const limits = config[key][value] || {};
+          const rules = new Map();
+          Object.keys(limits).forEach(metricKey => {
+            const metric = resolveMetric(metricKey);
+            const rule = createRule(`${key}.${value}.${metricKey}`, metric, { tag, value }, limits[metricKey]);
+            if (rule) rules.set(metric, rule);
+          });
+          this._scoped[tag].set(value, rules);
+          this._rules.push(...rules.values());
+        });
+        return;
+      }
+      
+      const metric = resolveMetric(key);
+      const rule = createRule(key, metric, null, config[key]);
+      if (rule) {
+        this._global.set(metric, rule);
+        this._rules.push(rule);
+      }
+    });
+    
+    this.reset();
+  }
+  
+  /**
+   * Find the most specific rule for a sample
+   * A component's or computed's own rule replaces the global one.
+   * @param {string} metric - Metric name
+   * @param {Object} tags - Sample tags
+   * @returns {Object|undefined} Rule
+   */
+  ruleFor(metric, tags = {}) {
+    for (const tag of ['component', 'name']) {
+      if (tags[tag] === undefined) continue;
+      const rules = this._scoped[tag].get(String(tags[tag]));
+      if (rules && rules.has(metric)) return rules.get(metric);
+    }
+    return this._global.get(metric);
+  }
+  
+  /**
+   * Check a sample against its absolute limit
+   * @param {string} metric - Metric name
+   * @param {number} value - Sample value
+   * @param {Object} tags - Sample tags
+   * @returns {Object|null} Violation ({ rule, metric, statistic, limit, value }) or null
+   */
+  check(metric, value, tags) {
+    const rule = this.ruleFor(metric, tags);
+    if (!rule || rule.max === undefined || !(value > rule.max)) return null;
+    
+    let totals = this._exceeded.get(rule);
+    if (!totals) {
+      totals = { count: 0, worst: value };
+      this._exceeded.set(rule, totals);
+    }
+    totals.count++;
+    totals.worst = Math.max(totals.worst, value);
+    
+    return { rule: rule.id, metric, statistic: 'max', limit: rule.max, value };
+  }
+  
+  /**
+   * Check every statistical limit against the current statistics
+   * @param {Function} getStats - (metric, { window, groupBy }) => statistics
+   * @returns {Array<Object>} Violations
+   */
+  evaluate(getStats) {
+    const violations = [];
+    
+    this._rules.forEach(rule => {
+      const statistics = Object.keys(rule.statistics);
+      if (statistics.length === 0) return;
+      
+      const stats = rule.scope
+        ? getStats(rule.metric, { window: rule.window, groupBy: rule.scope.tag })[rule.scope.value]
+        : getStats(rule.metric, { window: rule.window });
+      if (!stats || stats.count < rule.minCount) return;
+      
+      statistics.forEach(statistic => {
+        if (stats[statistic] > rule.statistics[statistic]) {
+          violations.push({
+            rule: rule.id,
+            metric: rule.metric,
+            statistic,
+            limit: rule.statistics[statistic],
+            value: stats[statistic],
+            window: rule.window,
+            count: stats.count
+          });
+        }
+      });
+    });
+    
+    return violations;
+  }
+  
+  /**
+   * Absolute limits exceeded since the last reset
+   * @returns {Array<Object>} One violation per rule, with its worst value and count
+   */
+  exceeded() {
+    return Array.from(this._exceeded).map(([rule, totals]) => ({
+      rule: rule.id,
+      metric: rule.metric,
+      statistic: 'max',
+      limit: rule.max,
+      value: totals.worst,
+      count: totals.count
+    }));
+  }
+  
+  /**
+   * Forget recorded violations
+   */
+  reset() {
+    this._exceeded = new Map();
+    this.active = new Set(); // ids of statistical violations already reported
+  }
+}
+
+export { BudgetSet, resolveMetric };
\ No newline at end of file
@@ -0,0 +1,170 @@
+/**
+ * Causality - Traces from observable writes to the renders they cause
+ *
+ * Every committed write gets a trace id. The write's cause travels with the
+ * change: the propagation engine hands it to each computed it recomputes
+ * (adding the computed to the cause's `via` chain), and subscribers run with
+ * it as the current cause, so a component that calls setState() from a
+ * subscriber can record which writes its next render answers to. A write
+ * made while another cause is current (a subscriber writing to another
+ * observable) links back to that cause.
+ *
+ * A cause looks like:
+ *   {
+ *     writes: [{ traceId, id, name, timestamp, origin, stack, causedBy, depth }],
+ *     via: [{ id, name }] // computeds and store paths the change passed through
+ *   }
+ * where a write's causedBy is the cause it reacted to, if any. Stacks are
+ * only captured in detailed mode.
+ */
+
+import { ObservabilitySystem } from './observability.js';
+
+// Causes reacting to causes stop linking back after this many levels
+const MAX_CAUSE_DEPTH = 10;
+
+// Writes and computeds kept per cause, so merging many changes stays bounded
+const MAX_CAUSE_ENTRIES = 20;
+
+let nextTraceId = 1;
+
+// Cause of the change whose subscribers are currently running
+let activeCause = null;
+
+/**
+ * Name an observable for traces
+ * @param {Object} observable - Observable
+ * @returns {string} Its name, key or id
+ */
+function labelOf(observable) {
+  if (observable._computeName) return observable._computeName;
+  if (observable._name) return observable._name;
+  return observable._key !== undefined ? observable._key : observable._id;
+}
+
+/**
+ * Start a cause for a write to an observable
+ * @param {Object} observable - The observable written
+ * @param {string} origin - What wrote it: 'write' (default), 'hydrate' or 'timeTravel'
+ * @returns {Object} The cause
+ */
+function createCause(observable, origin = 'write') {
+  // Reactions to reactions are linked up to a limit, so feedback loops stay bounded
+  const parent = activeCause;
+  const depth = parent ? Math.max(...parent.writes.map(write => write.depth)) + 1 : 0;
+  
+  const write = {
+    traceId: `trace_${nextTraceId++}`,
+    id: observable._id,
+    name: labelOf(observable),
+    timestamp: Date.now(),
+    origin,
+    causedBy: parent && depth <= MAX_CAUSE_DEPTH ? parent : null,
+    depth
+  };
+  if (ObservabilitySystem.isDetailedMode) {
+    write.stack = new Error().stack;
+  }
+  
+  return { writes: [write], via: [] };
+}
+
+/**
+ * Combine causes, e.g. of every changed dependency of a computed, or of
+ * every setState() merged into one render
+ * @param {Array<Object>} causes - Causes to merge (nulls are ignored)
+ * @param {Object} step - Optional { id, name } to append to the via chain
+ * @returns {Object|null} Merged cause, or null if there were none
+ */
+function mergeCauses(causes, step) {
+  const present = causes.filter(Boolean);
+  if (present.length === 0 && !step) return null;
+  if (present.length === 1 && !step) return present[0];
+  
+  const writes = new Map();
+  const via = new Map();
+  present.forEach(cause => {
+    cause.writes.forEach(write => writes.set(write.traceId, write));
+    cause.via.forEach(entry => via.set(entry.id, entry));
+  });
+  if (step) via.set(step.id, step);
+  
+  return {
+    writes: Array.from(writes.values()).slice(-MAX_CAUSE_ENTRIES),
+    via: Array.from(via.values()).slice(-MAX_CAUSE_ENTRIES)
+  };
+}
+
+/**
+ * Extend the causes of a node's changed dependencies with the node itself
+ * @param {Object} node - Computed or store path being recomputed
+ * @param {Array<Object>} dependencies - Its dependencies that changed
+ * @returns {Object|null} The node's cause
+ */
+function deriveCause(node, dependencies) {
+  return mergeCauses(dependencies.map(dep => dep._cause), { id: node._id, name: labelOf(node) });
+}
+
+/**
+ * Run a function with a cause as the current one
+ * @param {Object|null} cause - Cause to make current
+ * @param {Function} fn - Function to run
+ * @returns {any} The function result
+ */
+function withCause(cause, fn) {
+  const previous = activeCause;
+  activeCause = cause;
+  try {
+    return fn();
+  } finally {
+    activeCause = previous;
+  }
+}
+
+/**
+ * Get the cause of the change whose subscribers are running
+ * Component libraries call this from setState() to learn why they render.
+ * @returns {Object|null} Current cause, or null outside of a notification
+ */
+function getCurrentCause() {
+  return activeCause;
+}
+
+/**
+ * Build a render's trace from the causes of the updates it includes, and
+ * count its sources on the component
+ * @param {Object} component - Component about to render
+ * @param {Array<Object>} causes - Causes recorded by setState() (and parent renders)
+ * @returns {Object|null} { traceIds, writes, via, sources }, or null if nothing traceable caused it
+ */
+function traceRender(component, causes) {
+  const cause = mergeCauses(causes);
+  if (!cause) return null;
+  
+  // The observables written at the start of every chain
+  const sources = new Set();
+  const collect = (entry) => {
+    entry.writes.forEach(write => {
+      if (write.causedBy) {
+        collect(write.causedBy);
+      } else {
+        sources.add(write.name);
+      }
+    });
+  };
+  collect(cause);
+  
+  const renderSources = component._metrics.renderSources || (component._metrics.renderSources = {});
+  sources.forEach(source => {
+    renderSources[source] = (renderSources[source] || 0) + 1;
+  });
+  
+  return {
+    traceIds: cause.writes.map(write => write.traceId),
+    writes: cause.writes,
+    via: cause.via,
+    sources: Array.from(sources)
+  };
+}
+
+export { createCause, mergeCauses, deriveCause, withCause, getCurrentCause, traceRender };
\ No newline at end of file
@@ -7,11 +7,21 @@
 
 import { Observable } from './observable.js';
 import { ObservabilitySystem } from './observability.js';
+import { track } from './tracking.js';
+import { link, unlink, scheduleChange } from './propagation.js';
 
 /**
  * Create a computed (derived) observable value
+ *
+ * Dependencies are discovered automatically by recording which observables
+ * are read while computeFn runs, and are re-discovered on every run so that
+ * conditional branches subscribe only to what they actually use.
+ *
+ * Recomputation is driven by the propagation engine, which recomputes each
+ * computed at most once per change and only after its own dependencies.
+ *
  * @param {Function} computeFn - Function that computes the derived value
- * @param {Array<Observable>} deps - Dependencies that trigger recomputation
+ * @param {Array<Observable>} deps - Extra dependencies that always trigger recomputation
  * @param {Object} options - Additional options
  * @returns {Observable} An observable with the computed value
  */
@@ -30,8 +40,10 @@ function computed(computeFn, deps = [], options = {}) {
   } = options;
   
   // Create a result observable
-  const result = new Observable(undefined);
+  const result = new Observable(undefined, { equals: options.equals });
   result._computeName = name;
+  result._error = null; // What the last run threw, rethrown on read
+  result._pullable = true; // Recomputed when read inside a batch that wrote its inputs
   
   // Track additional metrics for computed values
   result._computeMetrics = {
@@ -41,15 +53,96 @@ function computed(computeFn, deps = [], options = {}) {
     errors: 0
   };
   
+  // Explicitly listed dependencies are kept for backwards compatibility
+  const explicitDeps = deps.filter(dep => {
+    if (!dep || typeof dep.subscribe !== 'function') {
+      console.warn('Invalid dependency provided to computed value:', dep);
+      return false;
+    }
+    return true;
+  });
+  
+  // Dependencies that are not ObservableJS observables (anything with a
+  // subscribe method) are followed through a plain subscription instead
+  const foreignSubscriptions = new Map();
+  result._dependencies = new Set();
+  let hasComputed = false;
+  let warnedAboutPromise = false;
+  
+  const onForeignChange = () => {
+    try {
+      result.recompute();
+    } catch (error) {
+      // Already logged in performComputation
+    }
+  };
+  
+  const addDependency = (dep) => {
+    if (dep instanceof Observable) {
+      link(dep, result);
+    } else {
+      result._dependencies.add(dep);
+      foreignSubscriptions.set(dep, dep.subscribe(onForeignChange));
+    }
+  };
+  
+  const removeDependency = (dep) => {
+    if (dep instanceof Observable) {
+      unlink(dep, result);
+    } else {
+      result._dependencies.delete(dep);
+      foreignSubscriptions.get(dep)();
+      foreignSubscriptions.delete(dep);
+    }
+  };
+  
+  // Link newly read dependencies and drop the ones no longer read
+  const updateDependencies = (trackedDeps) => {
+    const nextDeps = new Set([...explicitDeps, ...trackedDeps]);
+    nextDeps.delete(result);
+    
+    Array.from(result._dependencies).forEach(dep => {
+      if (!nextDeps.has(dep)) {
+        removeDependency(dep);
+      }
+    });
+    
+    nextDeps.forEach(dep => {
+      if (!result._dependencies.has(dep)) {
+        addDependency(dep);
+      }
+    });
+  };
+  
   // Function to perform the computation
+  // Stores the new value (or the error it threw) without notifying and
+  // returns whether readers need to hear about it
   const performComputation = () => {
     const computeStart = performance.now();
     result._computeMetrics.totalComputations++;
+    hasComputed = true;
+    const hadError = result._error !== null;
     
+    // Reads are linked whether or not computeFn throws, so a computed that
+    // failed runs again once what it read changes
+    const dependencies = new Set();
     try {
-      // Perform the actual computation
-      const newValue = computeFn();
-      result.value = newValue;
+      // Perform the actual computation, recording what it reads
+      const { result: newValue } = track(computeFn, dependencies);
+      updateDependencies(dependencies);
+      result._error = null;
+      
+      // The value would be the promise itself, and timing would stop at its creation
+      if (newValue && typeof newValue.then === 'function' && !warnedAboutPromise) {
+        warnedAboutPromise = true;
+        console.warn(`Computed value "${name}" returned a promise; use asyncComputed() for async computations`);
+      }
+      
+      const changed = !result._equals(result._value, newValue);
+      if (changed) {
+        result._value = newValue;
+        result._metrics.writes++;
+      }
       
       const computeEnd = performance.now();
       const thisComputeTime = computeEnd - computeStart;
@@ -61,27 +154,25 @@ function computed(computeFn, deps = [], options = {}) {
         result._computeMetrics.totalComputations;
       
       result._metrics.computeTime += thisComputeTime;
-      ObservabilitySystem.recordMetric('derivedComputeTime', thisComputeTime);
-      
-      // Detect slow computations
-      if (thisComputeTime > 10) { // More than 10ms is considered slow
-        ObservabilitySystem.reportPerformanceIssue({
-          type: 'slowComputation',
-          name: result._computeName,
-          computeTime: thisComputeTime,
-          value: JSON.stringify(newValue).substring(0, 50) // Truncated preview
-        });
-      }
+      // Computations over the computeTime budget are reported as slowComputation issues
+      ObservabilitySystem.recordMetric('derivedComputeTime', thisComputeTime, {
+        name: result._computeName,
+        id: result._id
+      });
       
-      return newValue;
+      // Recovering from an error is a change even if the value is the same
+      return changed || hadError;
     } catch (error) {
+      updateDependencies(dependencies);
+      result._error = error;
       result._computeMetrics.errors++;
       ObservabilitySystem.recordError('computeError', error, { 
         name: result._computeName,
-        dependencies: deps.length
+        dependencies: result._dependencies.size
       });
       console.error(`Error in computed value "${name}":`, error);
-      throw error;
+      // Readers rethrow the error; tell them once, when the computed starts failing
+      return !hadError;
     }
   };
   
@@ -92,49 +183,67 @@ function computed(computeFn, deps = [], options = {}) {
       ...originalGetMetrics.call(this),
       isComputed: true,
       name: this._computeName,
+      dependencies: Array.from(this._dependencies).map(dep => dep._id),
+      error: this._error ? String(this._error.message || this._error) : null,
       compute: { ...this._computeMetrics }
     };
   };
   
+  // Reading a computed whose last run threw rethrows the error. Lazy
+  // computeds run on first read, since until then their dependencies are unknown
+  const valueDescriptor = Object.getOwnPropertyDescriptor(Observable.prototype, 'value');
+  Object.defineProperty(result, 'value', {
+    get() {
+      if (lazy && !hasComputed) {
+        result._update();
+      }
+      // The read is recorded first, so a reader that fails with it recovers with it
+      const value = valueDescriptor.get.call(this);
+      if (result._error !== null) {
+        throw result._error;
+      }
+      return value;
+    },
+    set(newValue) {
+      valueDescriptor.set.call(this, newValue);
+    },
+    configurable: true
+  });
+  
+  // Called by the propagation engine when a dependency has changed
+  result._update = performComputation;
+  
+  // Link explicit dependencies straight away
+  updateDependencies([]);
+  
   // Initial computation (unless lazy)
   if (!lazy) {
-    try {
-      const startTime = performance.now();
-      performComputation();
-      const endTime = performance.now();
-      ObservabilitySystem.recordMetric('initialComputeTime', endTime - startTime);
-    } catch (error) {
+    const startTime = performance.now();
+    performComputation();
+    const endTime = performance.now();
+    ObservabilitySystem.recordMetric('initialComputeTime', endTime - startTime);
+    if (result._error !== null) {
       // Initial computation failed, but we'll try again on dependencies change
-      console.warn(`Initial computation of "${name}" failed:`, error);
+      console.warn(`Initial computation of "${name}" failed:`, result._error);
     }
   }
   
-  // Set up dependency tracking for automatic updates
-  const unsubscribers = deps.map(dep => {
-    if (!dep || typeof dep.subscribe !== 'function') {
-      console.warn('Invalid dependency provided to computed value:', dep);
-      return () => {};
+  // Method to manually recompute; throws if the computation does
+  result.recompute = () => {
+    const oldValue = result._value;
+    if (performComputation()) {
+      scheduleChange(result, oldValue);
     }
-    
-    return dep.subscribe(() => {
-      try {
-        performComputation();
-      } catch (error) {
-        // Already logged in performComputation
-      }
-    });
-  });
-  
-  // Method to manually recompute
-  result.recompute = performComputation;
+    if (result._error !== null) {
+      throw result._error;
+    }
+    return result._value;
+  };
   
-  // Method to clean up subscriptions
+  // Method to clean up subscriptions and release the computed from the registry
   result.dispose = () => {
-    unsubscribers.forEach(unsubscribe => {
-      if (typeof unsubscribe === 'function') {
-        unsubscribe();
-      }
-    });
+    Array.from(result._dependencies).forEach(removeDependency);
+    Observable.prototype.dispose.call(result);
   };
   
   return result;
@@ -0,0 +1,214 @@
+/**
+ * Effect - Side effects that rerun when the observables they read change
+ *
+ * An effect runs once when created and again whenever an observable it read
+ * on its last run changes. Effects take part in propagation like computeds,
+ * but run after every computed is up to date, next to subscribers. If the
+ * function returns a cleanup function, it runs before the next run and on
+ * dispose.
+ */
+
+import { ObservabilitySystem } from './observability.js';
+import { track } from './tracking.js';
+import { link, unlink } from './propagation.js';
+import { withCause } from './causality.js';
+
+// An effect that keeps invalidating itself is stopped after this many reruns
+const MAX_RERUNS = 100;
+
+class Effect {
+  /**
+   * Create and run an effect
+   * @param {Function} fn - Side effect; may return a cleanup function
+   * @param {Object} options - Effect options
+   * @param {string} options.name - Name for debugging and metrics
+   */
+  constructor(fn, options = {}) {
+    this._fn = fn;
+    this._name = options.name || 'effect';
+    this._dependencies = new Set();
+    this._dependents = new Set(); // Always empty; needed by the propagation engine
+    this._cleanup = null;
+    this._cause = null;
+    this._running = false;
+    this._rerun = false;
+    this._disposed = false;
+    
+    this._metrics = {
+      runs: 0,
+      totalTime: 0,
+      lastRunTime: 0,
+      errors: 0,
+      cleanups: 0,
+      createdAt: Date.now()
+    };
+    
+    this._id = ObservabilitySystem.registerEffect(this);
+    this.run();
+  }
+  
+  /**
+   * Run the effect now, after cleaning up the previous run
+   * A run requested while the effect is running (it wrote to something it
+   * reads) happens right after the current one finishes.
+   */
+  run() {
+    if (this._disposed) return;
+    if (this._running) {
+      this._rerun = true;
+      return;
+    }
+    
+    this._running = true;
+    try {
+      let reruns = 0;
+      do {
+        this._rerun = false;
+        this._runOnce();
+      } while (this._rerun && !this._disposed && ++reruns < MAX_RERUNS);
+      
+      if (this._rerun) {
+        this._rerun = false;
+        ObservabilitySystem.recordError('effectLoop', new Error(`Effect "${this._name}" kept invalidating itself`), {
+          name: this._name,
+          id: this._id
+        });
+      }
+    } finally {
+      this._running = false;
+    }
+  }
+  
+  /**
+   * Clean up, run the function once and relink dependencies
+   * @private
+   */
+  _runOnce() {
+    const startTime = performance.now();
+    this._runCleanup();
+    
+    // Reads are linked whether or not the function throws, so an effect
+    // that failed runs again once what it read changes
+    const dependencies = new Set();
+    try {
+      const { result } = track(this._fn, dependencies);
+      this._updateDependencies(dependencies);
+      if (typeof result === 'function') {
+        this._cleanup = result;
+      }
+    } catch (error) {
+      this._updateDependencies(dependencies);
+      this._metrics.errors++;
+      ObservabilitySystem.recordError('effectError', error, {
+        name: this._name,
+        id: this._id
+      });
+      console.error(`Error in effect "${this._name}":`, error);
+    }
+    
+    const runTime = performance.now() - startTime;
+    this._metrics.runs++;
+    this._metrics.totalTime += runTime;
+    this._metrics.lastRunTime = runTime;
+    ObservabilitySystem._metrics.global.effectRuns++;
+    ObservabilitySystem.recordMetric('effectTime', runTime, {
+      name: this._name,
+      id: this._id
+    });
+  }
+  
+  /**
+   * Call and forget the cleanup returned by the previous run
+   * @private
+   */
+  _runCleanup() {
+    const cleanup = this._cleanup;
+    if (!cleanup) return;
+    this._cleanup = null;
+    this._metrics.cleanups++;
+    
+    try {
+      cleanup();
+    } catch (error) {
+      ObservabilitySystem.recordError('effectCleanupError', error, {
+        name: this._name,
+        id: this._id
+      });
+      console.error(`Error cleaning up effect "${this._name}":`, error);
+    }
+  }
+  
+  /**
+   * Link newly read observables and drop the ones no longer read
+   * @private
+   */
+  _updateDependencies(tracked) {
+    Array.from(this._dependencies).forEach(dep => {
+      if (!tracked.has(dep)) unlink(dep, this);
+    });
+    
+    tracked.forEach(dep => {
+      // Only reactive nodes can be linked; anything else with a subscribe method isn't tracked
+      if (!this._dependencies.has(dep) && dep._dependents) link(dep, this);
+    });
+  }
+  
+  /**
+   * Called by the propagation engine when a dependency changed
+   * The effect runs in the notification phase, once the graph is consistent.
+   * @returns {boolean} Always true
+   * @private
+   */
+  _update() {
+    return true;
+  }
+  
+  /**
+   * Called by the propagation engine once computeds are up to date
+   * @private
+   */
+  _notify() {
+    withCause(this._cause, () => this.run());
+  }
+  
+  /**
+   * Stop the effect: run its cleanup and unlink it from what it reads
+   */
+  dispose() {
+    if (this._disposed) return;
+    this._disposed = true;
+    this._runCleanup();
+    Array.from(this._dependencies).forEach(dep => unlink(dep, this));
+    ObservabilitySystem.unregisterEffect(this._id);
+  }
+  
+  /**
+   * Get performance metrics for this effect
+   * @returns {Object} Metrics data
+   */
+  getMetrics() {
+    return {
+      id: this._id,
+      name: this._name,
+      disposed: this._disposed,
+      dependencies: Array.from(this._dependencies).map(dep => dep._id),
+      averageRunTime: this._metrics.runs > 0 ? this._metrics.totalTime / this._metrics.runs : 0,
+      ...this._metrics
+    };
+  }
+}
+
+/**
+ * Run a side effect now and whenever the observables it reads change
+ * @param {Function} fn - Side effect; may return a cleanup function
+ * @param {Object} options - Effect options ({ name })
+ * @returns {Effect} The effect; call dispose() to stop it
+ */
+function effect(fn, options = {}) {
+  if (typeof fn !== 'function') {
+    throw new Error('effect requires a function');
+  }
+  return new Effect(fn, options);
+}
+
+export { Effect, effect };
\ No newline at end of file
@@ -0,0 +1,128 @@
+/**
+ * Equality - Comparators used to decide whether a write changed a value
+ *
+ * Observables take an `equals` option: 'identity' (the default, Object.is),
+ * 'shallow', 'deep', or a custom (a, b) => boolean function.
+ */
+
+/**
+ * Compare the own keys (or entries) of two values with Object.is
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} True if equal one level deep
+ */
+function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+  
+  if (a instanceof Map) {
+    if (a.size !== b.size) return false;
+    for (const [key, value] of a) {
+      if (!b.has(key) || !Object.is(value, b.get(key))) return false;
+    }
+    return true;
+  }
+  
+  if (a instanceof Set) {
+    if (a.size !== b.size) return false;
+    for (const value of a) {
+      if (!b.has(value)) return false;
+    }
+    return true;
+  }
+  
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+}
+
+/**
+ * Compare two values structurally
+ * Handles arrays, plain objects, Dates, Maps, Sets and cycles.
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} True if structurally equal
+ */
+function deepEqual(a, b) {
+  // Pairs already being compared, so cycles are assumed equal on revisit
+  const visiting = new Map();
+  
+  const equal = (x, y) => {
+    if (Object.is(x, y)) return true;
+    if (!x || !y || typeof x !== 'object' || typeof y !== 'object') return false;
+    if (Object.getPrototypeOf(x) !== Object.getPrototypeOf(y)) return false;
+    
+    if (x instanceof Date) return x.getTime() === y.getTime();
+    
+    let seen = visiting.get(x);
+    if (seen && seen.has(y)) return true;
+    if (!seen) {
+      seen = new Set();
+      visiting.set(x, seen);
+    }
+    seen.add(y);
+    
+    if (x instanceof Map) {
+      if (x.size !== y.size) return false;
+      for (const [key, value] of x) {
+        if (!y.has(key) || !equal(value, y.get(key))) return false;
+      }
+      return true;
+    }
+    
+    if (x instanceof Set) {
+      if (x.size !== y.size) return false;
+      for (const value of x) {
+        if (!y.has(value)) return false;
+      }
+      return true;
+    }
+    
+    const keysX = Object.keys(x);
+    const keysY = Object.keys(y);
+    if (keysX.length !== keysY.length) return false;
+    return keysX.every(key => Object.prototype.hasOwnProperty.call(y, key) && equal(x[key], y[key]));
+  };
+  
+  return equal(a, b);
+}
+
+const COMPARATORS = {
+  identity: Object.is,
+  shallow: shallowEqual,
+  deep: deepEqual
+};
+
+/**
+ * Turn an equals option into a comparator
+ * @param {string|Function} equals - 'identity', 'shallow', 'deep' or a comparator
+ * @returns {Function} (a, b) => boolean
+ */
+function resolveEquals(equals = 'identity') {
+  if (typeof equals === 'function') return equals;
+  if (!COMPARATORS[equals]) {
+    throw new Error(`Unknown equality: ${equals}`);
+  }
+  return COMPARATORS[equals];
+}
+
+/**
+ * Copy a value so later in-place mutation doesn't change the copy
+ * Falls back to the value itself when it can't be cloned (e.g. it holds functions).
+ * @param {any} value - Value to copy
+ * @returns {any} Deep copy, or the value
+ */
+function cloneValue(value) {
+  if (value === null || typeof value !== 'object' || typeof structuredClone !== 'function') {
+    return value;
+  }
+  try {
+    return structuredClone(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+export { shallowEqual, deepEqual, resolveEquals, cloneValue };
\ No newline at end of file
@@ -0,0 +1,193 @@
+/**
+ * Graph - Snapshot of the reactive graph for introspection and devtools
+ *
+ * Nodes are the registered observables (plain, computed, async computed,
+ * store paths, operator outputs and from() streams), effects and components. Edges point the way changes flow:
+ * - dependency: from a value to a computed, store path or effect that reads it
+ * - subscription: from an observable to a component subscribed to it
+ * - operator: from an operator's source to its output
+ * - child: from a parent component to a component rendered inside it
+ */
+
+const RECENT_WRITES = 5;
+
+/**
+ * Render a value as a short string for display
+ * @param {any} value - Value to preview
+ * @returns {string} At most 100 characters
+ */
+function previewValue(value) {
+  try {
+    return String(JSON.stringify(value)).substring(0, 100);
+  } catch (error) {
+    // Cyclic values and BigInts can't be stringified
+    return String(value).substring(0, 100);
+  }
+}
+
+/**
+ * Work out what kind of node an observable is
+ * @param {Object} observable - Registered observable
+ * @param {Object} metrics - Its metrics
+ * @returns {string} 'observable', 'computed', 'asyncComputed', 'storePath', 'operator' or 'stream'
+ */
+function observableType(observable, metrics) {
+  if (observable._operator) return 'operator';
+  if (observable._stream) return 'stream';
+  if (observable._storePath !== undefined) return 'storePath';
+  if (metrics.isAsync) return 'asyncComputed';
+  if (metrics.isComputed) return 'computed';
+  return 'observable';
+}
+
+/**
+ * Describe a registered observable as a graph node
+ * @param {Object} observable - Registered observable
+ * @param {string} id - Its registry id
+ * @returns {Object} Node
+ */
+function observableNode(observable, id) {
+  const metrics = observable.getMetrics();
+  const type = observableType(observable, metrics);
+  
+  // Write history is only kept in detailed mode
+  const recentWrites = (observable._metrics.history || [])
+    .filter(entry => entry.type === 'write')
+    .slice(-RECENT_WRITES)
+    .map(entry => ({
+      timestamp: entry.timestamp,
+      oldValue: previewValue(entry.oldValue),
+      newValue: previewValue(entry.newValue)
+    }));
+  
+  return {
+    id,
+    type,
+    label: metrics.name || (metrics.key !== undefined ? metrics.key : id),
+    key: metrics.key,
+    value: previewValue(observable._value),
+    metrics: {
+      reads: metrics.reads,
+      writes: metrics.writes,
+      subscribers: observable._subscribers.size,
+      skippedWrites: metrics.skippedWrites,
+      wastedWrites: metrics.wastedWrites,
+      computeTime: metrics.computeTime,
+      ...(metrics.compute ? { compute: metrics.compute } : {}),
+      ...(metrics.operator ? { operator: metrics.operator } : {}),
+      ...(metrics.stream ? { stream: metrics.stream } : {})
+    },
+    recentWrites
+  };
+}
+
+/**
+ * Describe a registered component as a graph node
+ * @param {Object} component - Registered component
+ * @param {string} id - Its registry id
+ * @returns {Object} Node
+ */
+function componentNode(component, id) {
+  const metrics = component.getMetrics();
+  
+  return {
+    id,
+    type: 'component',
+    label: component.constructor.name,
+    metrics: {
+      mounted: metrics.mounted,
+      renders: metrics.renders,
+      renderTime: metrics.renderTime,
+      lastRenderTime: metrics.lastRenderTime,
+      updates: metrics.updates,
+      subscriptions: component._sources ? component._sources.size : 0
+    },
+    recentWrites: []
+  };
+}
+
+/**
+ * Build the graph of everything registered with the observability system
+ * @param {Object} system - The ObservabilitySystem
+ * @returns {Object} { nodes, edges }
+ */
+function buildDependencyGraph(system) {
+  const nodes = [];
+  const edges = [];
+  const observables = new Map(); // observable -> id, for live observables only
+  
+  system._forEachObservable((observable, id) => {
+    observables.set(observable, id);
+  });
+  
+  observables.forEach((id, observable) => {
+    try {
+      nodes.push(observableNode(observable, id));
+    } catch (error) {
+      system.recordError('graphError', error, { id });
+      return;
+    }
+    
+    (observable._dependents || new Set()).forEach(dependent => {
+      // Disposed dependents are left out with their node
+      if (observables.has(dependent)) {
+        edges.push({ from: id, to: observables.get(dependent), type: 'dependency' });
+      }
+    });
+    
+    if (observable._operator) {
+      observable._operator.sources.forEach(source => {
+        if (observables.has(source)) {
+          edges.push({ from: observables.get(source), to: id, type: 'operator' });
+        }
+      });
+    }
+  });
+  
+  system._components.forEach((component, id) => {
+    try {
+      nodes.push(componentNode(component, id));
+    } catch (error) {
+      system.recordError('graphError', error, { id });
+      return;
+    }
+    
+    (component._sources || new Map()).forEach((count, observable) => {
+      if (observables.has(observable)) {
+        edges.push({ from: observables.get(observable), to: id, type: 'subscription' });
+      }
+    });
+  });
+  
+  system._effects.forEach((effect, id) => {
+    const metrics = effect.getMetrics();
+    nodes.push({
+      id,
+      type: 'effect',
+      label: metrics.name,
+      metrics: {
+        runs: metrics.runs,
+        averageRunTime: metrics.averageRunTime,
+        lastRunTime: metrics.lastRunTime,
+        errors: metrics.errors
+      },
+      recentWrites: []
+    });
+    
+    effect._dependencies.forEach(dep => {
+      if (observables.has(dep)) {
+        edges.push({ from: observables.get(dep), to: id, type: 'dependency' });
+      }
+    });
+  });
+  
+  system._componentParents.forEach((parentId, childId) => {
+    if (system._components.has(parentId) && system._components.has(childId)) {
+      edges.push({ from: parentId, to: childId, type: 'child' });
+    }
+  });
+  
+  return { nodes, edges };
+}
+
+export { buildDependencyGraph, previewValue };
\ No newline at end of file
@@ -10,15 +10,40 @@
 
 import { Observable } from './observable.js';
 import { computed } from './computed.js';
+import { asyncComputed } from './async-computed.js';
+import { Effect, effect } from './effect.js';
+import { batch } from './propagation.js';
 import { ObservabilitySystem } from './observability.js';
+import { OTLPExporter, createOTLPExporter } from './otlp-exporter.js';
+import { TimeTravel } from './time-travel.js';
+import { snapshot, hydrate } from './snapshot.js';
+import { createStore, storePath, disposeStore } from './store.js';
+import { getCurrentCause, traceRender } from './causality.js';
+import {
+  map,
+  filter,
+  distinctUntilChanged,
+  debounce,
+  throttle,
+  combineLatest,
+  merge
+} from './operators.js';
+import { from } from './interop.js';
+import {
+  createConsoleSink,
+  createLocalStorageSink,
+  createBeaconSink,
+  createRecorderSink
+} from './sinks.js';
 
 /**
  * Create a new reactive value
  * @param {any} initialValue - Initial value
+ * @param {Object} options - Observable options ({ key, equals, name, tags })
  * @returns {Observable} - Observable instance
  */
-function createObservable(initialValue) {
-  return new Observable(initialValue);
+function createObservable(initialValue, options = {}) {
+  return new Observable(initialValue, options);
 }
 
 /**
@@ -55,6 +80,42 @@ function findHotspots() {
   return ObservabilitySystem.findHotspots();
 }
 
+/**
+ * Get the reactive graph of observables, computeds and components
+ * @returns {Object} - { nodes, edges } with per-node metrics
+ */
+function getDependencyGraph() {
+  return ObservabilitySystem.getDependencyGraph();
+}
+
+/**
+ * Get percentile statistics for a metric over a rolling window
+ * @param {string} name - Metric name, e.g. 'componentRenderTime'
+ * @param {Object} options - Query options ({ window: '1m' | '5m' | '15m', groupBy })
+ * @returns {Object} - Statistics, or statistics per tag value when grouped
+ */
+function getStats(name, options = {}) {
+  return ObservabilitySystem.getStats(name, options);
+}
+
+/**
+ * Attach a sink that receives recorded metrics, errors and performance issues
+ * @param {Function|Object} sink - Sink function, or object with handle(event)
+ * @param {Object} filter - Optional { types, names, tags } filter
+ * @returns {Function} - Function that detaches the sink
+ */
+function use(sink, filter) {
+  return ObservabilitySystem.use(sink, filter);
+}
+
+/**
+ * Throw if any performance budget is exceeded (for tests and CI)
+ * @returns {Array<Object>} - Empty array when every budget is met
+ */
+function assertBudgets() {
+  return ObservabilitySystem.assertBudgets();
+}
+
 /**
  * Reset all metrics
  */
@@ -75,30 +136,98 @@ export {
   // Core classes
   Observable,
   computed,
+  asyncComputed,
+  effect,
+  Effect,
+  batch,
+  snapshot,
+  hydrate,
   ObservabilitySystem,
+  OTLPExporter,
+  TimeTravel,
   
   // Helper functions
   createObservable,
+  createStore,
+  storePath,
+  disposeStore,
   configure,
   startMonitoring,
   getMetrics,
   findHotspots,
+  getDependencyGraph,
+  getStats,
+  use,
+  assertBudgets,
   resetMetrics,
-  exportMetrics
+  exportMetrics,
+  createOTLPExporter,
+  
+  // Event sinks
+  createConsoleSink,
+  createLocalStorageSink,
+  createBeaconSink,
+  createRecorderSink,
+  
+  // Operators
+  map,
+  filter,
+  distinctUntilChanged,
+  debounce,
+  throttle,
+  combineLatest,
+  merge,
+  
+  // Interop with RxJS, promises, async iterables and events
+  from,
+  
+  // Causal tracing, for component libraries
+  getCurrentCause,
+  traceRender
 };
 
 // Export a default configuration
 export default {
   Observable,
   computed,
+  asyncComputed,
+  effect,
+  Effect,
+  batch,
+  snapshot,
+  hydrate,
   ObservabilitySystem,
+  OTLPExporter,
+  TimeTravel,
   createObservable,
+  createStore,
+  storePath,
+  disposeStore,
   configure,
   startMonitoring,
   getMetrics,
   findHotspots,
+  getDependencyGraph,
+  getStats,
+  use,
+  assertBudgets,
   resetMetrics,
   exportMetrics,
+  createOTLPExporter,
+  createConsoleSink,
+  createLocalStorageSink,
+  createBeaconSink,
+  createRecorderSink,
+  map,
+  filter,
+  distinctUntilChanged,
+  debounce,
+  throttle,
+  combineLatest,
+  merge,
+  from,
+  getCurrentCause,
+  traceRender,
   
   // Initialize with sensible defaults
   init(options = {}) {
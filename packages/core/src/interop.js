@@ -0,0 +1,217 @@
+/**
+ * Interop - Observables from RxJS, promises, async iterables and events
+ *
+ * from() turns another source of values into a registered Observable that
+ * takes each value the source produces. The other direction needs no
+ * adapter: every Observable implements Symbol.observable (so RxJS's from()
+ * accepts it), Symbol.asyncIterator (for await) and subscribe({ next, error,
+ * complete }).
+ *
+ * A source that completes or fails ends its Observable: observers get
+ * complete() or error(), the duration from from() to the end is recorded as
+ * streamTime tagged { name, source, outcome }, and the completedStreams or
+ * failedStreams counter goes up. Failures are also recorded as streamError.
+ */
+
+import { Observable, OBSERVABLE } from './observable.js';
+import { ObservabilitySystem } from './observability.js';
+
+/**
+ * Work out what kind of source a value is
+ * @param {any} input - Value passed to from()
+ * @returns {string|null} 'observable', 'promise', 'asyncIterable' or 'eventTarget', or null
+ */
+function sourceType(input) {
+  if (input === null || (typeof input !== 'object' && typeof input !== 'function')) return null;
+  if (typeof input[OBSERVABLE] === 'function' || typeof input['@@observable'] === 'function') return 'observable';
+  if (typeof input.then === 'function') return 'promise';
+  if (typeof input[Symbol.asyncIterator] === 'function') return 'asyncIterable';
+  if (typeof input.addEventListener === 'function') return 'eventTarget';
+  // Observable-like objects that don't implement the interop method
+  if (typeof input.subscribe === 'function') return 'observable';
+  return null;
+}
+
+/**
+ * Subscribe to an RxJS (or other TC39-style) observable
+ * @returns {Function} Teardown
+ * @private
+ */
+function connectObservable(input, { emit, finish }) {
+  const interop = typeof input[OBSERVABLE] === 'function'
+    ? input[OBSERVABLE]()
+    : typeof input['@@observable'] === 'function' ? input['@@observable']() : input;
+  
+  const subscription = interop.subscribe({
+    next: emit,
+    error: error => finish(true, error),
+    complete: () => finish()
+  });
+  
+  return () => {
+    if (typeof subscription === 'function') {
+      subscription();
+    } else if (subscription && typeof subscription.unsubscribe === 'function') {
+      subscription.unsubscribe();
+    }
+  };
+}
+
+/**
+ * Take a promise's value, then complete
+ * @returns {Function} Teardown
+ * @private
+ */
+function connectPromise(input, { emit, finish }) {
+  Promise.resolve(input).then(
+    value => {
+      emit(value);
+      finish();
+    },
+    error => finish(true, error)
+  );
+  // A promise can't be cancelled; its settlement is ignored once disposed
+  return () => {};
+}
+
+/**
+ * Take each value of an async iterable, then complete
+ * @returns {Function} Teardown
+ * @private
+ */
+function connectAsyncIterable(input, { emit, finish, isActive }) {
+  const iterator = input[Symbol.asyncIterator]();
+  
+  const pull = () => {
+    Promise.resolve(iterator.next()).then(
+      ({ value, done }) => {
+        if (!isActive()) return;
+        if (done) {
+          finish();
+          return;
+        }
+        emit(value);
+        pull();
+      },
+      error => finish(true, error)
+    );
+  };
+  pull();
+  
+  return () => {
+    if (typeof iterator.return === 'function') {
+      // Let the iterator run its finally blocks; errors there don't matter any more
+      Promise.resolve(iterator.return()).catch(() => {});
+    }
+  };
+}
+
+/**
+ * Take each event of one type from an EventTarget; never completes
+ * @returns {Function} Teardown
+ * @private
+ */
+function connectEventTarget(input, { emit }, options) {
+  if (!options.event) {
+    throw new Error('from() needs options.event to listen to an EventTarget');
+  }
+  
+  input.addEventListener(options.event, emit);
+  return () => input.removeEventListener(options.event, emit);
+}
+
+const CONNECTORS = {
+  observable: connectObservable,
+  promise: connectPromise,
+  asyncIterable: connectAsyncIterable,
+  eventTarget: connectEventTarget
+};
+
+/**
+ * Create an Observable that takes the values of another source
+ * @param {Object|Promise} input - RxJS/TC39 observable, promise, async iterable or EventTarget
+ * @param {Object} options - Options
+ * @param {string} options.name - Name for debugging and metrics (default 'from(<source type>)')
+ * @param {any} options.initialValue - Value until the source produces one
+ * @param {string} options.event - Event type to listen to, for an EventTarget
+ * @param {string|Function} options.equals - Equality used to skip repeated values
+ * @returns {Observable} The observable; an Observable input is returned as is
+ */
+function from(input, options = {}) {
+  if (input instanceof Observable) return input;
+  
+  const source = sourceType(input);
+  if (!source) {
+    throw new Error('from() requires an observable, promise, async iterable or EventTarget');
+  }
+  
+  const name = options.name || `from(${source})`;
+  const output = new Observable(options.initialValue, { name, equals: options.equals });
+  const startTime = performance.now();
+  const stream = {
+    source,
+    state: 'active', // 'complete', 'error' or 'disposed' later
+    values: 0,
+    startedAt: Date.now(),
+    endedAt: null,
+    error: null
+  };
+  output._stream = stream;
+  
+  const isActive = () => stream.state === 'active';
+  
+  const emit = (value) => {
+    if (!isActive()) return;
+    stream.values++;
+    output.value = value;
+  };
+  
+  const finish = (failed = false, failure) => {
+    if (!isActive()) return;
+    stream.state = failed ? 'error' : 'complete';
+    stream.endedAt = Date.now();
+    
+    const tags = { name, source, outcome: stream.state };
+    ObservabilitySystem.recordMetric('streamTime', performance.now() - startTime, tags);
+    if (failed) {
+      const error = failure instanceof Error ? failure : new Error(String(failure));
+      stream.error = error.message;
+      ObservabilitySystem._metrics.global.failedStreams++;
+      ObservabilitySystem.recordError('streamError', error, { name, source });
+    } else {
+      ObservabilitySystem._metrics.global.completedStreams++;
+    }
+    
+    output._end(failed, failure);
+  };
+  
+  let teardown;
+  try {
+    teardown = CONNECTORS[source](input, { emit, finish, isActive }, options);
+  } catch (error) {
+    // Nothing to listen to; release the registry entry
+    output.dispose();
+    throw error;
+  }
+  
+  output.dispose = () => {
+    if (isActive()) {
+      stream.state = 'disposed';
+      stream.endedAt = Date.now();
+    }
+    teardown();
+    Observable.prototype.dispose.call(output);
+  };
+  
+  const originalGetMetrics = output.getMetrics;
+  output.getMetrics = function() {
+    return {
+      ...originalGetMetrics.call(this),
+      stream: { ...stream }
+    };
+  };
+  
+  return output;
+}
+
+export { from };
\ No newline at end of file
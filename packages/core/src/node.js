@@ -0,0 +1,122 @@
+/**
+ * ObservableJS Core - Node.js integration
+ *
+ * Serves the collected metrics over HTTP for server-side applications:
+ * the Prometheus text format at /metrics and the JSON from getMetrics(true)
+ * at /metrics.json. Use the middleware with an existing server (Express,
+ * Connect or a plain http.createServer handler), or start a small built-in
+ * server with startMetricsServer().
+ *
+ * @module observablejs/core/node
+ */
+
+import http from 'node:http';
+import { ObservabilitySystem } from './index.js';
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Send a response body with its content type
+ * @private
+ */
+function send(res, status, contentType, body, isHead) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Length', Buffer.byteLength(body));
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(isHead ? undefined : body);
+}
+
+/**
+ * Create a request handler that serves the metrics endpoints
+ * Requests for other paths are passed to next(), or answered with 404
+ * when there is no next (plain http.createServer usage).
+ * @param {Object} options - Middleware options
+ * @param {string} options.path - Path for the Prometheus format (default '/metrics')
+ * @param {string} options.jsonPath - Path for the JSON format (default '/metrics.json')
+ * @returns {Function} Handler taking (req, res, next)
+ */
+function createMetricsMiddleware(options = {}) {
+  const prometheusPath = options.path || '/metrics';
+  const jsonPath = options.jsonPath || '/metrics.json';
+  
+  return function metricsMiddleware(req, res, next) {
+    const path = (req.url || '/').split('?')[0];
+    
+    if (path !== prometheusPath && path !== jsonPath) {
+      if (typeof next === 'function') return next();
+      send(res, 404, 'text/plain; charset=utf-8', 'Not Found\n', false);
+      return;
+    }
+    
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      send(res, 405, 'text/plain; charset=utf-8', 'Method Not Allowed\n', false);
+      return;
+    }
+    
+    const isHead = req.method === 'HEAD';
+    
+    try {
+      if (path === prometheusPath) {
+        send(res, 200, PROMETHEUS_CONTENT_TYPE, ObservabilitySystem.exportToPrometheus(), isHead);
+      } else {
+        send(res, 200, 'application/json; charset=utf-8', JSON.stringify(ObservabilitySystem.getMetrics(true)), isHead);
+      }
+    } catch (error) {
+      ObservabilitySystem.recordError('metricsEndpointError', error, { path });
+      send(res, 500, 'text/plain; charset=utf-8', 'Internal Server Error\n', isHead);
+    }
+  };
+}
+
+/**
+ * Start a standalone HTTP server for the metrics endpoints
+ * Also starts periodic collection, so memory and event-loop lag are sampled.
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on (default 9464, 0 for any free port)
+ * @param {string} options.host - Host to bind (default '127.0.0.1'; '0.0.0.0' to listen on every interface)
+ * @param {string} options.path - Path for the Prometheus format (default '/metrics')
+ * @param {string} options.jsonPath - Path for the JSON format (default '/metrics.json')
+ * @param {number|boolean} options.collectInterval - Collection interval in ms, or false to skip collection (default 5000)
+ * @returns {Promise<Object>} Resolves with { server, port, url, close } once listening
+ */
+function startMetricsServer(options = {}) {
+  const port = options.port !== undefined ? options.port : 9464;
+  const host = options.host || '127.0.0.1';
+  const collectInterval = options.collectInterval !== undefined ? options.collectInterval : 5000;
+  
+  const server = http.createServer(createMetricsMiddleware(options));
+  
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      
+      const stopCollection = collectInterval
+        ? ObservabilitySystem.startPeriodicCollection(collectInterval)
+        : null;
+      const address = server.address();
+      const displayHost = host === '0.0.0.0' || host === '::' ? 'localhost' : host;
+      
+      resolve({
+        server,
+        port: address.port,
+        url: `http://${displayHost}:${address.port}${options.path || '/metrics'}`,
+        close() {
+          if (stopCollection) stopCollection();
+          return new Promise((resolveClose, rejectClose) => {
+            server.close(error => (error ? rejectClose(error) : resolveClose()));
+          });
+        }
+      });
+    });
+  });
+}
+
+export { createMetricsMiddleware, startMetricsServer };
+
+export default {
+  createMetricsMiddleware,
+  startMetricsServer
+};
\ No newline at end of file
@@ -5,24 +5,135 @@
  * Provides tools for identifying performance bottlenecks and visualizing metrics.
  */
 
+import { PrometheusRegistry } from './prometheus.js';
+import { MetricStats } from './stats.js';
+import { BudgetSet } from './budgets.js';
+import { buildDependencyGraph } from './graph.js';
+
 // Unique ID generator
 let nextId = 1;
 function generateId(prefix = 'obs') {
   return `${prefix}_${nextId++}`;
 }
 
+// Resolve a registry entry that may be held through a WeakRef
+function derefEntry(entry) {
+  return typeof WeakRef !== 'undefined' && entry instanceof WeakRef ? entry.deref() : entry;
+}
+
+// Cleans up registry entries for observables that were garbage collected
+// while weak tracking was enabled. Created lazily where supported.
+let finalizationRegistry = null;
+
+// A sink that fails this many times in a row is detached
+const MAX_CONSECUTIVE_SINK_FAILURES = 10;
+
+// Issue type and value field for metrics whose budget violations predate budgets
+const BUDGET_ISSUES = {
+  componentRenderTime: { type: 'slowRender', field: 'renderTime' },
+  derivedComputeTime: { type: 'slowComputation', field: 'computeTime' },
+  asyncComputeTime: { type: 'slowAsyncComputation', field: 'computeTime' }
+};
+
+/**
+ * List the sources that caused the most renders
+ * @param {Object} renderSources - Source name -> render count
+ * @param {number} limit - Maximum entries
+ * @returns {Array<Object>} [{ source, renders }], most renders first
+ */
+function topRenderSources(renderSources = {}, limit) {
+  return Object.keys(renderSources)
+    .map(source => ({ source, renders: renderSources[source] }))
+    .sort((a, b) => b.renders - a.renders)
+    .slice(0, limit);
+}
+
+/**
+ * Check a value against a filter entry (exact value or RegExp)
+ * @param {string|RegExp} expected - Filter entry
+ * @param {any} actual - Value to test
+ * @returns {boolean} True if it matches
+ */
+function matchesValue(expected, actual) {
+  return expected instanceof RegExp ? expected.test(String(actual)) : expected === actual;
+}
+
+/**
+ * Check an event against a sink filter
+ * @param {Object} filter - { types, names, tags }
+ * @param {Object} event - Observability event
+ * @returns {boolean} True if the sink should receive the event
+ */
+function matchesFilter(filter, event) {
+  if (filter.types && !filter.types.includes(event.type)) return false;
+  if (filter.names && !filter.names.some(name => matchesValue(name, event.name))) return false;
+  if (filter.tags) {
+    return Object.keys(filter.tags).every(tag => matchesValue(filter.tags[tag], event.tags[tag]));
+  }
+  return true;
+}
+
 /**
  * The central observability system that collects and analyzes metrics
  */
 const ObservabilitySystem = {
   _observables: new Map(),
+  _keys: new Map(), // user-chosen observable key -> id
   _components: new Map(),
+  _componentParents: new Map(), // child component id -> parent component id
+  _effects: new Map(),
+  _registryStats: {
+    disposedObservables: 0,
+    collectedObservables: 0,
+    unmountedComponents: 0,
+    disposedEffects: 0
+  },
+  // Counts from instances no longer in the registry, so totals never go backwards
+  _retiredTotals: {
+    reads: 0,
+    writes: 0,
+    renders: 0
+  },
+  // Counter values folded in by resetMetrics(), so exported counters stay monotonic
+  _counterBase: {
+    slowRenders: 0,
+    avoidedComputations: 0,
+    scheduledRenders: 0,
+    coalescedUpdates: 0,
+    skippedWrites: 0,
+    wastedWrites: 0,
+    effectRuns: 0,
+    droppedValues: 0,
+    completedStreams: 0,
+    failedStreams: 0
+  },
+  // Lifetime counts; the errors and issues arrays are trimmed, these are not
+  _eventTotals: {
+    errors: 0,
+    performanceIssues: 0
+  },
+  _lastResetAt: Date.now(),
+  _prometheus: new PrometheusRegistry(),
+  _stats: new MetricStats(),
+  _budgets: new BudgetSet(),
+  _sinks: [],
+  _emitting: false, // true while sinks run, so events they cause aren't sent back to them
   _metrics: {
     global: {
       totalReads: 0,
       totalWrites: 0,
       totalRenders: 0,
       slowRenders: 0,
+      avoidedComputations: 0,
+      scheduledRenders: 0,
+      coalescedUpdates: 0,
+      skippedWrites: 0, // writes equal to the current value, not notified
+      wastedWrites: 0, // notified writes that changed nothing structurally (detailed mode)
+      effectRuns: 0,
+      droppedValues: 0, // values operators didn't pass on
+      completedStreams: 0, // from() sources that completed
+      failedStreams: 0, // from() sources that failed
+      eventLoopLag: 0,
       memoryUsage: [],
       performanceIssues: [],
       errors: []
@@ -36,18 +147,122 @@ const ObservabilitySystem = {
   maxHistoryItems: 1000, // Maximum number of history items to keep
   maxIssues: 100, // Maximum number of performance issues to track
   maxErrors: 50, // Maximum number of errors to track
+  maxObservableHistory: 100, // Reads and writes kept per observable in detailed mode
+  maxWriteLogEntries: 1000, // Entries in the global write log used by TimeTravel
+  weakRegistry: false, // Hold observables weakly so dropped ones can be garbage collected
   
   /**
    * Register an observable with the system
    * @param {Object} observable - The observable to register
+   * @param {string} key - Optional stable key; must be unique among live observables
    * @returns {string} ID for the observable
    */
-  register(observable) {
+  register(observable, key) {
+    if (key !== undefined) {
+      const existing = this._keys.get(key);
+      if (existing !== undefined && this._getObservable(existing)) {
+        throw new Error(`An observable with key "${key}" is already registered`);
+      }
+    }
+    
     const id = generateId('obs');
-    this._observables.set(id, observable);
+    this._observables.set(id, this._holdObservable(id, observable));
+    if (key !== undefined) {
+      this._keys.set(key, id);
+    }
     return id;
   },
   
+  /**
+   * Look up a live observable by the key it was created with
+   * @param {string} key - Observable key
+   * @returns {Object|undefined} The observable, or undefined if none
+   */
+  getObservableByKey(key) {
+    const id = this._keys.get(key);
+    return id === undefined ? undefined : this._getObservable(id);
+  },
+  
+  /**
+   * Remove a disposed observable from the registry
+   * @param {string} id - ID returned by register()
+   */
+  unregister(id) {
+    const observable = this._getObservable(id);
+    if (!this._observables.delete(id)) return;
+    
+    if (observable && observable._key !== undefined && this._keys.get(observable._key) === id) {
+      this._keys.delete(observable._key);
+    }
+    
+    if (observable) {
+      this._retireObservableMetrics(observable._metrics);
+      if (finalizationRegistry) {
+        finalizationRegistry.unregister(observable);
+      }
+    }
+    this._registryStats.disposedObservables++;
+  },
+  
+  /**
+   * Wrap an observable for storage, weakly if weak tracking is enabled
+   * @private
+   */
+  _holdObservable(id, observable) {
+    if (!this.weakRegistry || typeof WeakRef === 'undefined') {
+      return observable;
+    }
+    
+    if (!finalizationRegistry && typeof FinalizationRegistry !== 'undefined') {
+      finalizationRegistry = new FinalizationRegistry(({ id, metrics }) => {
+        // The metrics object outlives its observable, so its counts can be retired
+        if (this._observables.delete(id)) {
+          this._retireObservableMetrics(metrics);
+          this._registryStats.collectedObservables++;
+        }
+      });
+    }
+    
+    if (finalizationRegistry) {
+      finalizationRegistry.register(observable, { id, metrics: observable._metrics }, observable);
+    }
+    return new WeakRef(observable);
+  },
+  
+  /**
+   * Look up a registered observable, resolving weak references
+   * @param {string} id - Observable ID
+   * @returns {Object|undefined} The observable, or undefined if gone
+   * @private
+   */
+  _getObservable(id) {
+    return derefEntry(this._observables.get(id));
+  },
+  
+  /**
+   * Iterate over registered observables that are still alive
+   * @param {Function} callback - Called with (observable, id)
+   * @private
+   */
+  _forEachObservable(callback) {
+    this._observables.forEach((entry, id) => {
+      const observable = derefEntry(entry);
+      if (observable) {
+        callback(observable, id);
+      }
+    });
+  },
+  
+  /**
+   * Fold an observable's counters into the retired totals
+   * @private
+   */
+  _retireObservableMetrics(metrics) {
+    if (!metrics) return;
+    this._retiredTotals.reads += metrics.reads || 0;
+    this._retiredTotals.writes += metrics.writes || 0;
+  },
+  
   /**
    * Register a component with the system
    * @param {Object} component - The component to register
@@ -59,6 +274,107 @@ const ObservabilitySystem = {
     return id;
   },
   
+  /**
+   * Remove an unmounted component from the registry
+   * @param {string} id - ID returned by registerComponent()
+   */
+  unregisterComponent(id) {
+    const component = this._components.get(id);
+    if (!component) return;
+    
+    this._retiredTotals.renders += (component._metrics && component._metrics.renders) || 0;
+    this._components.delete(id);
+    this._componentParents.delete(id);
+    this._registryStats.unmountedComponents++;
+  },
+  
+  /**
+   * Register an effect with the system
+   * @param {Object} effect - The effect to register
+   * @returns {string} ID for the effect
+   */
+  registerEffect(effect) {
+    const id = generateId('effect');
+    this._effects.set(id, effect);
+    return id;
+  },
+  
+  /**
+   * Remove a disposed effect from the registry
+   * @param {string} id - ID returned by registerEffect()
+   */
+  unregisterEffect(id) {
+    if (this._effects.delete(id)) {
+      this._registryStats.disposedEffects++;
+    }
+  },
+  
+  /**
+   * Get live versus released counts for the registry, to make leaks visible
+   * @returns {Object} Registry statistics
+   */
+  getRegistryStats() {
+    let liveObservables = 0;
+    this._forEachObservable(() => liveObservables++);
+    
+    return {
+      observables: {
+        live: liveObservables,
+        disposed: this._registryStats.disposedObservables,
+        collected: this._registryStats.collectedObservables,
+        weak: this.weakRegistry
+      },
+      components: {
+        live: this._components.size,
+        unmounted: this._registryStats.unmountedComponents
+      },
+      effects: {
+        live: this._effects.size,
+        disposed: this._registryStats.disposedEffects
+      }
+    };
+  },
+  
+  /**
+   * Record that a component is rendered inside another
+   * @param {string} childId - ID of the child component
+   * @param {string} parentId - ID of the parent component
+   */
+  linkComponent(childId, parentId) {
+    this._componentParents.set(childId, parentId);
+  },
+  
+  /**
+   * Remove a child component's link to its parent
+   * @param {string} childId - ID of the child component
+   */
+  unlinkComponent(childId) {
+    this._componentParents.delete(childId);
+  },
+  
+  /**
+   * Build the tree of registered components from their parent links
+   * @returns {Array<Object>} Root components, each with nested children
+   */
+  getComponentTree() {
+    const nodes = new Map();
+    this._components.forEach((comp, id) => {
+      nodes.set(id, { id, component: comp.constructor.name, children: [] });
+    });
+    
+    const roots = [];
+    nodes.forEach((node, id) => {
+      const parent = nodes.get(this._componentParents.get(id));
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        roots.push(node);
+      }
+    });
+    
+    return roots;
+  },
+  
   /**
    * Record a metric value
    * @param {string} name - Metric name
@@ -66,16 +382,26 @@ const ObservabilitySystem = {
    * @param {Object} tags - Additional tags for the metric
    */
   recordMetric(name, value, tags = {}) {
+    // Budgets see every sample, so a slow render is never sampled away
+    const violation = this._budgets.check(name, value, tags);
+    if (violation) {
+      this._reportBudgetViolation(violation, tags);
+    }
+    
     // Sample based on sampling rate to reduce overhead
     if (Math.random() > this.samplingRate) return;
     
+    const timestamp = Date.now();
+    this._prometheus.observe(name, value, tags);
+    this._stats.add(name, value, tags, timestamp);
+    
     if (!this._metrics.detailed[name]) {
       this._metrics.detailed[name] = [];
     }
     
     this._metrics.detailed[name].push({
       value,
-      timestamp: Date.now(),
+      timestamp,
       ...tags
     });
     
@@ -83,6 +409,10 @@ const ObservabilitySystem = {
     if (this._metrics.detailed[name].length > this.maxHistoryItems) {
       this._metrics.detailed[name] = this._metrics.detailed[name].slice(-this.maxHistoryItems);
     }
+    
+    if (this._sinks.length > 0) {
+      this._emit({ type: 'metric', name, value, tags, timestamp });
+    }
   },
   
   /**
@@ -92,18 +422,30 @@ const ObservabilitySystem = {
    * @param {Object} context - Additional context
    */
   recordError(type, error, context = {}) {
-    this._metrics.global.errors.push({
+    this._eventTotals.errors++;
+    const entry = {
       type,
       message: error.message,
       stack: error.stack,
       context,
       timestamp: Date.now()
-    });
+    };
+    this._metrics.global.errors.push(entry);
     
     // Trim errors if they get too large
     if (this._metrics.global.errors.length > this.maxErrors) {
       this._metrics.global.errors = this._metrics.global.errors.slice(-this.maxErrors);
     }
+    
+    if (this._sinks.length > 0) {
+      this._emit({
+        type: 'error',
+        name: type,
+        error: { message: entry.message, stack: entry.stack },
+        tags: context,
+        timestamp: entry.timestamp
+      });
+    }
   },
   
   /**
@@ -111,6 +453,7 @@ const ObservabilitySystem = {
    * @param {Object} issue - Performance issue details
    */
   reportPerformanceIssue(issue) {
+    this._eventTotals.performanceIssues++;
     const fullIssue = {
       ...issue,
       timestamp: Date.now()
@@ -127,48 +470,282 @@ const ObservabilitySystem = {
     if (this.isDetailedMode) {
       console.warn('Performance issue detected:', fullIssue);
     }
+    
+    if (this._sinks.length > 0) {
+      this._emit({
+        type: 'performanceIssue',
+        name: fullIssue.type,
+        issue: fullIssue,
+        tags: fullIssue,
+        timestamp: fullIssue.timestamp
+      });
+    }
+  },
+  
+  /**
+   * Report a sample that went over its absolute budget
+   * @private
+   */
+  _reportBudgetViolation(violation, tags) {
+    const known = BUDGET_ISSUES[violation.metric];
+    const issue = {
+      ...tags,
+      type: known ? known.type : 'budgetExceeded',
+      ...violation
+    };
+    if (known) {
+      issue[known.field] = violation.value;
+    }
+    
+    if (issue.type === 'slowRender') {
+      this._metrics.global.slowRenders++;
+    }
+    this.reportPerformanceIssue(issue);
+  },
+  
+  /**
+   * Check all budgets: statistical limits against the current rolling-window
+   * statistics, and absolute limits exceeded since the last reset
+   * @returns {Array<Object>} Violations ({ rule, metric, statistic, limit, value, count })
+   */
+  checkBudgets() {
+    return [
+      ...this._budgets.exceeded(),
+      ...this._budgets.evaluate((name, options) => this.getStats(name, options))
+    ];
+  },
+  
+  /**
+   * Throw if any budget is violated, e.g. at the end of a test
+   * @returns {Array<Object>} Empty array when every budget is met
+   */
+  assertBudgets() {
+    const violations = this.checkBudgets();
+    if (violations.length === 0) return violations;
+    
+    const lines = violations.map(v =>
+      `  ${v.rule}: ${v.statistic} ${v.metric} ${Number(v.value.toFixed(2))} > ${v.limit}` +
+      (v.count !== undefined ? ` (${v.count} samples)` : '')
+    );
+    const error = new Error(`Performance budgets exceeded:\n${lines.join('\n')}`);
+    error.violations = violations;
+    throw error;
+  },
+  
+  /**
+   * Report statistical budget violations once each, when they start
+   * @private
+   */
+  _reportStatisticalViolations() {
+    const violations = this._budgets.evaluate((name, options) => this.getStats(name, options));
+    const active = new Set();
+    
+    violations.forEach(violation => {
+      const key = `${violation.rule}:${violation.statistic}`;
+      active.add(key);
+      if (!this._budgets.active.has(key)) {
+        this.reportPerformanceIssue({ type: 'budgetExceeded', ...violation });
+      }
+    });
+    
+    this._budgets.active = active;
+  },
+  
+  /**
+   * Attach a sink that receives every recorded metric, error and performance issue
+   *
+   * A sink is a function, or an object with a handle(event) method and
+   * optional setup(system, guard) / teardown() methods. guard(fn) runs sink
+   * code called later from timers or DOM events with the same protection as
+   * handle(). Events look like
+   * { type: 'metric' | 'error' | 'performanceIssue', name, tags, timestamp, ... }.
+   * A sink that throws (or whose promise rejects) is recorded as a
+   * 'sinkError' and never affects the caller; after repeated failures it is detached.
+   *
+   * @param {Function|Object} sink - Sink to attach
+   * @param {Object} filter - Which events to deliver (defaults to sink.filter)
+   * @param {Array<string>} filter.types - Event types
+   * @param {Array<string|RegExp>} filter.names - Metric names, error types or issue types
+   * @param {Object} filter.tags - Tag values (or RegExps) the event must have
+   * @returns {Function} Function that detaches the sink
+   */
+  use(sink, filter) {
+    const handle = typeof sink === 'function' ? sink : sink && sink.handle;
+    if (typeof handle !== 'function') {
+      throw new Error('A sink must be a function or have a handle(event) method');
+    }
+    
+    const entry = {
+      sink,
+      handle,
+      name: sink.name || 'anonymous',
+      filter: filter || sink.filter || {},
+      failures: 0
+    };
+    this._sinks.push(entry);
+    
+    if (typeof sink.setup === 'function') {
+      try {
+        sink.setup(this, fn => this._runSinkSafely(entry, fn));
+      } catch (error) {
+        this._detachSink(entry);
+        throw error;
+      }
+    }
+    
+    return () => this._detachSink(entry);
+  },
+  
+  /**
+   * Remove a sink and let it release its resources
+   * @private
+   */
+  _detachSink(entry) {
+    const index = this._sinks.indexOf(entry);
+    if (index === -1) return;
+    this._sinks.splice(index, 1);
+    
+    if (typeof entry.sink.teardown === 'function') {
+      this._runSinkSafely(entry, () => entry.sink.teardown());
+    }
+  },
+  
+  /**
+   * Deliver an event to every sink whose filter matches
+   * @private
+   */
+  _emit(event) {
+    // Metrics and errors recorded by a sink itself stay in the system only
+    if (this._emitting) return;
+    
+    this._emitting = true;
+    try {
+      this._sinks.slice().forEach(entry => {
+        if (matchesFilter(entry.filter, event)) {
+          this._runSinkSafely(entry, () => entry.handle.call(entry.sink, event));
+        }
+      });
+    } finally {
+      this._emitting = false;
+    }
+  },
+  
+  /**
+   * Run sink code, containing synchronous throws and rejected promises
+   * @private
+   */
+  _runSinkSafely(entry, fn) {
+    const fail = (error) => {
+      entry.failures++;
+      const wasEmitting = this._emitting;
+      this._emitting = true;
+      try {
+        this.recordError('sinkError', error instanceof Error ? error : new Error(String(error)), {
+          sink: entry.name,
+          failures: entry.failures
+        });
+      } finally {
+        this._emitting = wasEmitting;
+      }
+      
+      if (entry.failures >= MAX_CONSECUTIVE_SINK_FAILURES) {
+        console.warn(`ObservableJS: detaching sink "${entry.name}" after ${entry.failures} consecutive failures`);
+        this._detachSink(entry);
+      }
+    };
+    
+    try {
+      const result = fn();
+      if (result && typeof result.then === 'function') {
+        result.then(() => { entry.failures = 0; }, fail);
+      } else {
+        entry.failures = 0;
+      }
+    } catch (error) {
+      fail(error);
+    }
   },
   
   /**
    * Start collecting periodic metrics
+   * In the browser this samples performance.memory; in Node it samples
+   * process.memoryUsage() and measures event-loop lag from timer drift.
    * @param {number} interval - Collection interval in ms
+   * @returns {Function|undefined} Function to stop collection, or undefined if unsupported
    */
   startPeriodicCollection(interval = 5000) {
-    // Only start if we're in a browser environment
-    if (typeof window === 'undefined') return;
+    const isBrowser = typeof window !== 'undefined';
+    const isNode = !isBrowser && typeof process !== 'undefined' && typeof process.memoryUsage === 'function';
+    
+    // Nothing to sample anywhere else
+    if (!isBrowser && !isNode) return;
+    
+    let lastTick = performance.now();
     
     // Collect memory usage periodically
     const timerId = setInterval(() => {
-      // Collect memory metrics if available
-      if (window.performance && performance.memory) {
-        this._metrics.global.memoryUsage.push({
+      const now = performance.now();
+      
+      if (isNode) {
+        // A blocked event loop delays the timer; the delay beyond the interval is the lag
+        const lag = Math.max(0, now - lastTick - interval);
+        this._metrics.global.eventLoopLag = lag;
+        this.recordMetric('eventLoopLagTime', lag);
+        
+        const memory = process.memoryUsage();
+        this._pushMemorySample({
+          usedJSHeapSize: memory.heapUsed,
+          totalJSHeapSize: memory.heapTotal,
+          rss: memory.rss,
+          external: memory.external,
+          timestamp: Date.now()
+        });
+      } else if (window.performance && performance.memory) {
+        // Collect memory metrics if available
+        this._pushMemorySample({
           usedJSHeapSize: performance.memory.usedJSHeapSize,
           totalJSHeapSize: performance.memory.totalJSHeapSize,
           timestamp: Date.now()
         });
-        
-        // Trim memory metrics if they get too large
-        if (this._metrics.global.memoryUsage.length > this.maxHistoryItems) {
-          this._metrics.global.memoryUsage = this._metrics.global.memoryUsage.slice(-this.maxHistoryItems);
-        }
       }
       
+      lastTick = now;
+      
       // Update global counters
       this.updateGlobalCounters();
+      this._reportStatisticalViolations();
     }, interval);
     
+    // Don't keep a Node process alive just to collect metrics
+    if (isNode && typeof timerId.unref === 'function') {
+      timerId.unref();
+    }
+    
     return () => clearInterval(timerId);
   },
   
+  /**
+   * Add a memory sample, trimming the history
+   * @private
+   */
+  _pushMemorySample(sample) {
+    this._metrics.global.memoryUsage.push(sample);
+    
+    // Trim memory metrics if they get too large
+    if (this._metrics.global.memoryUsage.length > this.maxHistoryItems) {
+      this._metrics.global.memoryUsage = this._metrics.global.memoryUsage.slice(-this.maxHistoryItems);
+    }
+  },
+  
   /**
    * Update the global counter metrics
    */
   updateGlobalCounters() {
-    let totalReads = 0;
-    let totalWrites = 0;
-    let totalRenders = 0;
+    let totalReads = this._retiredTotals.reads;
+    let totalWrites = this._retiredTotals.writes;
+    let totalRenders = this._retiredTotals.renders;
     
-    this._observables.forEach(obs => {
+    this._forEachObservable(obs => {
       try {
         const metrics = obs.getMetrics();
         totalReads += metrics.reads || 0;
@@ -201,12 +778,85 @@ const ObservabilitySystem = {
     // Update global counters before returning
     this.updateGlobalCounters();
     
+    const detailed = includeDetailed || this.isDetailedMode;
+    
     return {
       global: { ...this._metrics.global },
-      detailed: (includeDetailed || this.isDetailedMode) ? { ...this._metrics.detailed } : null
+      registry: this.getRegistryStats(),
+      detailed: detailed ? { ...this._metrics.detailed } : null,
+      // Summaries of the last minute, so callers don't have to crunch raw samples
+      stats: detailed ? this._summarizeStats('1m') : null
     };
   },
   
+  /**
+   * Get aggregated statistics for a metric over a rolling window
+   * @param {string} name - Metric name, e.g. 'componentRenderTime'
+   * @param {Object} options - Query options
+   * @param {string} options.window - '1m', '5m' or '15m' (default '1m')
+   * @param {string} options.groupBy - Tag to group by, e.g. 'component'; one of the statsGroupTags
+   * @returns {Object} { count, min, max, mean, p50, p90, p95, p99 }, or a map of tag value to those when grouped
+   */
+  getStats(name, options = {}) {
+    return this._stats.query(name, options);
+  },
+  
+  /**
+   * Statistics for every recorded metric over one window
+   * @private
+   */
+  _summarizeStats(window) {
+    const summary = {};
+    this._stats.names().forEach(name => {
+      summary[name] = this._stats.query(name, { window });
+    });
+    return summary;
+  },
+  
+  /**
+   * Count which observable writes caused each component class's renders
+   * Sources are the writes at the start of each causal chain, so a render
+   * caused by a computed is credited to the observables the computed read.
+   * @param {number} limit - Sources to keep per component
+   * @returns {Object} Component name -> [{ source, renders }], most renders first
+   */
+  getRenderSources(limit = 5) {
+    const totals = {};
+    this._components.forEach(comp => {
+      const sources = comp._metrics && comp._metrics.renderSources;
+      if (!sources) return;
+      const name = comp.constructor.name;
+      const counts = totals[name] || (totals[name] = {});
+      Object.keys(sources).forEach(source => {
+        counts[source] = (counts[source] || 0) + sources[source];
+      });
+    });
+    
+    const result = {};
+    Object.keys(totals).forEach(name => {
+      const top = topRenderSources(totals[name], limit);
+      if (top.length > 0) result[name] = top;
+    });
+    return result;
+  },
+  
+  /**
+   * Describe the reactive graph: which computeds read which values and which
+   * components subscribe to which observables
+   * @returns {Object} { nodes, edges }; nodes carry their metrics, value preview and recent writes
+   */
+  getDependencyGraph() {
+    const startTime = performance.now();
+    const graph = buildDependencyGraph(this);
+    
+    this.recordMetric('dependencyGraphTime', performance.now() - startTime, {
+      nodes: graph.nodes.length,
+      edges: graph.edges.length
+    });
+    
+    return graph;
+  },
+  
   /**
    * Identify performance hotspots
    * @returns {Object} Analysis of performance hotspots
@@ -214,16 +864,33 @@ const ObservabilitySystem = {
   findHotspots() {
     // Identify components that render too frequently
     const hotComponents = [];
+    // Parents whose renders caused child components to re-render
+    const cascades = [];
     this._components.forEach((comp, id) => {
       try {
         const metrics = comp.getMetrics();
-        if (metrics.renders > 10 && metrics.lastRenderTime > 10) {
+        if (metrics.renders > this._budgets.hotspots.renders && metrics.lastRenderTime > this._budgets.hotspots.renderTime) {
           hotComponents.push({
             id,
             component: comp.constructor.name,
+            parent: this._componentParents.get(id) || null,
             renders: metrics.renders,
             averageRenderTime: metrics.renderTime / metrics.renders,
-            lastRenderTime: metrics.lastRenderTime
+            // Time spent in this component itself, excluding its children
+            averageExclusiveRenderTime: (metrics.exclusiveRenderTime !== undefined ? metrics.exclusiveRenderTime : metrics.renderTime) / metrics.renders,
+            lastRenderTime: metrics.lastRenderTime,
+            parentRenders: metrics.parentRenders || 0,
+            // The writes behind most of its renders
+            topSources: topRenderSources(metrics.renderSources, 3)
+          });
+        }
+        
+        if (metrics.cascadedRenders > 0) {
+          cascades.push({
+            id,
+            component: comp.constructor.name,
+            renders: metrics.renders,
+            childRenders: metrics.cascadedRenders
           });
         }
       } catch (error) {
@@ -231,19 +898,37 @@ const ObservabilitySystem = {
       }
     });
     
-    // Identify observables that change too frequently
+    // Identify observables that change too frequently, and ones written
+    // with values that didn't change
     const hotObservables = [];
-    this._observables.forEach((obs, id) => {
+    const wastedUpdates = [];
+    this._forEachObservable((obs, id) => {
       try {
         const metrics = obs.getMetrics();
-        if (metrics.writes > 20) {
+        // Show a preview of the value for debugging
+        const preview = () => typeof metrics.value === 'string' ? metrics.value : String(JSON.stringify(metrics.value)).substring(0, 50);
+        if (metrics.writes > this._budgets.hotspots.writes) {
           hotObservables.push({
             id,
+            name: metrics.name,
             writes: metrics.writes,
             reads: metrics.reads,
             subscribers: metrics.subscriptions,
-            // Show a preview of the value for debugging
-            value: typeof metrics.value === 'string' ? metrics.value : JSON.stringify(metrics.value).substring(0, 50)
+            skippedWrites: metrics.skippedWrites,
+            wastedWrites: metrics.wastedWrites,
+            value: preview()
+          });
+        }
+        if (metrics.skippedWrites + metrics.wastedWrites > this._budgets.hotspots.wastedWrites) {
+          wastedUpdates.push({
+            id,
+            key: metrics.key,
+            name: metrics.name,
+            writes: metrics.writes,
+            skippedWrites: metrics.skippedWrites,
+            wastedWrites: metrics.wastedWrites,
+            subscribers: metrics.subscriptions,
+            value: preview()
           });
         }
       } catch (error) {
@@ -253,10 +938,17 @@ const ObservabilitySystem = {
     
     return {
       hotComponents: hotComponents
-        .sort((a, b) => (b.renders * b.averageRenderTime) - (a.renders * a.averageRenderTime))
+        .sort((a, b) => (b.renders * b.averageExclusiveRenderTime) - (a.renders * a.averageExclusiveRenderTime))
         .slice(0, 5),
       hotObservables: hotObservables
         .sort((a, b) => b.writes - a.writes)
+        .slice(0, 5),
+      // Wasted writes cost a full propagation, so they rank above skipped ones
+      wastedUpdates: wastedUpdates
+        .sort((a, b) => (b.wastedWrites * 2 + b.skippedWrites) - (a.wastedWrites * 2 + a.skippedWrites))
+        .slice(0, 5),
+      cascades: cascades
+        .sort((a, b) => b.childRenders - a.childRenders)
         .slice(0, 5)
     };
   },
@@ -270,43 +962,79 @@ const ObservabilitySystem = {
     this.updateGlobalCounters();
     
     const metrics = this._metrics.global;
-    return `
-# HELP js_total_reads Total number of observable reads
-# TYPE js_total_reads counter
-js_total_reads ${metrics.totalReads}
-
-# HELP js_total_writes Total number of observable writes
-# TYPE js_total_writes counter
-js_total_writes ${metrics.totalWrites}
-
-# HELP js_total_renders Total number of component renders
-# TYPE js_total_renders counter
-js_total_renders ${metrics.totalRenders}
-
-# HELP js_slow_renders Total number of slow component renders
-# TYPE js_slow_renders counter
-js_slow_renders ${metrics.slowRenders}
-
-# HELP js_performance_issues Total number of performance issues
-# TYPE js_performance_issues counter
-js_performance_issues ${metrics.performanceIssues.length}
-
-# HELP js_errors Total number of errors
-# TYPE js_errors counter
-js_errors ${metrics.errors.length}
-    `.trim();
+    const base = this._counterBase;
+    const registry = this.getRegistryStats();
+    const memory = metrics.memoryUsage[metrics.memoryUsage.length - 1];
+    
+    // Memory gauges only exist once periodic collection has taken a sample
+    const memoryGauges = [];
+    if (memory) {
+      memoryGauges.push(
+        { name: 'js_heap_used_bytes', help: 'JavaScript heap in use at the last sample', value: memory.usedJSHeapSize },
+        { name: 'js_heap_total_bytes', help: 'JavaScript heap allocated at the last sample', value: memory.totalJSHeapSize }
+      );
+      if (memory.rss !== undefined) {
+        memoryGauges.push({ name: 'js_resident_memory_bytes', help: 'Process resident set size at the last sample', value: memory.rss });
+      }
+    }
+    
+    // Counters reset by resetMetrics() are exported with everything counted
+    // before the reset added back, so they never go backwards
+    return this._prometheus.write({
+      counters: [
+        { name: 'js_total_reads', help: 'Total number of observable reads', value: metrics.totalReads },
+        { name: 'js_total_writes', help: 'Total number of observable writes', value: metrics.totalWrites },
+        { name: 'js_total_renders', help: 'Total number of component renders', value: metrics.totalRenders },
+        { name: 'js_slow_renders', help: 'Total number of slow component renders', value: base.slowRenders + metrics.slowRenders },
+        { name: 'js_avoided_computations', help: 'Total number of redundant computed recomputations avoided', value: base.avoidedComputations + metrics.avoidedComputations },
+        { name: 'js_scheduled_renders', help: 'Total number of renders run by the update scheduler', value: base.scheduledRenders + metrics.scheduledRenders },
+        { name: 'js_coalesced_updates', help: 'Total number of state updates merged into another render', value: base.coalescedUpdates + metrics.coalescedUpdates },
+        { name: 'js_skipped_writes', help: 'Total number of observable writes skipped as equal to the current value', value: base.skippedWrites + metrics.skippedWrites },
+        { name: 'js_wasted_writes', help: 'Total number of notified observable writes that changed nothing structurally', value: base.wastedWrites + metrics.wastedWrites },
+        { name: 'js_effect_runs', help: 'Total number of effect runs', value: base.effectRuns + metrics.effectRuns },
+        { name: 'js_dropped_values', help: 'Total number of values dropped by operators', value: base.droppedValues + metrics.droppedValues },
+        { name: 'js_completed_streams', help: 'Total number of from() sources that completed', value: base.completedStreams + metrics.completedStreams },
+        { name: 'js_failed_streams', help: 'Total number of from() sources that failed', value: base.failedStreams + metrics.failedStreams },
+        { name: 'js_performance_issues', help: 'Total number of performance issues', value: this._eventTotals.performanceIssues },
+        { name: 'js_errors', help: 'Total number of errors', value: this._eventTotals.errors }
+      ],
+      gauges: [
+        { name: 'js_live_observables', help: 'Observables currently registered', value: registry.observables.live },
+        { name: 'js_live_components', help: 'Components currently registered', value: registry.components.live },
+        { name: 'js_live_effects', help: 'Effects currently registered', value: registry.effects.live },
+        { name: 'js_metrics_reset_timestamp_seconds', help: 'Unix time of the last resetMetrics() call, or of startup', value: this._lastResetAt / 1000 },
+        ...memoryGauges
+      ]
+    });
   },
   
   /**
    * Reset all collected metrics
    */
   resetMetrics() {
+    Object.keys(this._counterBase).forEach(key => {
+      this._counterBase[key] += this._metrics.global[key] || 0;
+    });
+    this._lastResetAt = Date.now();
+    this._stats.reset();
+    this._budgets.reset();
+    
     this._metrics = {
       global: {
         totalReads: 0,
         totalWrites: 0,
         totalRenders: 0,
         slowRenders: 0,
+        avoidedComputations: 0,
+        scheduledRenders: 0,
+        coalescedUpdates: 0,
+        skippedWrites: 0,
+        wastedWrites: 0,
+        effectRuns: 0,
+        droppedValues: 0,
+        completedStreams: 0,
+        failedStreams: 0,
+        eventLoopLag: 0,
         memoryUsage: [],
         performanceIssues: [],
         errors: []
@@ -342,12 +1070,53 @@ js_errors ${metrics.errors.length}
       this.maxErrors = Math.max(10, options.maxErrors);
     }
     
+    if (typeof options.maxObservableHistory === 'number') {
+      this.maxObservableHistory = Math.max(0, options.maxObservableHistory);
+    }
+    
+    if (typeof options.maxWriteLogEntries === 'number') {
+      this.maxWriteLogEntries = Math.max(1, options.maxWriteLogEntries);
+    }
+    
+    if (options.budgets !== undefined) {
+      this._budgets.configure(options.budgets || {});
+    }
+    
+    if (options.prometheusBuckets !== undefined || options.prometheusLabels !== undefined) {
+      this._prometheus.configure({
+        buckets: options.prometheusBuckets,
+        labels: options.prometheusLabels
+      });
+    }
+    
+    if (options.statsGroupTags !== undefined) {
+      this._stats.configure(options.statsGroupTags);
+    }
+    
+    if (options.weakRegistry !== undefined && !!options.weakRegistry !== this.weakRegistry) {
+      this.weakRegistry = !!options.weakRegistry;
+      
+      // Re-wrap what is already registered in the new mode
+      const entries = [];
+      this._forEachObservable((observable, id) => entries.push([id, observable]));
+      this._observables.clear();
+      entries.forEach(([id, observable]) => {
+        if (finalizationRegistry) {
+          finalizationRegistry.unregister(observable);
+        }
+        this._observables.set(id, this._holdObservable(id, observable));
+      });
+    }
+    
     console.log('Observability system configured:', {
       isDetailedMode: this.isDetailedMode,
       samplingRate: this.samplingRate,
       maxHistoryItems: this.maxHistoryItems,
       maxIssues: this.maxIssues,
-      maxErrors: this.maxErrors
+      maxErrors: this.maxErrors,
+      maxObservableHistory: this.maxObservableHistory,
+      maxWriteLogEntries: this.maxWriteLogEntries,
+      weakRegistry: this.weakRegistry
     });
   }
 };
@@ -7,26 +7,113 @@
 
 // Import the central observability system
 import { ObservabilitySystem } from './observability.js';
+import { recordRead } from './tracking.js';
+import { scheduleChange, isBatching, hasBatchedWrite, pull } from './propagation.js';
+import { resolveEquals, deepEqual, cloneValue } from './equality.js';
+import { withCause } from './causality.js';
+import { previewValue } from './graph.js';
+
+// Key of the interop method RxJS and other Observable libraries look for
+const OBSERVABLE = (typeof Symbol === 'function' && Symbol.observable) || '@@observable';
+
+/**
+ * Iterate over an observable's values: the current one, then every change
+ * Values are buffered until read. Iteration ends when the observable
+ * completes (or is disposed) and throws if it fails.
+ * @param {Observable} observable - Observable to iterate
+ * @returns {Object} Async iterator
+ * @private
+ */
+function iterate(observable) {
+  const queue = [observable._value];
+  const waiting = []; // { resolve, reject } of next() calls waiting for a value
+  let ended = null; // { failed, error } once the observable ended
+  
+  const settle = () => {
+    while (waiting.length > 0 && (queue.length > 0 || ended)) {
+      const { resolve, reject } = waiting.shift();
+      if (queue.length > 0) {
+        resolve({ value: queue.shift(), done: false });
+      } else if (ended.failed) {
+        // The error is thrown once; later calls report the end
+        reject(ended.error);
+        ended = { failed: false };
+      } else {
+        resolve({ value: undefined, done: true });
+      }
+    }
+  };
+  
+  const unsubscribe = observable.subscribe({
+    next: value => {
+      queue.push(value);
+      settle();
+    },
+    error: error => {
+      ended = { failed: true, error };
+      settle();
+    },
+    complete: () => {
+      ended = { failed: false };
+      settle();
+    }
+  });
+  
+  return {
+    next() {
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        settle();
+      });
+    },
+    return() {
+      unsubscribe();
+      queue.length = 0;
+      ended = { failed: false };
+      settle();
+      return Promise.resolve({ value: undefined, done: true });
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    }
+  };
+}
 
 class Observable {
   /**
    * Create a new observable value
    * @param {any} initialValue - The initial value
+   * @param {Object} options - Observable options
+   * @param {string} options.key - Stable key used by snapshot() and hydrate() instead of the generated id
+   * @param {string|Function} options.equals - 'identity' (default), 'shallow', 'deep' or (a, b) => boolean;
+   *   writes equal to the current value don't notify
+   * @param {string} options.name - Name shown in metrics and hotspots instead of the generated id
+   * @param {Object} options.tags - Tags added to this observable's readTime and writeTime samples
    */
-  constructor(initialValue) {
+  constructor(initialValue, options = {}) {
     this._value = initialValue;
+    this._key = options.key;
+    this._name = options.name;
+    this._tags = options.tags;
+    this._equals = resolveEquals(options.equals);
     this._subscribers = new Set();
+    this._observers = new Set(); // Observer objects to tell when the observable ends
+    this._ended = null; // { failed, error, endedAt } once completed or failed
+    this._dependents = new Set(); // Computeds that read this value
+    this._cause = null; // Trace of the write behind the latest change
     this._metrics = {
       reads: 0,
       writes: 0,
       subscriptions: 0,
+      skippedWrites: 0, // writes equal to the current value, not notified
+      wastedWrites: 0, // notified writes that changed nothing structurally (detailed mode)
       computeTime: 0,
       lastAccessed: Date.now(),
       history: []
     };
     
     // Register this observable with the global metrics collector
-    this._id = ObservabilitySystem.register(this);
+    this._id = ObservabilitySystem.register(this, this._key);
   }
   
   /**
@@ -39,10 +126,17 @@ class Observable {
     this._metrics.reads++;
     this._metrics.lastAccessed = Date.now();
     
+    // A computed or store path downstream of a write inside a batch, or one
+    // read during propagation before its turn, catches up first
+    if (this._stale || this._dirty) pull(this);
+    
+    // Let a running computed know it depends on this observable
+    recordRead(this);
+    
     // Record the stack trace to understand where this read is happening
     if (ObservabilitySystem.isDetailedMode) {
       const stack = new Error().stack;
-      this._metrics.history.push({
+      this._pushHistory({
         type: 'read',
         timestamp: Date.now(),
         stack: stack
@@ -51,7 +145,7 @@ class Observable {
     
     const value = this._value;
     const endTime = performance.now();
-    ObservabilitySystem.recordMetric('readTime', endTime - startTime);
+    ObservabilitySystem.recordMetric('readTime', endTime - startTime, this._tags);
     
     return value;
   }
@@ -67,7 +161,7 @@ class Observable {
     // Record the stack trace to understand where this write is happening
     if (ObservabilitySystem.isDetailedMode) {
       const stack = new Error().stack;
-      this._metrics.history.push({
+      this._pushHistory({
         type: 'write',
         timestamp: Date.now(),
         oldValue: this._value,
@@ -76,13 +170,140 @@ class Observable {
       });
     }
     
-    // Only notify if the value has actually changed
+    // Only notify if the value has actually changed, as decided by the equals option
     // This prevents unnecessary updates
-    if (!Object.is(this._value, newValue)) {
+    if (!this._equals(this._value, newValue)) {
+      const oldValue = this._value;
       this._value = newValue;
+      this._checkWasted(oldValue, newValue);
       
-      // Notify subscribers
-      const updateStartTime = performance.now();
+      // Update dependent computeds, then notify subscribers
+      // (deferred until the end of the batch when inside batch())
+      scheduleChange(this, oldValue);
+    } else {
+      this._recordSkippedWrite();
+    }
+    
+    // Batched writes are recorded once per batch as batchTime
+    if (!isBatching()) {
+      const endTime = performance.now();
+      ObservabilitySystem.recordMetric('writeTime', endTime - startTime, this._tags);
+    }
+  }
+  
+  /**
+   * Change the current value in place and notify subscribers
+   * Use for objects and arrays: assigning the same (mutated) object to value
+   * is equal by identity and would not notify.
+   * @param {Function} fn - Receives the current value and mutates it
+   * @returns {any} The current value
+   */
+  mutate(fn) {
+    if (typeof fn !== 'function') {
+      throw new Error('mutate requires a function');
+    }
+    
+    const startTime = performance.now();
+    this._metrics.writes++;
+    
+    // A copy of the value before the mutation lets equality, wasted-write
+    // detection, batch rollback and time travel see what it was
+    const needsCopy = this._equals !== Object.is || ObservabilitySystem.isDetailedMode;
+    const keepForRollback = isBatching() && !hasBatchedWrite(this);
+    const before = needsCopy || keepForRollback ? cloneValue(this._value) : this._value;
+    
+    fn(this._value);
+    
+    if (needsCopy && before !== this._value && this._equals(before, this._value)) {
+      this._recordSkippedWrite();
+    } else {
+      if (needsCopy && before !== this._value) {
+        this._checkWasted(before, this._value);
+      }
+      // The value's identity didn't change, so the change is forced through
+      scheduleChange(this, before, true);
+    }
+    
+    if (!isBatching()) {
+      ObservabilitySystem.recordMetric('writeTime', performance.now() - startTime, { ...this._tags, mutate: true });
+    }
+    
+    return this._value;
+  }
+  
+  /**
+   * Chain operators, each receiving the observable returned by the previous one
+   * Disposing the result also disposes the intermediate outputs.
+   * @param {...Function} operators - Operators such as map(fn) or debounce(300)
+   * @returns {Observable} Output of the last operator
+   */
+  pipe(...operators) {
+    const outputs = [];
+    operators.reduce((source, operator) => {
+      const output = operator(source);
+      outputs.push(output);
+      return output;
+    }, this);
+    
+    if (outputs.length === 0) return this;
+    const result = outputs.pop();
+    
+    // The caller can't reach the intermediate outputs, so they go with the result
+    if (outputs.length > 0) {
+      const dispose = result.dispose;
+      result.dispose = () => {
+        dispose.call(result);
+        outputs.splice(0).reverse().forEach(output => output.dispose());
+      };
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Count a write that was equal to the current value
+   * @private
+   */
+  _recordSkippedWrite() {
+    this._metrics.skippedWrites++;
+    ObservabilitySystem._metrics.global.skippedWrites++;
+  }
+  
+  /**
+   * In detailed mode, count a notified write that is structurally unchanged
+   * @private
+   */
+  _checkWasted(oldValue, newValue) {
+    if (!ObservabilitySystem.isDetailedMode || this._equals === deepEqual) return;
+    if (deepEqual(oldValue, newValue)) {
+      this._metrics.wastedWrites++;
+      ObservabilitySystem._metrics.global.wastedWrites++;
+    }
+  }
+  
+  /**
+   * Add a read or write to this observable's history, keeping only the latest
+   * The global, ordered write log lives in TimeTravel.
+   * @private
+   */
+  _pushHistory(entry) {
+    const history = this._metrics.history;
+    history.push(entry);
+    if (history.length > ObservabilitySystem.maxObservableHistory) {
+      history.splice(0, history.length - ObservabilitySystem.maxObservableHistory);
+    }
+  }
+  
+  /**
+   * Notify subscribers of the current value
+   * Called by the propagation engine once dependent computeds are up to date
+   * @private
+   */
+  _notify() {
+    const newValue = this._value;
+    const updateStartTime = performance.now();
+    // Subscribers see the change's cause, so the updates they make can be traced
+    withCause(this._cause, () => {
       this._subscribers.forEach(subscriber => {
         try {
           subscriber(newValue);
@@ -91,34 +312,116 @@ class Observable {
           ObservabilitySystem.recordError('subscriberError', error);
         }
       });
-      const updateEndTime = performance.now();
-      
-      ObservabilitySystem.recordMetric('updateTime', updateEndTime - updateStartTime);
-      ObservabilitySystem.recordMetric('subscriberCount', this._subscribers.size);
-    }
+    });
+    const updateEndTime = performance.now();
     
-    const endTime = performance.now();
-    ObservabilitySystem.recordMetric('writeTime', endTime - startTime);
+    ObservabilitySystem.recordMetric('updateTime', updateEndTime - updateStartTime);
+    ObservabilitySystem.recordMetric('subscriberCount', this._subscribers.size);
   }
   
   /**
    * Subscribe to value changes
-   * @param {function} callback - Function to call when value changes
-   * @returns {function} Unsubscribe function
+   * An observer object's complete() is called when the observable completes
+   * or is disposed, and its error() when it fails.
+   * @param {function|Object} observer - Function to call when value changes, or { next, error, complete }
+   * @returns {function} Unsubscribe function; also has an unsubscribe() method for interop
    */
-  subscribe(callback) {
-    if (typeof callback !== 'function') {
-      throw new Error('Subscriber must be a function');
+  subscribe(observer) {
+    const isObserver = observer !== null && typeof observer === 'object';
+    if (!isObserver && typeof observer !== 'function') {
+      throw new Error('Subscriber must be a function or an observer object');
     }
     
+    if (isObserver && this._ended) {
+      this._endObserver(observer);
+      const noop = () => {};
+      noop.unsubscribe = noop;
+      return noop;
+    }
+    
+    const callback = isObserver
+      ? (typeof observer.next === 'function' ? value => observer.next(value) : null)
+      : observer;
+    
     this._metrics.subscriptions++;
-    this._subscribers.add(callback);
+    if (callback) this._subscribers.add(callback);
+    if (isObserver) this._observers.add(observer);
     
     // Return unsubscribe function
-    return () => {
-      this._subscribers.delete(callback);
+    let subscribed = true;
+    const unsubscribe = () => {
+      if (!subscribed) return;
+      subscribed = false;
+      if (callback) this._subscribers.delete(callback);
+      if (isObserver) this._observers.delete(observer);
       this._metrics.subscriptions--;
     };
+    unsubscribe.unsubscribe = unsubscribe;
+    return unsubscribe;
+  }
+  
+  /**
+   * End the observable: observers get complete(), or error() if it failed
+   * Used by from() when its source finishes, and by dispose().
+   * @param {boolean} failed - Whether the observable failed rather than completed
+   * @param {any} error - What it failed with; may be undefined, as with Promise.reject()
+   * @private
+   */
+  _end(failed = false, error) {
+    if (this._ended) return;
+    this._ended = { failed, error: failed ? error : undefined, endedAt: Date.now() };
+    
+    const observers = Array.from(this._observers);
+    this._observers.clear();
+    observers.forEach(observer => this._endObserver(observer));
+  }
+  
+  /**
+   * Tell one observer that the observable ended
+   * @private
+   */
+  _endObserver(observer) {
+    const { failed, error } = this._ended;
+    try {
+      if (failed) {
+        if (typeof observer.error === 'function') observer.error(error);
+      } else if (typeof observer.complete === 'function') {
+        observer.complete();
+      }
+    } catch (callbackError) {
+      console.error('Error in observer:', callbackError);
+      ObservabilitySystem.recordError('subscriberError', callbackError);
+    }
+  }
+  
+  /**
+   * Get an interop observable for RxJS and other Observable libraries
+   * Its subscribers receive the current value first, then every change.
+   * @returns {Object} Object with subscribe(observer) and [Symbol.observable]()
+   */
+  [OBSERVABLE]() {
+    const observable = this;
+    return {
+      subscribe(next, error, complete) {
+        const observer = typeof next === 'function' ? { next, error, complete } : next;
+        const unsubscribe = observable.subscribe(observer);
+        if (!observable._ended && typeof observer.next === 'function') {
+          observer.next(observable._value);
+        }
+        return unsubscribe;
+      },
+      [OBSERVABLE]() {
+        return this;
+      }
+    };
+  }
+  
+  /**
+   * Iterate over the current value and every later change with for await
+   * @returns {Object} Async iterator
+   */
+  [Symbol.asyncIterator]() {
+    return iterate(this);
   }
   
   /**
@@ -128,11 +431,25 @@ class Observable {
   getMetrics() {
     return { 
       id: this._id,
-      value: JSON.stringify(this._value).substring(0, 100), // Truncate for large values
+      key: this._key,
+      name: this._name,
+      value: previewValue(this._value), // Truncated, and safe for cyclic values
       ...this._metrics 
     };
   }
   
+  /**
+   * Release this observable: complete its observers, drop its subscribers and
+   * remove it from the registry
+   * Call when an observable is no longer needed so its metrics stop being collected.
+   */
+  dispose() {
+    this._end();
+    this._subscribers.clear();
+    this._metrics.subscriptions = 0;
+    ObservabilitySystem.unregister(this._id);
+  }
+  
   /**
    * Explicitly set value without triggering reactivity
    * For initialization or resetting purposes
@@ -143,4 +460,4 @@ class Observable {
   }
 }
 
-export { Observable };
\ No newline at end of file
+export { Observable, OBSERVABLE };
\ No newline at end of file
@@ -0,0 +1,316 @@
+/**
+ * Operators - Composable transformations of Observables
+ *
+ * Each operator takes a source Observable and returns a new, registered
+ * Observable that follows it: source.pipe(debounce(300), map(fn)). Outputs
+ * count the values they received, emitted and dropped (filtered out,
+ * throttled, superseded by a debounce or equal to the previous value);
+ * the counts are part of the output's getMetrics().operator and drops are
+ * added to the global droppedValues counter.
+ *
+ * Outputs subscribe to their sources; call dispose() on an output to
+ * unsubscribe it and cancel its timers. An output ends (see from()) when
+ * all of its sources have completed, or when one of them fails.
+ */
+
+import { Observable } from './observable.js';
+import { ObservabilitySystem } from './observability.js';
+import { shallowEqual } from './equality.js';
+import { getCurrentCause, withCause } from './causality.js';
+
+/**
+ * Name a source for an operator's default name
+ * @param {Observable} source - Source observable
+ * @returns {string} Its name, key or id
+ */
+function labelOf(source) {
+  if (source._computeName) return source._computeName;
+  if (source._name) return source._name;
+  return source._key !== undefined ? source._key : source._id;
+}
+
+/**
+ * Check that every source is an Observable
+ * @param {string} operator - Operator name, for the error message
+ * @param {Array} sources - Sources to check
+ */
+function assertSources(operator, sources) {
+  if (!Array.isArray(sources) || sources.length === 0 || !sources.every(source => source instanceof Observable)) {
+    throw new Error(`${operator} requires Observable sources`);
+  }
+}
+
+/**
+ * Create an operator's output observable and connect it to its sources
+ * @param {string} operator - Operator name
+ * @param {Array<Observable>} sources - Observables to follow
+ * @param {any} initialValue - Value of the output until the first emission
+ * @param {Function} connect - ({ emit, drop, call, output }) => { next(value, index), teardown, initial };
+ *   initial(), if given, works out the first value instead, with callbacks run through call()
+ * @param {Object} options - Operator options
+ * @param {string} options.name - Name for debugging and metrics
+ * @param {string|Function} options.equals - Equality used to drop repeated values
+ * @returns {Observable} The output
+ */
+function createOperator(operator, sources, initialValue, connect, options = {}) {
+  const name = options.name || `${operator}(${sources.map(labelOf).join(', ')})`;
+  const output = new Observable(initialValue, { name, equals: options.equals });
+  const metrics = { received: 0, emitted: 0, dropped: 0 };
+  output._operator = { type: operator, sources };
+  output._operatorMetrics = metrics;
+  
+  const tags = { operator, name };
+  
+  const drop = () => {
+    metrics.dropped++;
+    ObservabilitySystem._metrics.global.droppedValues++;
+  };
+  
+  // Values equal to the current one wouldn't notify, so they count as dropped
+  const emit = (value) => {
+    if (output._equals(output._value, value)) {
+      drop();
+      return;
+    }
+    metrics.emitted++;
+    output.value = value;
+  };
+  
+  // Run a user callback, timing it; an exception drops the value
+  const call = (fn, ...args) => {
+    const startTime = performance.now();
+    try {
+      return { ok: true, result: fn(...args) };
+    } catch (error) {
+      ObservabilitySystem.recordError('operatorError', error, tags);
+      return { ok: false };
+    } finally {
+      ObservabilitySystem.recordMetric('operatorTime', performance.now() - startTime, tags);
+    }
+  };
+  
+  const { next, teardown, initial } = connect({ emit, drop, call, output });
+  if (initial) output.silentSet(initial());
+  
+  let completed = 0;
+  const unsubscribes = sources.map((source, index) => source.subscribe({
+    next: value => {
+      metrics.received++;
+      next(value, index);
+    },
+    error: error => output._end(true, error),
+    complete: () => {
+      if (++completed === sources.length) output._end();
+    }
+  }));
+  
+  output.dispose = () => {
+    unsubscribes.forEach(unsubscribe => unsubscribe());
+    if (teardown) teardown();
+    Observable.prototype.dispose.call(output);
+  };
+  
+  const originalGetMetrics = output.getMetrics;
+  output.getMetrics = function() {
+    return {
+      ...originalGetMetrics.call(this),
+      operator: {
+        type: operator,
+        sources: sources.map(source => source._id),
+        ...metrics
+      }
+    };
+  };
+  
+  return output;
+}
+
+/**
+ * Transform every value
+ * @param {Function} fn - (value) => transformed value
+ * @param {Object} options - Operator options ({ name })
+ * @returns {Function} Operator for pipe()
+ */
+function map(fn, options = {}) {
+  return source => {
+    assertSources('map', [source]);
+    return createOperator('map', [source], undefined, ({ emit, drop, call }) => ({
+      initial() {
+        const { ok, result } = call(fn, source._value);
+        return ok ? result : undefined;
+      },
+      next(value) {
+        const { ok, result } = call(fn, value);
+        if (ok) {
+          emit(result);
+        } else {
+          drop();
+        }
+      }
+    }), options);
+  };
+}
+
+/**
+ * Pass on only the values that match a predicate
+ * @param {Function} predicate - (value) => boolean
+ * @param {Object} options - Operator options ({ name, initialValue })
+ * @param {any} options.initialValue - Value until one passes, if the source's current value doesn't
+ * @returns {Function} Operator for pipe()
+ */
+function filter(predicate, options = {}) {
+  return source => {
+    assertSources('filter', [source]);
+    return createOperator('filter', [source], options.initialValue, ({ emit, drop, call }) => ({
+      initial() {
+        const { ok, result } = call(predicate, source._value);
+        return ok && result ? source._value : options.initialValue;
+      },
+      next(value) {
+        const { ok, result } = call(predicate, value);
+        if (ok && result) {
+          emit(value);
+        } else {
+          drop();
+        }
+      }
+    }), options);
+  };
+}
+
+/**
+ * Pass on only values that differ from the previous one
+ * @param {string|Function} equals - 'identity' (default), 'shallow', 'deep' or (a, b) => boolean
+ * @param {Object} options - Operator options ({ name })
+ * @returns {Function} Operator for pipe()
+ */
+function distinctUntilChanged(equals = 'identity', options = {}) {
+  return source => {
+    assertSources('distinctUntilChanged', [source]);
+    return createOperator('distinctUntilChanged', [source], source._value, ({ emit }) => ({
+      next: emit
+    }), { ...options, equals });
+  };
+}
+
+/**
+ * Pass on a value once the source has been quiet for a while
+ * Each value that arrives before the wait is over replaces the pending one,
+ * which counts as dropped.
+ * @param {number} wait - Quiet period in ms
+ * @param {Object} options - Operator options ({ name })
+ * @returns {Function} Operator for pipe()
+ */
+function debounce(wait, options = {}) {
+  return source => {
+    assertSources('debounce', [source]);
+    return createOperator('debounce', [source], source._value, ({ emit, drop }) => {
+      let timer = null;
+      
+      return {
+        next(value) {
+          if (timer !== null) {
+            clearTimeout(timer);
+            drop();
+          }
+          // The delayed write is still traced to the write that caused it
+          const cause = getCurrentCause();
+          timer = setTimeout(() => {
+            timer = null;
+            withCause(cause, () => emit(value));
+          }, wait);
+        },
+        teardown() {
+          clearTimeout(timer);
+          timer = null;
+        }
+      };
+    }, options);
+  };
+}
+
+/**
+ * Pass on at most one value per interval
+ * The first value is passed on at once; values arriving during the interval
+ * are dropped, except the last one, which is passed on when the interval
+ * ends unless trailing is false.
+ * @param {number} interval - Interval in ms
+ * @param {Object} options - Operator options ({ name, trailing })
+ * @param {boolean} options.trailing - Emit the last value of each interval (default true)
+ * @returns {Function} Operator for pipe()
+ */
+function throttle(interval, options = {}) {
+  const { trailing = true } = options;
+  
+  return source => {
+    assertSources('throttle', [source]);
+    return createOperator('throttle', [source], source._value, ({ emit, drop }) => {
+      let timer = null;
+      let pending = null; // { value, cause } waiting for the end of the interval
+      
+      const open = () => {
+        timer = setTimeout(() => {
+          timer = null;
+          if (pending) {
+            const { value, cause } = pending;
+            pending = null;
+            withCause(cause, () => emit(value));
+            open();
+          }
+        }, interval);
+      };
+      
+      return {
+        next(value) {
+          if (timer === null) {
+            emit(value);
+            open();
+            return;
+          }
+          if (pending || !trailing) drop();
+          if (trailing) pending = { value, cause: getCurrentCause() };
+        },
+        teardown() {
+          clearTimeout(timer);
+          timer = null;
+          pending = null;
+        }
+      };
+    }, options);
+  };
+}
+
+/**
+ * Combine the latest values of several observables into an array
+ * Writes to several sources in one batch produce a single new array.
+ * @param {Array<Observable>} sources - Observables to combine
+ * @param {Object} options - Operator options ({ name })
+ * @returns {Observable} Observable of [value of each source]
+ */
+function combineLatest(sources, options = {}) {
+  assertSources('combineLatest', sources);
+  const latest = () => sources.map(source => source._value);
+  
+  return createOperator('combineLatest', sources, latest(), ({ emit, output }) => ({
+    next() {
+      // Later notifications of the same batch find the array already current
+      const values = latest();
+      if (!shallowEqual(output._value, values)) emit(values);
+    }
+  }), options);
+}
+
+/**
+ * Follow several observables, passing on whichever changed last
+ * @param {Array<Observable>} sources - Observables to merge
+ * @param {Object} options - Operator options ({ name })
+ * @returns {Observable} Observable of the latest value of any source
+ */
+function merge(sources, options = {}) {
+  assertSources('merge', sources);
+  return createOperator('merge', sources, sources[0]._value, ({ emit }) => ({
+    next: emit
+  }), options);
+}
+
+export { map, filter, distinctUntilChanged, debounce, throttle, combineLatest, merge };
\ No newline at end of file
@@ -0,0 +1,508 @@
+/**
+ * OTLP Exporter - Sends metrics to an OpenTelemetry collector
+ *
+ * Converts the renders, mounts, computations and writes recorded by the
+ * ObservabilitySystem into OTLP/JSON spans and histogram metrics, and posts
+ * them in batches to a collector's HTTP endpoint. The exporter receives every
+ * recorded sample through a sink and buffers it until the next collection,
+ * so none are lost to the trimming of the detailed history. Failed sends are
+ * retried with exponential backoff and requeued if they still fail; the
+ * buffer and queues are bounded so an unreachable collector cannot grow
+ * memory without limit.
+ */
+
+import { ObservabilitySystem } from './observability.js';
+
+// Detailed metrics that describe a timed operation, exported as spans
+const SPAN_NAMES = {
+  componentRenderTime: 'component.render',
+  componentMountTime: 'component.mount',
+  componentUpdateTime: 'component.update',
+  componentHookTime: 'component.hook',
+  derivedComputeTime: 'computed.compute',
+  writeTime: 'observable.write',
+  batchTime: 'observable.batch'
+};
+
+// Tags used as histogram attributes; per-instance tags like renderId would explode cardinality
+const METRIC_ATTRIBUTES = ['component', 'name', 'hook'];
+
+// Global counters exported as cumulative sums
+const COUNTERS = {
+  totalReads: 'observablejs.reads',
+  totalWrites: 'observablejs.writes',
+  totalRenders: 'observablejs.renders',
+  slowRenders: 'observablejs.slow_renders',
+  avoidedComputations: 'observablejs.avoided_computations',
+  scheduledRenders: 'observablejs.scheduled_renders',
+  coalescedUpdates: 'observablejs.coalesced_updates',
+  skippedWrites: 'observablejs.skipped_writes',
+  wastedWrites: 'observablejs.wasted_writes',
+  effectRuns: 'observablejs.effect_runs',
+  droppedValues: 'observablejs.dropped_values',
+  completedStreams: 'observablejs.completed_streams',
+  failedStreams: 'observablejs.failed_streams'
+};
+
+const SPAN_KIND_INTERNAL = 1;
+const AGGREGATION_TEMPORALITY_DELTA = 1;
+const AGGREGATION_TEMPORALITY_CUMULATIVE = 2;
+
+/**
+ * Generate a random lowercase hex string
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} Hex string of length bytes * 2
+ */
+function randomHex(bytes) {
+  let hex = '';
+  for (let i = 0; i < bytes; i++) {
+    hex += Math.floor(Math.random() * 256).toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+/**
+ * Convert milliseconds since the epoch to an OTLP nanosecond timestamp
+ * @param {number} ms - Milliseconds
+ * @returns {string} Nanoseconds as a decimal string
+ */
+function toUnixNano(ms) {
+  return String(BigInt(Math.round(ms * 1000)) * 1000n);
+}
+
+/**
+ * Convert a plain value to an OTLP AnyValue
+ * @param {any} value - Value to convert
+ * @returns {Object} OTLP AnyValue
+ */
+function toAnyValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  return { stringValue: String(value) };
+}
+
+/**
+ * Convert an object of tags to OTLP attributes
+ * @param {Object} tags - Key/value tags
+ * @returns {Array<Object>} OTLP KeyValue list
+ */
+function toAttributes(tags) {
+  return Object.keys(tags)
+    .filter(key => tags[key] !== undefined && tags[key] !== null)
+    .map(key => ({ key, value: toAnyValue(tags[key]) }));
+}
+
+class OTLPExporter {
+  /**
+   * Create a new OTLP exporter
+   * @param {Object} options - Exporter options
+   * @param {string} options.endpoint - Collector base URL (default http://localhost:4318)
+   * @param {Object} options.headers - Extra HTTP headers, e.g. for authentication
+   * @param {string} options.serviceName - Value of the service.name resource attribute
+   * @param {Object} options.resourceAttributes - Additional resource attributes
+   * @param {number} options.interval - Export interval in ms for start()
+   * @param {number} options.maxBufferSize - Maximum number of samples waiting to be collected
+   * @param {number} options.maxQueueSize - Maximum number of spans waiting to be sent
+   * @param {number} options.maxBatchSize - Maximum number of spans per request
+   * @param {number} options.maxRetries - Retries per request before it is requeued
+   * @param {number} options.initialBackoff - First retry delay in ms
+   * @param {number} options.maxBackoff - Upper bound for the retry delay in ms
+   * @param {Array<number>} options.buckets - Histogram bucket boundaries in ms
+   * @param {Function} options.fetch - fetch implementation (defaults to the global fetch)
+   */
+  constructor(options = {}) {
+    this.options = {
+      endpoint: 'http://localhost:4318',
+      headers: {},
+      serviceName: 'observablejs-app',
+      resourceAttributes: {},
+      interval: 5000,
+      maxBufferSize: 10000,
+      maxQueueSize: 2048,
+      maxBatchSize: 512,
+      maxRetries: 5,
+      initialBackoff: 500,
+      maxBackoff: 30000,
+      buckets: [1, 2, 5, 10, 16, 25, 50, 100, 250, 500, 1000],
+      fetch: null,
+      ...options
+    };
+    
+    this._fetch = this.options.fetch || (typeof fetch === 'function' ? fetch.bind(globalThis) : null);
+    if (!this._fetch) {
+      throw new Error('OTLPExporter requires fetch; pass options.fetch in this environment');
+    }
+    
+    this._samples = []; // Samples recorded since the last collection
+    this._spanQueue = [];
+    this._metricQueue = [];
+    this._lastCollectTime = Date.now();
+    this._startTime = Date.now();
+    this._timerId = null;
+    this._flushing = null;
+    
+    this._stats = {
+      exportedSpans: 0,
+      exportedMetrics: 0,
+      droppedSamples: 0, // over maxBufferSize before a collection
+      droppedSpans: 0,
+      droppedMetrics: 0,
+      failedSpans: 0, // in requests that failed after every retry, requeued
+      failedMetrics: 0,
+      failedRequests: 0,
+      retries: 0
+    };
+    
+    this._detach = ObservabilitySystem.use({
+      name: 'otlp',
+      filter: { types: ['metric'] },
+      handle: event => this._buffer(event)
+    });
+  }
+  
+  /**
+   * Gather samples recorded since the last collection into the export queues
+   */
+  collect() {
+    const now = Date.now();
+    const histograms = [];
+    const byName = new Map();
+    this._samples.splice(0).forEach(sample => {
+      if (!byName.has(sample.name)) byName.set(sample.name, []);
+      byName.get(sample.name).push(sample);
+    });
+    
+    byName.forEach((samples, name) => {
+      if (SPAN_NAMES[name]) {
+        samples.forEach(sample => this._enqueueSpan(this._toSpan(name, sample)));
+      }
+      
+      histograms.push(this._toHistogram(name, samples, now));
+    });
+    
+    ObservabilitySystem.updateGlobalCounters();
+    const global = ObservabilitySystem._metrics.global;
+    // resetMetrics() zeroes the counters; adding back what it folded into the
+    // base keeps the cumulative sums from going backwards
+    const base = ObservabilitySystem._counterBase;
+    const sums = Object.keys(COUNTERS).map(key => ({
+      name: COUNTERS[key],
+      unit: '1',
+      sum: {
+        aggregationTemporality: AGGREGATION_TEMPORALITY_CUMULATIVE,
+        isMonotonic: true,
+        dataPoints: [{
+          startTimeUnixNano: toUnixNano(this._startTime),
+          timeUnixNano: toUnixNano(now),
+          asInt: String((base[key] || 0) + (global[key] || 0))
+        }]
+      }
+    }));
+    
+    this._enqueueMetrics([...histograms, ...sums]);
+    this._lastCollectTime = now;
+  }
+  
+  /**
+   * Send everything that is queued, retrying failed requests with backoff
+   * @returns {Promise} Resolves when the queues have been sent or dropped
+   */
+  flush() {
+    // Only one flush at a time, so a slow collector cannot pile up requests
+    if (this._flushing) return this._flushing;
+    
+    this._flushing = this._flushQueues().finally(() => {
+      this._flushing = null;
+    });
+    return this._flushing;
+  }
+  
+  /**
+   * Collect and flush periodically
+   * @returns {Function} Function to stop exporting
+   */
+  start() {
+    if (this._timerId) return () => this.stop();
+    
+    this._timerId = setInterval(() => {
+      this.collect();
+      this.flush();
+    }, this.options.interval);
+    
+    return () => this.stop();
+  }
+  
+  /**
+   * Stop periodic exporting
+   */
+  stop() {
+    if (this._timerId) {
+      clearInterval(this._timerId);
+      this._timerId = null;
+    }
+  }
+  
+  /**
+   * Stop exporting, stop receiving samples and send whatever is left
+   * @returns {Promise} Resolves after the final flush
+   */
+  shutdown() {
+    this.stop();
+    this._detach();
+    this.collect();
+    return this.flush();
+  }
+  
+  /**
+   * Get statistics about the exporter itself
+   * @returns {Object} Exported, dropped and queued counts
+   */
+  getStats() {
+    return {
+      ...this._stats,
+      bufferedSamples: this._samples.length,
+      queuedSpans: this._spanQueue.length,
+      queuedMetrics: this._metricQueue.length
+    };
+  }
+  
+  /**
+   * Keep a recorded sample until the next collection, dropping the oldest when full
+   * @private
+   */
+  _buffer(event) {
+    this._samples.push(event);
+    if (this._samples.length > this.options.maxBufferSize) {
+      this._samples.shift();
+      this._stats.droppedSamples++;
+    }
+  }
+  
+  /**
+   * Add a span to the queue, dropping the oldest one when full
+   * @private
+   */
+  _enqueueSpan(span) {
+    this._spanQueue.push(span);
+    if (this._spanQueue.length > this.options.maxQueueSize) {
+      this._spanQueue.shift();
+      this._stats.droppedSpans++;
+    }
+  }
+  
+  /**
+   * Add metrics to the queue, dropping the oldest ones when full
+   * @private
+   */
+  _enqueueMetrics(metrics) {
+    this._metricQueue.push(...metrics);
+    const overflow = this._metricQueue.length - this.options.maxQueueSize;
+    if (overflow > 0) {
+      this._metricQueue.splice(0, overflow);
+      this._stats.droppedMetrics += overflow;
+    }
+  }
+  
+  /**
+   * Put a batch that could not be sent back at the front of its queue,
+   * dropping the oldest entries beyond maxQueueSize
+   * @private
+   */
+  _requeue(queue, items, droppedStat) {
+    queue.unshift(...items);
+    const overflow = queue.length - this.options.maxQueueSize;
+    if (overflow > 0) {
+      queue.splice(0, overflow);
+      this._stats[droppedStat] += overflow;
+    }
+  }
+  
+  /**
+   * Convert a timed sample to an OTLP span
+   * @private
+   */
+  _toSpan(name, sample) {
+    const { value, timestamp, tags } = sample;
+    return {
+      traceId: randomHex(16),
+      spanId: randomHex(8),
+      name: SPAN_NAMES[name],
+      kind: SPAN_KIND_INTERNAL,
+      startTimeUnixNano: toUnixNano(timestamp - value),
+      endTimeUnixNano: toUnixNano(timestamp),
+      attributes: toAttributes({ metric: name, ...tags })
+    };
+  }
+  
+  /**
+   * Aggregate samples into one delta histogram with a data point per tag set
+   * @private
+   */
+  _toHistogram(name, samples, now) {
+    const bounds = this.options.buckets;
+    const points = new Map();
+    
+    samples.forEach(sample => {
+      const attributes = {};
+      METRIC_ATTRIBUTES.forEach(key => {
+        if (sample.tags[key] !== undefined) attributes[key] = sample.tags[key];
+      });
+      const pointKey = JSON.stringify(attributes);
+      
+      let point = points.get(pointKey);
+      if (!point) {
+        point = {
+          attributes,
+          count: 0,
+          sum: 0,
+          min: Infinity,
+          max: -Infinity,
+          bucketCounts: new Array(bounds.length + 1).fill(0)
+        };
+        points.set(pointKey, point);
+      }
+      
+      const value = Number(sample.value) || 0;
+      point.count++;
+      point.sum += value;
+      point.min = Math.min(point.min, value);
+      point.max = Math.max(point.max, value);
+      
+      let bucket = bounds.findIndex(bound => value <= bound);
+      if (bucket === -1) bucket = bounds.length;
+      point.bucketCounts[bucket]++;
+    });
+    
+    return {
+      name: `observablejs.${name}`,
+      unit: /Time$/.test(name) ? 'ms' : '1',
+      histogram: {
+        aggregationTemporality: AGGREGATION_TEMPORALITY_DELTA,
+        dataPoints: Array.from(points.values()).map(point => ({
+          attributes: toAttributes(point.attributes),
+          startTimeUnixNano: toUnixNano(this._lastCollectTime),
+          timeUnixNano: toUnixNano(now),
+          count: String(point.count),
+          sum: point.sum,
+          min: point.min,
+          max: point.max,
+          bucketCounts: point.bucketCounts.map(String),
+          explicitBounds: bounds
+        }))
+      }
+    };
+  }
+  
+  /**
+   * Resource shared by every request
+   * @private
+   */
+  _resource() {
+    return {
+      attributes: toAttributes({
+        'service.name': this.options.serviceName,
+        'telemetry.sdk.name': 'observablejs',
+        'telemetry.sdk.language': 'webjs',
+        'telemetry.sdk.version': '0.1.0',
+        ...this.options.resourceAttributes
+      })
+    };
+  }
+  
+  /**
+   * Drain both queues in batches
+   * @private
+   */
+  async _flushQueues() {
+    const scope = { name: '@observablejs/core', version: '0.1.0' };
+    
+    while (this._spanQueue.length > 0) {
+      const spans = this._spanQueue.splice(0, this.options.maxBatchSize);
+      const status = await this._send('/v1/traces', {
+        resourceSpans: [{ resource: this._resource(), scopeSpans: [{ scope, spans }] }]
+      });
+      if (status === 'sent') {
+        this._stats.exportedSpans += spans.length;
+      } else if (status === 'rejected') {
+        this._stats.droppedSpans += spans.length;
+      } else {
+        // The collector is unreachable; try again at the next flush
+        this._stats.failedSpans += spans.length;
+        this._requeue(this._spanQueue, spans, 'droppedSpans');
+        break;
+      }
+    }
+    
+    if (this._metricQueue.length > 0) {
+      const metrics = this._metricQueue.splice(0, this._metricQueue.length);
+      const status = await this._send('/v1/metrics', {
+        resourceMetrics: [{ resource: this._resource(), scopeMetrics: [{ scope, metrics }] }]
+      });
+      if (status === 'sent') {
+        this._stats.exportedMetrics += metrics.length;
+      } else if (status === 'rejected') {
+        this._stats.droppedMetrics += metrics.length;
+      } else {
+        this._stats.failedMetrics += metrics.length;
+        this._requeue(this._metricQueue, metrics, 'droppedMetrics');
+      }
+    }
+  }
+  
+  /**
+   * POST a payload, retrying retryable failures with exponential backoff and jitter
+   * @private
+   * @returns {Promise<string>} 'sent', 'rejected' (client error, not worth
+   *   sending again) or 'failed' (still failing after every retry)
+   */
+  async _send(path, payload) {
+    const url = this.options.endpoint.replace(/\/$/, '') + path;
+    const body = JSON.stringify(payload);
+    let lastError = null;
+    let status = 'failed';
+    
+    for (let attempt = 0; attempt <= this.options.maxRetries; attempt++) {
+      if (attempt > 0) {
+        this._stats.retries++;
+        const backoff = Math.min(this.options.maxBackoff, this.options.initialBackoff * 2 ** (attempt - 1));
+        await new Promise(resolve => setTimeout(resolve, backoff * (0.5 + Math.random() / 2)));
+      }
+      
+      try {
+        const response = await this._fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...this.options.headers },
+          body
+        });
+        
+        if (response.ok) return 'sent';
+        
+        lastError = new Error(`Collector responded with ${response.status}`);
+        // Only throttling and server errors are worth retrying
+        if (response.status !== 429 && response.status < 500) {
+          status = 'rejected';
+          break;
+        }
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    
+    this._stats.failedRequests++;
+    ObservabilitySystem.recordError('exportError', lastError, { exporter: 'otlp', path });
+    return status;
+  }
+}
+
+/**
+ * Create a new OTLP exporter
+ * @param {Object} options - Exporter options
+ * @returns {OTLPExporter} The exporter instance
+ */
+function createOTLPExporter(options = {}) {
+  return new OTLPExporter(options);
+}
+
+export { OTLPExporter, createOTLPExporter };
\ No newline at end of file
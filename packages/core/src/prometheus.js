@@ -0,0 +1,237 @@
+/**
+ * Prometheus - Text exposition writer for ObservableJS metrics
+ *
+ * Keeps cumulative histograms and summaries for every recorded metric,
+ * labelled with the sample's component, id and name tags, and renders them
+ * together with counters and gauges in the Prometheus text format (0.0.4).
+ * Histogram state is never trimmed or reset, as Prometheus expects.
+ */
+
+const DEFAULT_BUCKETS = [1, 2.5, 5, 10, 16, 25, 50, 100, 250, 500, 1000]; // ms
+const DEFAULT_LABELS = ['component', 'id', 'name'];
+const MAX_SERIES_PER_FAMILY = 1000;
+
+// HELP text for the metrics the framework records itself
+const DESCRIPTIONS = {
+  componentRenderTime: 'Component render duration',
+  componentMountTime: 'Component mount duration',
+  componentUpdateTime: 'Component state update duration',
+  componentHookTime: 'Component lifecycle hook duration',
+  componentPatchTime: 'DOM patch duration per render',
+  componentPatchCount: 'DOM operations per render',
+  derivedComputeTime: 'Computed value recomputation duration',
+  initialComputeTime: 'Computed value initial computation duration',
+  asyncComputeTime: 'Async computed value duration from start to settlement',
+  readTime: 'Observable read duration',
+  writeTime: 'Observable write duration',
+  updateTime: 'Subscriber notification duration',
+  propagationTime: 'Change propagation duration through the reactive graph',
+  batchTime: 'batch() duration',
+  subscriberCount: 'Subscribers notified per change',
+  redundantComputationsAvoided: 'Recomputations avoided per propagation',
+  schedulerFlush: 'Components rendered per scheduler flush',
+  eventLoopLagTime: 'Node.js event-loop lag measured from timer drift',
+  timeTravelTime: 'Time travel step duration, including propagation',
+  snapshotTime: 'snapshot() duration',
+  hydrateTime: 'hydrate() duration, including propagation',
+  dependencyGraphTime: 'getDependencyGraph() duration',
+  effectTime: 'Effect run duration, including cleanup',
+  operatorTime: 'Operator callback duration (map, filter)',
+  streamTime: 'Duration of a from() source until it completed or failed'
+};
+
+/**
+ * Convert a camelCase metric name to a Prometheus metric name
+ * @param {string} name - Metric name, e.g. componentRenderTime
+ * @returns {string} Prometheus name, e.g. js_component_render_time_seconds
+ */
+function toPrometheusName(name) {
+  const snake = name
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^a-zA-Z0-9_]/g, '_')
+    .toLowerCase();
+  return isTiming(name) ? `js_${snake}_seconds` : `js_${snake}`;
+}
+
+/**
+ * Check whether a metric records a duration in milliseconds
+ * @param {string} name - Metric name
+ * @returns {boolean} True for *Time metrics
+ */
+function isTiming(name) {
+  return /Time$/.test(name);
+}
+
+/**
+ * Escape a label value (backslash, double quote and line feed)
+ * @param {any} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Escape HELP text (backslash and line feed)
+ * @param {string} text - Help text
+ * @returns {string} Escaped text
+ */
+function escapeHelp(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a sample value the way Prometheus parses it
+ * @param {number} value - Sample value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Render a label set
+ * @param {Array<Array>} labels - [name, value] pairs
+ * @returns {string} `{a="1",b="2"}` or an empty string
+ */
+function formatLabels(labels) {
+  if (labels.length === 0) return '';
+  return `{${labels.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+class PrometheusRegistry {
+  constructor() {
+    this.buckets = DEFAULT_BUCKETS;
+    this.labelNames = DEFAULT_LABELS;
+    this._families = new Map();
+    this.droppedSeries = 0;
+  }
+  
+  /**
+   * Configure buckets and labels
+   * Changing buckets discards existing histograms, since samples cannot be re-bucketed.
+   * @param {Object} options - Options
+   * @param {Array<number>} options.buckets - Histogram bucket upper bounds in ms
+   * @param {Array<string>} options.labels - Sample tags to use as labels
+   */
+  configure(options = {}) {
+    if (Array.isArray(options.buckets)) {
+      const buckets = options.buckets
+        .filter(bound => typeof bound === 'number' && Number.isFinite(bound))
+        .sort((a, b) => a - b);
+      this.buckets = Array.from(new Set(buckets));
+      this._families.clear();
+    }
+    
+    if (Array.isArray(options.labels)) {
+      this.labelNames = options.labels.filter(label => /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(label) && label !== 'le');
+      this._families.clear();
+    }
+  }
+  
+  /**
+   * Add a recorded sample to its histogram or summary
+   * @param {string} name - Metric name
+   * @param {number} value - Sample value
+   * @param {Object} tags - Sample tags
+   */
+  observe(name, value, tags = {}) {
+    if (typeof value !== 'number' || Number.isNaN(value)) return;
+    
+    let family = this._families.get(name);
+    if (!family) {
+      family = { name, series: new Map() };
+      this._families.set(name, family);
+    }
+    
+    const labels = this.labelNames
+      .filter(label => tags[label] !== undefined && tags[label] !== null)
+      .map(label => [label, String(tags[label])]);
+    const key = JSON.stringify(labels);
+    
+    let series = family.series.get(key);
+    if (!series) {
+      if (family.series.size >= MAX_SERIES_PER_FAMILY) {
+        this.droppedSeries++;
+        return;
+      }
+      series = { labels, count: 0, sum: 0, buckets: new Array(this.buckets.length).fill(0) };
+      family.series.set(key, series);
+    }
+    
+    series.count++;
+    series.sum += value;
+    
+    if (isTiming(name)) {
+      this.buckets.forEach((bound, index) => {
+        if (value <= bound) series.buckets[index]++;
+      });
+    }
+  }
+  
+  /**
+   * Render counters, gauges and all recorded families
+   * @param {Object} extra - Counters and gauges to include
+   * @param {Array<Object>} extra.counters - { name, help, value }
+   * @param {Array<Object>} extra.gauges - { name, help, value }
+   * @returns {string} Metrics in the Prometheus text format
+   */
+  write({ counters = [], gauges = [] } = {}) {
+    const lines = [];
+    
+    counters.forEach(({ name, help, value }) => {
+      lines.push(`# HELP ${name} ${escapeHelp(help)}`);
+      lines.push(`# TYPE ${name} counter`);
+      lines.push(`${name} ${formatValue(value)}`);
+    });
+    
+    gauges.forEach(({ name, help, value }) => {
+      lines.push(`# HELP ${name} ${escapeHelp(help)}`);
+      lines.push(`# TYPE ${name} gauge`);
+      lines.push(`${name} ${formatValue(value)}`);
+    });
+    
+    Array.from(this._families.values())
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(family => {
+        const promName = toPrometheusName(family.name);
+        const timing = isTiming(family.name);
+        const help = DESCRIPTIONS[family.name] || `Distribution of ${family.name} samples`;
+        
+        lines.push(`# HELP ${promName} ${escapeHelp(timing ? `${help} in seconds` : help)}`);
+        lines.push(`# TYPE ${promName} ${timing ? 'histogram' : 'summary'}`);
+        
+        family.series.forEach(series => {
+          // Samples are recorded in ms; Prometheus expects base units
+          const scale = timing ? 1000 : 1;
+          
+          if (timing) {
+            this.buckets.forEach((bound, index) => {
+              const labels = formatLabels([...series.labels, ['le', formatValue(bound / scale)]]);
+              lines.push(`${promName}_bucket${labels} ${series.buckets[index]}`);
+            });
+            lines.push(`${promName}_bucket${formatLabels([...series.labels, ['le', '+Inf']])} ${series.count}`);
+          }
+          
+          lines.push(`${promName}_sum${formatLabels(series.labels)} ${formatValue(series.sum / scale)}`);
+          lines.push(`${promName}_count${formatLabels(series.labels)} ${series.count}`);
+        });
+      });
+    
+    lines.push('# HELP js_prometheus_dropped_series Series not exported because a family reached its series limit');
+    lines.push('# TYPE js_prometheus_dropped_series counter');
+    lines.push(`js_prometheus_dropped_series ${this.droppedSeries}`);
+    
+    return lines.join('\n') + '\n';
+  }
+}
+
+export { PrometheusRegistry, escapeLabelValue, toPrometheusName };
\ No newline at end of file
@@ -0,0 +1,416 @@
+/**
+ * Propagation - Glitch-free update engine for the reactive graph
+ *
+ * When an observable changes, every computed downstream of it is marked dirty
+ * and recomputed exactly once, in topological order. Subscribers are only
+ * notified after the whole graph is consistent again, so they never see a
+ * computed value that disagrees with its dependencies.
+ *
+ * Inside batch() changes are collected instead and propagated together when
+ * the outermost batch returns. Computeds and store paths downstream of a
+ * write made in a batch are marked stale, and reading one before the batch
+ * ends brings it up to date, so reads inside the batch see its writes.
+ */
+
+import { ObservabilitySystem } from './observability.js';
+import { createCause, deriveCause } from './causality.js';
+
+// True while dirty computeds are being recomputed
+let isRecomputing = false;
+
+// Sources written during recomputation, propagated once the current pass ends
+const pendingSources = new Set();
+
+// Brings a dirty node of the current pass up to date, for reads ahead of its turn
+let processDirty = null;
+
+// One frame per active batch() call, innermost last.
+// Each frame maps every observable written in it to its value before the batch.
+const batchStack = [];
+
+// Called with the net changes of every committed write or outermost batch
+const commitListeners = new Set();
+
+// Nodes marked stale by writes in the current batch, settled when it ends
+const staleNodes = new Set();
+
+/**
+ * Record that a dependent node reads from a dependency
+ * @param {Observable} dependency - The upstream observable
+ * @param {Observable} dependent - The downstream computed
+ */
+function link(dependency, dependent) {
+  // A released store path has to rejoin its store before it can be depended on
+  if (dependency._revive) dependency._revive();
+  dependency._dependents.add(dependent);
+  dependent._dependencies.add(dependency);
+}
+
+/**
+ * Remove a dependency edge created by link()
+ * @param {Observable} dependency - The upstream observable
+ * @param {Observable} dependent - The downstream computed
+ */
+function unlink(dependency, dependent) {
+  dependency._dependents.delete(dependent);
+  dependent._dependencies.delete(dependency);
+  // Store paths are released once nothing uses them
+  if (dependency._release && dependency._dependents.size === 0) dependency._release();
+}
+
+/**
+ * Order every node reachable from the sources so that each node comes
+ * before all of its dependents
+ * @param {Array<Observable>} sources - Observables that changed
+ * @returns {Array<Observable>} Reachable nodes in topological order
+ */
+function topologicalOrder(sources) {
+  const visited = new Set();
+  const ordered = [];
+  
+  const visit = (node) => {
+    if (visited.has(node)) return;
+    visited.add(node);
+    node._dependents.forEach(visit);
+    ordered.push(node);
+  };
+  
+  sources.forEach(visit);
+  return ordered.reverse();
+}
+
+/**
+ * Recompute everything downstream of the sources, then notify subscribers
+ * @param {Array<Observable>} sources - Observables whose value has changed
+ */
+function runPropagation(sources) {
+  const startTime = performance.now();
+  const sourceSet = new Set(sources);
+  const changed = new Set(sources);
+  const order = topologicalOrder(sources).filter(node => !sourceSet.has(node));
+  let recomputed = 0;
+  let avoided = 0;
+  
+  // Phase 1: bring every dirty computed up to date, each exactly once.
+  // The order comes from the graph before the write; a node that starts
+  // reading a dirty one during its recomputation pulls it forward.
+  const processNode = (node) => {
+    if (!node._dirty) return;
+    node._dirty = false;
+    
+    const changedDependencies = [];
+    node._dependencies.forEach(dep => {
+      if (changed.has(dep)) changedDependencies.push(dep);
+    });
+    
+    // Nothing it reads actually changed, so it is still up to date
+    if (changedDependencies.length === 0) return;
+    
+    recomputed++;
+    // Notifying per dependency would have recomputed this node once per changed input
+    avoided += changedDependencies.length - 1;
+    
+    // The node changes because its inputs did; it inherits their writes' traces
+    node._cause = deriveCause(node, changedDependencies);
+    
+    // A node read inside the batch is already up to date; it changed if it
+    // differs from its value before the batch
+    const pulled = node._pulledFrom;
+    node._pulledFrom = null;
+    const nodeChanged = pulled
+      ? !node._equals(pulled.value, node._value) || pulled.error !== node._error
+      : node._update();
+    if (nodeChanged) {
+      changed.add(node);
+    }
+  };
+  
+  isRecomputing = true;
+  processDirty = processNode;
+  order.forEach(node => {
+    node._dirty = true;
+  });
+  try {
+    order.forEach(processNode);
+  } finally {
+    isRecomputing = false;
+    processDirty = null;
+    order.forEach(node => {
+      node._dirty = false;
+    });
+  }
+  
+  // Phase 2: the graph is consistent, notify subscribers of everything that changed
+  sources.forEach(node => node._notify());
+  order.forEach(node => {
+    if (changed.has(node)) node._notify();
+  });
+  
+  const endTime = performance.now();
+  ObservabilitySystem.recordMetric('propagationTime', endTime - startTime, {
+    sources: sources.length,
+    recomputed
+  });
+  
+  if (avoided > 0) {
+    ObservabilitySystem._metrics.global.avoidedComputations += avoided;
+    ObservabilitySystem.recordMetric('redundantComputationsAvoided', avoided);
+  }
+}
+
+/**
+ * Listen for committed changes
+ * A write outside batch() commits on its own; a batch commits once, with the
+ * net change of every observable it wrote, and not at all if it rolled back.
+ * @param {Function} listener - Called with an array of { observable, oldValue, newValue }
+ * @returns {Function} Function that removes the listener
+ */
+function onCommit(listener) {
+  commitListeners.add(listener);
+  return () => commitListeners.delete(listener);
+}
+
+/**
+ * Tell commit listeners about a set of changes
+ * @param {Array<Object>} changes - { observable, oldValue, newValue }
+ */
+function commit(changes) {
+  commitListeners.forEach(listener => {
+    try {
+      listener(changes);
+    } catch (error) {
+      ObservabilitySystem.recordError('commitListenerError', error);
+    }
+  });
+}
+
+/**
+ * Propagate a change from one or more observables through the graph
+ * @param {Array<Observable>} sources - Observables whose value has changed
+ */
+function propagate(sources) {
+  // A computeFn wrote to an observable; finish the current pass first
+  if (isRecomputing) {
+    sources.forEach(source => pendingSources.add(source));
+    return;
+  }
+  
+  runPropagation(sources);
+  
+  while (pendingSources.size > 0) {
+    const next = Array.from(pendingSources);
+    pendingSources.clear();
+    runPropagation(next);
+  }
+}
+
+/**
+ * Mark every node downstream of an observable written inside a batch as stale
+ * @param {Observable} observable - The observable written
+ * @param {Set} visited - Nodes already marked by this write
+ */
+function markStale(observable, visited = new Set()) {
+  observable._dependents.forEach(node => {
+    if (visited.has(node)) return;
+    visited.add(node);
+    node._stale = true;
+    staleNodes.add(node);
+    markStale(node, visited);
+  });
+}
+
+/**
+ * Bring a stale or dirty node up to date; called when it is read inside a
+ * batch, or during propagation before its turn
+ * Its value from before the first pull is kept, so the propagation at the
+ * end of the batch can tell whether it changed.
+ * @param {Observable} node - Computed or store path being read
+ */
+function pull(node) {
+  // Read during propagation before its turn: recompute it now, not after its reader
+  if (node._dirty) {
+    processDirty(node);
+    return;
+  }
+  
+  // Async computeds start a run on update, so they wait for the batch to end
+  if (!node._stale || !node._pullable) return;
+  node._stale = false;
+  if (!node._pulledFrom) {
+    node._pulledFrom = { value: node._value, error: node._error };
+  }
+  node._update();
+}
+
+/**
+ * Settle the nodes marked stale by the outermost batch before it propagates
+ * (or after it rolled back): pulled nodes that went stale again are brought
+ * up to date with the final values, and every stale mark is cleared.
+ * @param {boolean} rolledBack - The batch threw and its writes were restored
+ * @returns {Array<Observable>} The settled nodes
+ */
+function settleStaleNodes(rolledBack) {
+  if (staleNodes.size === 0) return [];
+  const nodes = topologicalOrder(Array.from(staleNodes)).filter(node => staleNodes.has(node));
+  staleNodes.clear();
+  
+  nodes.forEach(node => {
+    // After a rollback every pulled node holds a value from inside the batch
+    if (node._pulledFrom && (node._stale || rolledBack)) {
+      node._stale = true;
+      pull(node);
+    }
+    node._stale = false;
+    if (rolledBack) node._pulledFrom = null;
+  });
+  
+  return nodes;
+}
+
+/**
+ * Forget the pre-batch values of pulled nodes that propagation didn't reach
+ * @param {Array<Observable>} nodes - Nodes settled by settleStaleNodes()
+ */
+function clearPulled(nodes) {
+  nodes.forEach(node => {
+    node._pulledFrom = null;
+  });
+}
+
+/**
+ * Check whether writes are currently being collected by batch()
+ * @returns {boolean} True inside a batch
+ */
+function isBatching() {
+  return batchStack.length > 0;
+}
+
+/**
+ * Check whether the current batch already holds an observable's value from before it
+ * @param {Observable} observable - Observable to check
+ * @returns {boolean} True if the observable was written in the current batch
+ */
+function hasBatchedWrite(observable) {
+  return isBatching() && batchStack[batchStack.length - 1].originalValues.has(observable);
+}
+
+/**
+ * Handle a changed observable: propagate now, or defer until the batch ends
+ * @param {Observable} observable - The observable that changed
+ * @param {any} oldValue - Its value before the change
+ * @param {boolean} forced - Treat it as changed even if its value is oldValue (in-place mutation)
+ */
+function scheduleChange(observable, oldValue, forced = false) {
+  // Start a trace for the write; it follows the change to the renders it causes
+  observable._cause = createCause(observable);
+  
+  if (!isBatching()) {
+    if (commitListeners.size > 0) {
+      commit([{ observable, oldValue, newValue: observable._value }]);
+    }
+    propagate([observable]);
+    return;
+  }
+  
+  markStale(observable);
+  
+  const frame = batchStack[batchStack.length - 1];
+  frame.writes++;
+  if (!frame.originalValues.has(observable)) {
+    frame.originalValues.set(observable, oldValue);
+  }
+  if (forced) {
+    frame.forced.add(observable);
+  }
+}
+
+/**
+ * Run a function and defer all subscriber notification until it returns
+ *
+ * Batches can be nested; only the outermost one propagates. If fn throws,
+ * every observable written inside this batch is restored to its value
+ * from before the batch and the error is rethrown.
+ *
+ * @param {Function} fn - Function performing the writes
+ * @returns {any} The return value of fn
+ */
+function batch(fn) {
+  if (typeof fn !== 'function') {
+    throw new Error('batch requires a function');
+  }
+  
+  const startTime = performance.now();
+  const frame = { originalValues: new Map(), forced: new Set(), writes: 0 };
+  batchStack.push(frame);
+  
+  let result;
+  try {
+    result = fn();
+  } catch (error) {
+    batchStack.pop();
+    
+    frame.originalValues.forEach((oldValue, observable) => {
+      observable.silentSet(oldValue);
+    });
+    
+    if (isBatching()) {
+      // The enclosing batch goes on; what was read since the writes is stale again
+      frame.originalValues.forEach((oldValue, observable) => markStale(observable));
+    } else {
+      settleStaleNodes(true);
+    }
+    
+    ObservabilitySystem.recordError('batchError', error, {
+      writes: frame.writes,
+      observables: frame.originalValues.size
+    });
+    ObservabilitySystem.recordMetric('batchTime', performance.now() - startTime, {
+      writes: frame.writes,
+      rolledBack: true
+    });
+    throw error;
+  }
+  
+  batchStack.pop();
+  
+  // Nested batch: hand the writes to the enclosing batch
+  const parent = batchStack[batchStack.length - 1];
+  if (parent) {
+    parent.writes += frame.writes;
+    frame.originalValues.forEach((oldValue, observable) => {
+      if (!parent.originalValues.has(observable)) {
+        parent.originalValues.set(observable, oldValue);
+      }
+    });
+    frame.forced.forEach(observable => parent.forced.add(observable));
+    return result;
+  }
+  
+  // Outermost batch: propagate whatever ended up different from where it started
+  const settled = settleStaleNodes(false);
+  const sources = [];
+  const changes = [];
+  frame.originalValues.forEach((oldValue, observable) => {
+    if (!Object.is(observable._value, oldValue) || frame.forced.has(observable)) {
+      sources.push(observable);
+      changes.push({ observable, oldValue, newValue: observable._value });
+    }
+  });
+  
+  if (sources.length > 0) {
+    if (commitListeners.size > 0) {
+      commit(changes);
+    }
+    propagate(sources);
+  }
+  clearPulled(settled);
+  
+  ObservabilitySystem.recordMetric('batchTime', performance.now() - startTime, {
+    writes: frame.writes,
+    observables: sources.length
+  });
+  
+  return result;
+}
+
+export { link, unlink, propagate, scheduleChange, isBatching, hasBatchedWrite, batch, onCommit, pull };
\ No newline at end of file
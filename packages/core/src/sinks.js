@@ -0,0 +1,271 @@
+/**
+ * Sinks - Built-in destinations for ObservabilitySystem events
+ *
+ * Each factory returns a sink for ObservabilitySystem.use(): an object with
+ * a handle(event) method and optional setup/teardown. Sinks only see the
+ * events their filter lets through, and one that throws is contained by
+ * the system, so they can be attached in production without guarding.
+ * Work deferred to timers and page events runs through the guard that
+ * setup() receives, and the failures are counted in the sink's stats.
+ */
+
+/**
+ * Format an event as a short human-readable line
+ * @param {Object} event - Observability event
+ * @returns {string} Formatted line
+ */
+function formatEvent(event) {
+  if (event.type === 'metric') {
+    const value = Number.isInteger(event.value) ? event.value : event.value.toFixed(2);
+    return `[ObservableJS] ${event.name} ${value}`;
+  }
+  if (event.type === 'error') {
+    return `[ObservableJS] ${event.name}: ${event.error.message}`;
+  }
+  return `[ObservableJS] performance issue: ${event.name}`;
+}
+
+/**
+ * Create a sink that logs events to the console
+ * Errors go to console.error, performance issues to console.warn and
+ * metrics to console.debug (or the configured method).
+ * @param {Object} options - Sink options
+ * @param {string} options.method - Console method for metrics (default 'debug')
+ * @param {Object} options.filter - Event filter, see ObservabilitySystem.use()
+ * @returns {Object} Sink
+ */
+function createConsoleSink(options = {}) {
+  const method = options.method || 'debug';
+  
+  return {
+    name: 'console',
+    filter: options.filter,
+    handle(event) {
+      const line = formatEvent(event);
+      if (event.type === 'error') {
+        console.error(line, event.tags);
+      } else if (event.type === 'performanceIssue') {
+        console.warn(line, event.issue);
+      } else {
+        console[method](line, event.tags);
+      }
+    }
+  };
+}
+
+/**
+ * Create a sink that buffers the most recent events in localStorage
+ * Writes are coalesced, so a burst of events costs one storage write.
+ * @param {Object} options - Sink options
+ * @param {string} options.key - Storage key (default 'observablejs:events')
+ * @param {number} options.maxEvents - Events kept (default 500)
+ * @param {number} options.flushInterval - Delay before writing in ms (default 1000)
+ * @param {Storage} options.storage - Storage to use (default window.localStorage)
+ * @param {Object} options.filter - Event filter, see ObservabilitySystem.use()
+ * @returns {Object} Sink, with read() and clear() for the stored events, and getStats()
+ */
+function createLocalStorageSink(options = {}) {
+  const key = options.key || 'observablejs:events';
+  const maxEvents = options.maxEvents || 500;
+  const flushInterval = options.flushInterval !== undefined ? options.flushInterval : 1000;
+  const storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+  
+  const stats = { writes: 0, failures: 0 };
+  let buffer = null;
+  let timerId = null;
+  let guard = fn => fn();
+  
+  const read = () => {
+    if (!storage) return [];
+    try {
+      return JSON.parse(storage.getItem(key)) || [];
+    } catch (error) {
+      // Corrupt or foreign data under our key; start over
+      return [];
+    }
+  };
+  
+  const flush = () => {
+    timerId = null;
+    if (!buffer) return;
+    try {
+      // Throws when the storage quota is used up
+      storage.setItem(key, JSON.stringify(buffer));
+      stats.writes++;
+    } catch (error) {
+      stats.failures++;
+      throw error;
+    }
+  };
+  
+  return {
+    name: 'localStorage',
+    filter: options.filter,
+    setup(system, runGuarded) {
+      if (!storage) {
+        throw new Error('localStorage sink requires localStorage or options.storage');
+      }
+      if (runGuarded) guard = runGuarded;
+      buffer = read();
+    },
+    handle(event) {
+      buffer.push(event);
+      if (buffer.length > maxEvents) {
+        buffer = buffer.slice(-maxEvents);
+      }
+      if (timerId === null) {
+        timerId = setTimeout(() => guard(flush), flushInterval);
+      }
+    },
+    teardown() {
+      if (timerId !== null) {
+        clearTimeout(timerId);
+        flush();
+      }
+    },
+    read() {
+      return buffer ? buffer.slice() : read();
+    },
+    clear() {
+      buffer = [];
+      if (storage) storage.removeItem(key);
+    },
+    getStats() {
+      return { ...stats, buffered: buffer ? buffer.length : 0 };
+    }
+  };
+}
+
+/**
+ * Create a sink that uploads events with navigator.sendBeacon
+ * Events are sent in batches, and whatever is queued is sent when the page
+ * is hidden, so data survives navigation and tab closes.
+ * @param {Object} options - Sink options
+ * @param {string} options.url - Endpoint that receives { events } as JSON
+ * @param {number} options.batchSize - Events per beacon (default 50)
+ * @param {number} options.flushInterval - Max delay before sending in ms (default 5000)
+ * @param {number} options.maxQueueSize - Events kept while beacons fail (default 1000)
+ * @param {Object} options.filter - Event filter, see ObservabilitySystem.use()
+ * @returns {Object} Sink, with flush() and getStats()
+ */
+function createBeaconSink(options = {}) {
+  if (!options.url) {
+    throw new Error('beacon sink requires a url');
+  }
+  
+  const batchSize = options.batchSize || 50;
+  const flushInterval = options.flushInterval !== undefined ? options.flushInterval : 5000;
+  const maxQueueSize = options.maxQueueSize || 1000;
+  
+  const queue = [];
+  const stats = { sent: 0, beacons: 0, dropped: 0, failures: 0 };
+  let timerId = null;
+  let guard = fn => fn();
+  
+  const flush = () => {
+    if (timerId !== null) {
+      clearTimeout(timerId);
+      timerId = null;
+    }
+    
+    try {
+      while (queue.length > 0) {
+        const events = queue.slice(0, batchSize);
+        const payload = new Blob([JSON.stringify({ events })], { type: 'application/json' });
+        
+        // false means the browser refused to queue it (payload too large or quota hit)
+        if (!navigator.sendBeacon(options.url, payload)) break;
+        
+        queue.splice(0, events.length);
+        stats.sent += events.length;
+        stats.beacons++;
+      }
+    } catch (error) {
+      // Events that weren't sent stay queued for the next flush
+      stats.failures++;
+      throw error;
+    }
+  };
+  
+  const onTimer = () => guard(flush);
+  const onPageHide = () => guard(flush);
+  const onVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') guard(flush);
+  };
+  
+  return {
+    name: 'beacon',
+    filter: options.filter,
+    setup(system, runGuarded) {
+      if (typeof navigator === 'undefined' || typeof navigator.sendBeacon !== 'function') {
+        throw new Error('beacon sink requires navigator.sendBeacon');
+      }
+      if (runGuarded) guard = runGuarded;
+      if (typeof document !== 'undefined') {
+        document.addEventListener('visibilitychange', onVisibilityChange);
+      }
+      if (typeof window !== 'undefined') {
+        window.addEventListener('pagehide', onPageHide);
+      }
+    },
+    handle(event) {
+      queue.push(event);
+      if (queue.length > maxQueueSize) {
+        stats.dropped += queue.length - maxQueueSize;
+        queue.splice(0, queue.length - maxQueueSize);
+      }
+      
+      if (queue.length >= batchSize) {
+        flush();
+      } else if (timerId === null) {
+        timerId = setTimeout(onTimer, flushInterval);
+      }
+    },
+    teardown() {
+      if (typeof document !== 'undefined') {
+        document.removeEventListener('visibilitychange', onVisibilityChange);
+      }
+      if (typeof window !== 'undefined') {
+        window.removeEventListener('pagehide', onPageHide);
+      }
+      flush();
+    },
+    flush,
+    getStats() {
+      return { ...stats, queued: queue.length };
+    }
+  };
+}
+
+/**
+ * Create a sink that keeps every event in memory, for tests
+ * @param {Object} options - Sink options
+ * @param {Object} options.filter - Event filter, see ObservabilitySystem.use()
+ * @returns {Object} Sink, with events, ofType(type), named(name) and clear()
+ */
+function createRecorderSink(options = {}) {
+  return {
+    name: 'recorder',
+    filter: options.filter,
+    events: [],
+    handle(event) {
+      this.events.push(event);
+    },
+    ofType(type) {
+      return this.events.filter(event => event.type === type);
+    },
+    named(name) {
+      return this.events.filter(event => event.name === name);
+    },
+    clear() {
+      this.events.length = 0;
+    }
+  };
+}
+
+export {
+  createConsoleSink,
+  createLocalStorageSink,
+  createBeaconSink,
+  createRecorderSink
+};
\ No newline at end of file
@@ -0,0 +1,257 @@
+/**
+ * Snapshot - Capture and restore the values of registered observables
+ *
+ * snapshot() encodes the value of every source observable (computeds,
+ * operator outputs and from() streams are derived, so they are left out)
+ * into plain JSON, keyed by the observable's key option, or by its generated
+ * id when it has none. hydrate() restores those values without counting them
+ * as writes and then propagates them, so dependent computeds and components
+ * update once.
+ *
+ * Values may contain Dates, Maps, Sets, undefined, NaN/Infinity, and shared
+ * or circular references; they are tagged in the JSON and rebuilt on decode.
+ */
+
+import { ObservabilitySystem } from './observability.js';
+import { propagate, isBatching } from './propagation.js';
+import { createCause } from './causality.js';
+
+const SNAPSHOT_VERSION = 1;
+const TAG = '$t';
+
+/**
+ * Find the objects that are reached more than once (shared or circular)
+ * @param {any} value - Value to scan
+ * @returns {Set<Object>} Objects that need a reference id
+ */
+function findSharedObjects(value) {
+  const seen = new Set();
+  const shared = new Set();
+  
+  const visit = (node) => {
+    if (node === null || typeof node !== 'object' || node instanceof Date) return;
+    if (seen.has(node)) {
+      shared.add(node);
+      return;
+    }
+    seen.add(node);
+    
+    if (node instanceof Map) {
+      node.forEach((item, key) => {
+        visit(key);
+        visit(item);
+      });
+    } else if (node instanceof Set || Array.isArray(node)) {
+      node.forEach(visit);
+    } else {
+      Object.keys(node).forEach(key => visit(node[key]));
+    }
+  };
+  
+  visit(value);
+  return shared;
+}
+
+/**
+ * Encode a value as JSON-compatible data
+ * @param {any} value - Value to encode
+ * @returns {any} Encoded value, safe for JSON.stringify
+ */
+function encode(value) {
+  const shared = findSharedObjects(value);
+  const ids = new Map();
+  
+  const walk = (node) => {
+    if (node === undefined) return { [TAG]: 'undefined' };
+    if (typeof node === 'number' && !Number.isFinite(node)) {
+      return { [TAG]: 'Number', v: String(node) };
+    }
+    if (typeof node === 'bigint') return { [TAG]: 'BigInt', v: node.toString() };
+    if (node === null || typeof node !== 'object') {
+      // Functions and symbols have no meaningful serialized form
+      return typeof node === 'function' || typeof node === 'symbol' ? null : node;
+    }
+    if (node instanceof Date) return { [TAG]: 'Date', v: node.toISOString() };
+    
+    if (ids.has(node)) return { [TAG]: 'Ref', id: ids.get(node) };
+    
+    let type;
+    let encoded;
+    const id = shared.has(node) ? ids.size : undefined;
+    if (id !== undefined) ids.set(node, id);
+    
+    if (node instanceof Map) {
+      type = 'Map';
+      encoded = Array.from(node, ([key, item]) => [walk(key), walk(item)]);
+    } else if (node instanceof Set) {
+      type = 'Set';
+      encoded = Array.from(node, walk);
+    } else if (Array.isArray(node)) {
+      type = 'Array';
+      encoded = node.map(walk);
+    } else {
+      type = 'Object';
+      encoded = {};
+      Object.keys(node).forEach(key => {
+        encoded[key] = walk(node[key]);
+      });
+    }
+    
+    // Plain arrays and objects stay as they are unless they need an id,
+    // or (for objects) could be mistaken for a tagged value
+    if (id === undefined && type === 'Array') return encoded;
+    if (id === undefined && type === 'Object' && !(TAG in encoded)) return encoded;
+    
+    return id === undefined ? { [TAG]: type, v: encoded } : { [TAG]: type, id, v: encoded };
+  };
+  
+  return walk(value);
+}
+
+/**
+ * Rebuild a value produced by encode()
+ * @param {any} data - Encoded value
+ * @returns {any} Decoded value
+ */
+function decode(data) {
+  const refs = new Map();
+  
+  const walk = (node) => {
+    if (node === null || typeof node !== 'object') return node;
+    if (Array.isArray(node)) return node.map(walk);
+    
+    if (!(TAG in node)) {
+      const result = {};
+      Object.keys(node).forEach(key => {
+        result[key] = walk(node[key]);
+      });
+      return result;
+    }
+    
+    switch (node[TAG]) {
+      case 'undefined':
+        return undefined;
+      case 'Number':
+        return Number(node.v);
+      case 'BigInt':
+        return BigInt(node.v);
+      case 'Date':
+        return new Date(node.v);
+      case 'Ref':
+        return refs.get(node.id);
+    }
+    
+    // Containers are registered before their contents, so cycles resolve
+    let result;
+    if (node[TAG] === 'Map') {
+      result = new Map();
+      if (node.id !== undefined) refs.set(node.id, result);
+      node.v.forEach(([key, item]) => result.set(walk(key), walk(item)));
+    } else if (node[TAG] === 'Set') {
+      result = new Set();
+      if (node.id !== undefined) refs.set(node.id, result);
+      node.v.forEach(item => result.add(walk(item)));
+    } else if (node[TAG] === 'Array') {
+      result = [];
+      if (node.id !== undefined) refs.set(node.id, result);
+      node.v.forEach(item => result.push(walk(item)));
+    } else if (node[TAG] === 'Object') {
+      result = {};
+      if (node.id !== undefined) refs.set(node.id, result);
+      Object.keys(node.v).forEach(key => {
+        result[key] = walk(node.v[key]);
+      });
+    } else {
+      throw new Error(`Unknown snapshot value type: ${node[TAG]}`);
+    }
+    return result;
+  };
+  
+  return walk(data);
+}
+
+/**
+ * Check whether an observable's value comes from elsewhere
+ * @param {Observable} observable - Observable to check
+ * @returns {boolean} True for computeds, operator outputs and from() streams
+ */
+function isDerived(observable) {
+  return Boolean(observable._dependencies || observable._operator || observable._stream);
+}
+
+/**
+ * Capture the values of all registered source observables
+ * @param {Object} options - Snapshot options
+ * @param {boolean} options.keyedOnly - Only include observables created with a key
+ * @returns {Object} JSON-serializable snapshot for hydrate()
+ */
+function snapshot(options = {}) {
+  const startTime = performance.now();
+  const values = {};
+  
+  ObservabilitySystem._forEachObservable((observable, id) => {
+    // Derived values are rebuilt from their sources
+    if (isDerived(observable)) return;
+    if (options.keyedOnly && observable._key === undefined) return;
+    
+    values[observable._key !== undefined ? observable._key : id] = encode(observable._value);
+  });
+  
+  ObservabilitySystem.recordMetric('snapshotTime', performance.now() - startTime, {
+    observables: Object.keys(values).length
+  });
+  
+  return {
+    version: SNAPSHOT_VERSION,
+    createdAt: Date.now(),
+    values
+  };
+}
+
+/**
+ * Restore observable values from a snapshot, then update everything downstream
+ * Restored values are not counted as writes.
+ * @param {Object|string} data - Snapshot object or its JSON
+ * @returns {Object} { hydrated, missing } where missing lists keys with no observable
+ */
+function hydrate(data) {
+  if (isBatching()) {
+    throw new Error('Cannot hydrate inside batch()');
+  }
+  
+  const snap = typeof data === 'string' ? JSON.parse(data) : data;
+  if (!snap || snap.version !== SNAPSHOT_VERSION || !snap.values) {
+    throw new Error('Unsupported snapshot');
+  }
+  
+  const startTime = performance.now();
+  const sources = [];
+  const missing = [];
+  
+  Object.keys(snap.values).forEach(key => {
+    const observable = ObservabilitySystem.getObservableByKey(key) || ObservabilitySystem._getObservable(key);
+    if (!observable || isDerived(observable)) {
+      missing.push(key);
+      return;
+    }
+    
+    const value = decode(snap.values[key]);
+    if (!Object.is(observable._value, value)) {
+      observable.silentSet(value);
+      observable._cause = createCause(observable, 'hydrate');
+      sources.push(observable);
+    }
+  });
+  
+  if (sources.length > 0) {
+    propagate(sources);
+  }
+  
+  ObservabilitySystem.recordMetric('hydrateTime', performance.now() - startTime, {
+    observables: sources.length
+  });
+  
+  return { hydrated: sources.length, missing };
+}
+
+export { snapshot, hydrate, encode, decode };
\ No newline at end of file
@@ -0,0 +1,334 @@
+/**
+ * Stats - Streaming, time-windowed aggregation of recorded metrics
+ *
+ * Every recorded sample is folded into fixed-size time slots per metric and
+ * per tag value, so count, min, max, mean and approximate quantiles over the
+ * last 1, 5 or 15 minutes can be answered without keeping raw samples.
+ *
+ * Quantiles come from a log-bucketed (HDR-style) histogram with about 1%
+ * relative error. Memory is bounded: each series keeps at most one slot per
+ * SLOT_SIZE of the longest window, each slot about 120 buckets per decade of
+ * recorded values, and the number of series per tag is capped.
+ *
+ * Only allowlisted tags (component, name and a few more by default, or a
+ * configured list per metric) get per-value series; tags such as renderId or
+ * id are unique per sample or instance and would only fill the cap.
+ */
+
+const SLOT_SIZE = 5000; // ms
+const WINDOWS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000
+};
+const SLOT_COUNT = WINDOWS['15m'] / SLOT_SIZE;
+const QUANTILES = { p50: 0.5, p90: 0.9, p95: 0.95, p99: 0.99 };
+
+// Bucket i holds values in (GAMMA^(i-1), GAMMA^i]; GAMMA sets the relative error
+const GAMMA = 1.02;
+const LOG_GAMMA = Math.log(GAMMA);
+
+const MAX_VALUES_PER_TAG = 100;
+// Tags getStats() can group by unless configured otherwise for a metric
+const DEFAULT_GROUP_TAGS = ['component', 'name', 'hook', 'store', 'path', 'operator'];
+
+/**
+ * Find the histogram bucket for a value
+ * @param {number} value - Positive sample value
+ * @returns {number} Bucket index
+ */
+function bucketIndex(value) {
+  return Math.ceil(Math.log(value) / LOG_GAMMA);
+}
+
+/**
+ * Representative value for a bucket (the midpoint of its bounds)
+ * @param {number} index - Bucket index
+ * @returns {number} Value within 1% of every value in the bucket
+ */
+function bucketValue(index) {
+  return (Math.pow(GAMMA, index - 1) + Math.pow(GAMMA, index)) / 2;
+}
+
+/**
+ * Create an empty slot
+ * @param {number} epoch - Slot number (timestamp / SLOT_SIZE)
+ * @returns {Object} Slot
+ */
+function createSlot(epoch) {
+  return {
+    epoch,
+    count: 0,
+    sum: 0,
+    min: Infinity,
+    max: -Infinity,
+    zeros: 0, // values <= 0 can't be log-bucketed
+    buckets: new Map()
+  };
+}
+
+class Series {
+  constructor() {
+    this._slots = new Array(SLOT_COUNT).fill(null);
+  }
+  
+  /**
+   * Add a sample
+   * @param {number} value - Sample value
+   * @param {number} timestamp - Sample time in ms
+   */
+  add(value, timestamp) {
+    const epoch = Math.floor(timestamp / SLOT_SIZE);
+    const position = epoch % SLOT_COUNT;
+    let slot = this._slots[position];
+    
+    // The ring wrapped around: this position holds an expired slot
+    if (!slot || slot.epoch !== epoch) {
+      slot = createSlot(epoch);
+      this._slots[position] = slot;
+    }
+    
+    slot.count++;
+    slot.sum += value;
+    if (value < slot.min) slot.min = value;
+    if (value > slot.max) slot.max = value;
+    
+    if (value <= 0) {
+      slot.zeros++;
+    } else {
+      const index = bucketIndex(value);
+      slot.buckets.set(index, (slot.buckets.get(index) || 0) + 1);
+    }
+  }
+  
+  /**
+   * Summarize the samples recorded within a window
+   * @param {number} windowSize - Window length in ms
+   * @param {number} now - Current time in ms
+   * @returns {Object} { count, min, max, mean, p50, p90, p95, p99 }
+   */
+  summarize(windowSize, now) {
+    const newestEpoch = Math.floor(now / SLOT_SIZE);
+    const oldestEpoch = newestEpoch - windowSize / SLOT_SIZE + 1;
+    
+    const merged = createSlot(newestEpoch);
+    this._slots.forEach(slot => {
+      if (!slot || slot.epoch < oldestEpoch || slot.epoch > newestEpoch) return;
+      
+      merged.count += slot.count;
+      merged.sum += slot.sum;
+      merged.min = Math.min(merged.min, slot.min);
+      merged.max = Math.max(merged.max, slot.max);
+      merged.zeros += slot.zeros;
+      slot.buckets.forEach((count, index) => {
+        merged.buckets.set(index, (merged.buckets.get(index) || 0) + count);
+      });
+    });
+    
+    return summarizeSlot(merged);
+  }
+  
+  /**
+   * Check whether the series has any samples left in the longest window
+   * @param {number} now - Current time in ms
+   * @returns {boolean} True if every slot has expired
+   */
+  isExpired(now) {
+    const oldestEpoch = Math.floor(now / SLOT_SIZE) - SLOT_COUNT + 1;
+    return this._slots.every(slot => !slot || slot.epoch < oldestEpoch);
+  }
+}
+
+/**
+ * Turn merged slot data into statistics
+ * @param {Object} slot - Merged slot
+ * @returns {Object} Statistics
+ */
+function summarizeSlot(slot) {
+  const stats = {
+    count: slot.count,
+    min: slot.count > 0 ? slot.min : null,
+    max: slot.count > 0 ? slot.max : null,
+    mean: slot.count > 0 ? slot.sum / slot.count : null
+  };
+  
+  const indexes = Array.from(slot.buckets.keys()).sort((a, b) => a - b);
+  
+  Object.keys(QUANTILES).forEach(key => {
+    if (slot.count === 0) {
+      stats[key] = null;
+      return;
+    }
+    
+    const rank = Math.ceil(QUANTILES[key] * slot.count);
+    let seen = slot.zeros;
+    let value = slot.zeros >= rank ? Math.min(slot.min, 0) : slot.max;
+    
+    if (seen < rank) {
+      for (const index of indexes) {
+        seen += slot.buckets.get(index);
+        if (seen >= rank) {
+          value = bucketValue(index);
+          break;
+        }
+      }
+    }
+    
+    // Bucket midpoints can fall outside what was actually recorded
+    stats[key] = Math.min(slot.max, Math.max(slot.min, value));
+  });
+  
+  return stats;
+}
+
+class MetricStats {
+  constructor() {
+    this._metrics = new Map();
+    this._groupTags = new Map(); // metric name -> tags, for metrics not using the default
+    this.defaultGroupTags = DEFAULT_GROUP_TAGS;
+    this.droppedSeries = 0;
+  }
+  
+  /**
+   * Choose the tags that can be grouped by
+   * Per-tag data collected so far is discarded, since other tags were kept.
+   * Budgets for components and computeds group by component and name.
+   * @param {Array<string>|Object} groupTags - Tags for every metric, or an
+   *   object of metric name to tags; metrics not listed keep the defaults
+   */
+  configure(groupTags) {
+    if (Array.isArray(groupTags)) {
+      this.defaultGroupTags = groupTags.slice();
+      this._groupTags.clear();
+    } else if (groupTags && typeof groupTags === 'object') {
+      Object.keys(groupTags).forEach(name => {
+        if (Array.isArray(groupTags[name])) {
+          this._groupTags.set(name, groupTags[name].slice());
+        } else {
+          this._groupTags.delete(name);
+        }
+      });
+    } else {
+      return;
+    }
+    
+    this._metrics.forEach(metric => metric.byTag.clear());
+  }
+  
+  /**
+   * Tags of a metric that get per-value series
+   * @param {string} name - Metric name
+   * @returns {Array<string>} Tag names
+   */
+  groupTags(name) {
+    return this._groupTags.get(name) || this.defaultGroupTags;
+  }
+  
+  /**
+   * Fold a recorded sample into the metric's series
+   * @param {string} name - Metric name
+   * @param {number} value - Sample value
+   * @param {Object} tags - Sample tags
+   * @param {number} timestamp - Sample time in ms
+   */
+  add(name, value, tags = {}, timestamp = Date.now()) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return;
+    
+    let metric = this._metrics.get(name);
+    if (!metric) {
+      metric = { total: new Series(), byTag: new Map() };
+      this._metrics.set(name, metric);
+    }
+    
+    metric.total.add(value, timestamp);
+    
+    this.groupTags(name).forEach(tag => {
+      const tagValue = tags[tag];
+      if (typeof tagValue !== 'string' && typeof tagValue !== 'number' && typeof tagValue !== 'boolean') return;
+      
+      let values = metric.byTag.get(tag);
+      if (!values) {
+        values = new Map();
+        metric.byTag.set(tag, values);
+      }
+      
+      const key = String(tagValue);
+      let series = values.get(key);
+      if (!series) {
+        if (values.size >= MAX_VALUES_PER_TAG) {
+          this._evictExpired(values, timestamp);
+        }
+        if (values.size >= MAX_VALUES_PER_TAG) {
+          this.droppedSeries++;
+          return;
+        }
+        series = new Series();
+        values.set(key, series);
+      }
+      
+      series.add(value, timestamp);
+    });
+  }
+  
+  /**
+   * Drop tag series with no samples left in the longest window
+   * @private
+   */
+  _evictExpired(values, now) {
+    values.forEach((series, key) => {
+      if (series.isExpired(now)) values.delete(key);
+    });
+  }
+  
+  /**
+   * Query statistics for a metric
+   * @param {string} name - Metric name
+   * @param {Object} options - Query options
+   * @param {string} options.window - '1m', '5m' or '15m' (default '1m')
+   * @param {string} options.groupBy - Tag to group by, e.g. 'component'
+   * @param {number} options.now - Time to evaluate the window at (default now)
+   * @returns {Object} Statistics, or a map of tag value to statistics when grouped
+   */
+  query(name, options = {}) {
+    const windowName = options.window || '1m';
+    const windowSize = WINDOWS[windowName];
+    if (!windowSize) {
+      throw new Error(`Unknown stats window: ${windowName}`);
+    }
+    
+    const now = options.now !== undefined ? options.now : Date.now();
+    const metric = this._metrics.get(name);
+    
+    if (!options.groupBy) {
+      return metric ? metric.total.summarize(windowSize, now) : summarizeSlot(createSlot(0));
+    }
+    
+    const groups = {};
+    const values = metric ? metric.byTag.get(options.groupBy) : null;
+    if (values) {
+      values.forEach((series, key) => {
+        const stats = series.summarize(windowSize, now);
+        if (stats.count > 0) groups[key] = stats;
+      });
+    }
+    return groups;
+  }
+  
+  /**
+   * Names of every metric with recorded samples
+   * @returns {Array<string>} Metric names
+   */
+  names() {
+    return Array.from(this._metrics.keys());
+  }
+  
+  /**
+   * Discard all aggregated data
+   */
+  reset() {
+    this._metrics.clear();
+    this.droppedSeries = 0;
+  }
+}
+
+export { MetricStats, WINDOWS };
\ No newline at end of file
@@ -0,0 +1,526 @@
+/**
+ * Store - Deeply reactive state with one observable per property path
+ *
+ * createStore() wraps a plain object in a proxy. Every property path that is
+ * written through it, subscribed to, or read inside a computed or effect gets
+ * its own observable, created on first use, so computeds and components
+ * depend only on the paths they actually read, and a write to
+ * user.profile.name notifies only that path. Other reads go straight to the
+ * state and create no observable.
+ *
+ * Each path observable is a dependent of its parent path's observable: when
+ * an object is replaced (store.user = {...}) the propagation engine re-reads
+ * every path below it and notifies the ones whose value changed. Adding or
+ * deleting a key notifies the object's own path, which is what Object.keys()
+ * and `in` depend on.
+ *
+ * Path observables are named after their path and tag their samples with
+ * { store, path }, so metrics, stats and findHotspots() report user.profile
+ * rather than a generated id. Dots and backslashes inside a key are escaped
+ * in the path (files.a\.txt), so a key containing a dot never collides with
+ * a nested path.
+ *
+ * A path observable is released when its last subscriber or dependent goes
+ * away, or when its key is deleted, so stores with churning keys don't keep
+ * an observable for every key they ever held. Reading or subscribing to a
+ * released path observable brings it back.
+ */
+
+import { Observable } from './observable.js';
+import { ObservabilitySystem } from './observability.js';
+import { link, unlink, scheduleChange, batch, isBatching } from './propagation.js';
+import { isTracking } from './tracking.js';
+
+// Lets a proxy hand back its store and raw object
+const STORE = Symbol('observablejs.store');
+const RAW = Symbol('observablejs.raw');
+
+// Array methods that write several indexes; run as one batch
+const ARRAY_MUTATORS = new Set(['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin']);
+
+/**
+ * Check whether a value is proxied by the store
+ * Only plain objects and arrays are; Dates, Maps, class instances and the
+ * like are stored as values of their path.
+ * @param {any} value - Value to check
+ * @returns {boolean} True for plain objects and arrays
+ */
+function isContainer(value) {
+  if (value === null || typeof value !== 'object') return false;
+  if (Array.isArray(value)) return true;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Get the raw object behind a store proxy
+ * @param {any} value - Proxy or plain value
+ * @returns {any} The raw value
+ */
+function toRaw(value) {
+  return value !== null && typeof value === 'object' && value[RAW] ? value[RAW] : value;
+}
+
+/**
+ * Escape a property key for use as one path segment
+ * @param {string} key - Property key
+ * @returns {string} Key with backslashes and dots escaped
+ */
+function escapeKey(key) {
+  return String(key).replace(/[\\.]/g, '\\$&');
+}
+
+/**
+ * Build a child path
+ * @param {string} path - Parent path ('' for the root)
+ * @param {string} key - Property key
+ * @returns {string} Dotted path
+ */
+function joinPath(path, key) {
+  return path === '' ? escapeKey(key) : `${path}.${escapeKey(key)}`;
+}
+
+/**
+ * Split a path into its property keys
+ * @param {string} path - Dotted path, with dots inside keys escaped
+ * @returns {Array<string>} Unescaped keys ([] for the root)
+ */
+function pathKeys(path) {
+  if (path === '') return [];
+  const keys = [];
+  let key = '';
+  for (let i = 0; i < path.length; i++) {
+    const char = path[i];
+    if (char === '\\' && i + 1 < path.length) {
+      key += path[++i];
+    } else if (char === '.') {
+      keys.push(key);
+      key = '';
+    } else {
+      key += char;
+    }
+  }
+  keys.push(key);
+  return keys;
+}
+
+/**
+ * Split a path into its parent path and last key
+ * @param {string} path - Dotted path
+ * @returns {Object} { parent, key }
+ */
+function splitPath(path) {
+  const keys = pathKeys(path);
+  const key = keys.pop();
+  return { parent: keys.reduce(joinPath, ''), key };
+}
+
+/**
+ * Observable for one property path of a store
+ * Reads return a proxy for objects, writes go through the store.
+ * @private
+ */
+class PathObservable extends Observable {
+  /**
+   * @param {Store} store - Owning store
+   * @param {string} path - Property path ('' for the root)
+   * @param {PathObservable} parent - Observable of the parent path
+   */
+  constructor(store, path, parent) {
+    const name = path === '' ? (store._name || 'store') : (store._name ? `${store._name}.${path}` : path);
+    super(store._readRaw(path), {
+      name,
+      key: store._key === undefined ? undefined : (path === '' ? store._key : `${store._key}.${path}`),
+      tags: { store: store._name || 'store', path: path === '' ? '.' : path }
+    });
+    this._store = store;
+    this._storePath = path;
+    this._pullable = true; // Re-read when read inside a batch that wrote a parent path
+    this._released = false;
+    
+    if (parent) {
+      this._dependencies = new Set();
+      link(parent, this);
+    }
+  }
+  
+  /**
+   * Get the value at this path, as a proxy if it is an object
+   * @returns {any} The current value
+   */
+  get value() {
+    this._revive();
+    return this._store._wrap(super.value, this._storePath);
+  }
+  
+  /**
+   * Write the value at this path
+   * @param {any} newValue - The new value
+   */
+  set value(newValue) {
+    this._store._write(this._storePath, newValue);
+  }
+  
+  /**
+   * Update the observable after the store's raw state was written
+   * @private
+   */
+  _assign(value) {
+    super.value = value;
+  }
+  
+  /**
+   * Write the raw state and the value without notifying (used by batch
+   * rollback, hydrate() and time travel, which propagate afterwards)
+   * @param {any} value - The new value
+   */
+  silentSet(value) {
+    this._revive();
+    const raw = toRaw(value);
+    this._store._writeRaw(this._storePath, raw);
+    this._value = raw;
+  }
+  
+  /**
+   * Subscribe to changes at this path
+   * The path observable is released once the last subscriber unsubscribes
+   * and nothing else depends on it.
+   * @param {function|Object} observer - Function to call when value changes, or { next, error, complete }
+   * @returns {function} Unsubscribe function
+   */
+  subscribe(observer) {
+    this._revive();
+    const unsubscribe = super.subscribe(observer);
+    const release = () => {
+      unsubscribe();
+      this._release();
+    };
+    release.unsubscribe = release;
+    return release;
+  }
+  
+  /**
+   * Let the store drop this path observable if nothing uses it any more
+   * Called when a subscriber or dependent goes away.
+   * @private
+   */
+  _release() {
+    if (this._released || this._storePath === '' || this._ended) return;
+    if (this._subscribers.size > 0 || this._observers.size > 0 || this._dependents.size > 0) return;
+    
+    this._released = true;
+    const store = this._store;
+    if (store._paths.get(this._storePath) === this) {
+      store._paths.delete(this._storePath);
+      store._proxies.delete(this._storePath);
+    }
+    ObservabilitySystem.unregister(this._id);
+    // The parent may have been kept only for this path
+    Array.from(this._dependencies).forEach(parent => unlink(parent, this));
+  }
+  
+  /**
+   * Bring a released path observable back into its store
+   * When the store has made a new observable for the path since, this one
+   * follows it instead.
+   * @private
+   */
+  _revive() {
+    if (!this._released) return;
+    this._released = false;
+    
+    const store = this._store;
+    const current = store._paths.get(this._storePath);
+    if (current) {
+      this._id = ObservabilitySystem.register(this);
+      link(current, this);
+    } else {
+      this._id = ObservabilitySystem.register(this, this._key);
+      store._paths.set(this._storePath, this);
+      link(store.path(splitPath(this._storePath).parent), this);
+    }
+    this._value = store._readRaw(this._storePath);
+  }
+  
+  /**
+   * Re-read the value after the parent path changed
+   * @private
+   */
+  _update() {
+    const next = this._store._readRaw(this._storePath);
+    if (Object.is(next, this._value)) return false;
+    this._value = next;
+    return true;
+  }
+}
+
+class Store {
+  /**
+   * @param {Object} state - Raw state
+   * @param {Object} options - Store options
+   */
+  constructor(state, options = {}) {
+    this._state = state;
+    this._name = options.name;
+    this._key = options.key;
+    this._paths = new Map(); // path -> PathObservable
+    this._proxies = new Map(); // path -> { raw, proxy }
+    this.root = this.path('');
+  }
+  
+  /**
+   * Get the observable for a path, creating it (and its ancestors) on first use
+   * @param {string} path - Dotted path ('' for the root)
+   * @returns {PathObservable} The path's observable
+   */
+  path(path) {
+    let observable = this._paths.get(path);
+    if (!observable) {
+      const parent = path === '' ? null : this.path(splitPath(path).parent);
+      observable = new PathObservable(this, path, parent);
+      this._paths.set(path, observable);
+    }
+    return observable;
+  }
+  
+  /**
+   * Read the raw value at a path without tracking
+   * @private
+   */
+  _readRaw(path) {
+    let node = this._state;
+    for (const key of pathKeys(path)) {
+      if (node === null || typeof node !== 'object') return undefined;
+      node = node[key];
+    }
+    return node;
+  }
+  
+  /**
+   * Read the value at a path for a store proxy
+   * A read inside a computation goes through the path's observable, so the
+   * computation depends on it; other reads don't create one.
+   * @private
+   */
+  _read(path) {
+    if (isTracking() || this._paths.has(path)) return this.path(path).value;
+    return this._wrap(this._readRaw(path), path);
+  }
+  
+  /**
+   * Write the raw value at a path without notifying
+   * @private
+   */
+  _writeRaw(path, value) {
+    if (path === '') {
+      if (!isContainer(value)) {
+        throw new Error('Store state must be a plain object or array');
+      }
+      this._state = value;
+      return;
+    }
+    
+    const { parent, key } = splitPath(path);
+    const target = this._readRaw(parent);
+    if (target === null || typeof target !== 'object') {
+      throw new Error(`Cannot set ${path}: ${parent || 'the root'} is not an object`);
+    }
+    target[key] = value;
+  }
+  
+  /**
+   * Write a value at a path and notify everything that depends on it
+   * @private
+   */
+  _write(path, value) {
+    const startTime = performance.now();
+    const raw = toRaw(value);
+    // Created before the raw write, so a new path observable starts from the old value
+    const observable = this.path(path);
+    
+    batch(() => {
+      const { parent, key } = splitPath(path);
+      const target = path === '' ? null : this._readRaw(parent);
+      const isNewKey = target !== null && typeof target === 'object' &&
+        !Object.prototype.hasOwnProperty.call(target, key);
+      
+      this._writeRaw(path, raw);
+      observable._assign(raw);
+      
+      // A new key changes the shape of its object
+      if (isNewKey) this._shapeChanged(parent);
+    });
+    
+    // Each write runs as a batch, so the observable doesn't record writeTime itself
+    if (!isBatching()) {
+      ObservabilitySystem.recordMetric('writeTime', performance.now() - startTime, observable._tags);
+    }
+  }
+  
+  /**
+   * Delete the key at a path
+   * @private
+   */
+  _delete(path) {
+    const { parent, key } = splitPath(path);
+    const target = this._readRaw(parent);
+    if (!Object.prototype.hasOwnProperty.call(target, key)) return;
+    
+    const observable = this._paths.get(path);
+    batch(() => {
+      delete target[key];
+      if (observable) observable._assign(undefined);
+      this._shapeChanged(parent);
+    });
+    
+    // A key that is gone keeps its observables only while something uses them
+    const prefix = `${path}.`;
+    Array.from(this._paths.values())
+      .filter(pathObservable => pathObservable._storePath.startsWith(prefix))
+      .sort((a, b) => b._storePath.length - a._storePath.length)
+      .forEach(pathObservable => pathObservable._release());
+    if (observable) observable._release();
+    Array.from(this._proxies.keys())
+      .filter(proxyPath => proxyPath === path || proxyPath.startsWith(prefix))
+      .forEach(proxyPath => this._proxies.delete(proxyPath));
+  }
+  
+  /**
+   * Notify an object's path that its keys changed
+   * @private
+   */
+  _shapeChanged(path) {
+    const observable = this._paths.get(path);
+    if (observable) {
+      scheduleChange(observable, observable._value, true);
+    }
+  }
+  
+  /**
+   * Wrap a raw value in a proxy if it is an object
+   * @private
+   */
+  _wrap(value, path) {
+    if (!isContainer(value)) return value;
+    
+    const cached = this._proxies.get(path);
+    if (cached && cached.raw === value) return cached.proxy;
+    
+    const proxy = this._createProxy(value, path);
+    this._proxies.set(path, { raw: value, proxy });
+    return proxy;
+  }
+  
+  /**
+   * Create the proxy that tracks reads and routes writes for one object
+   * @private
+   */
+  _createProxy(target, path) {
+    const store = this;
+    
+    return new Proxy(target, {
+      get(obj, key, receiver) {
+        if (key === RAW) return obj;
+        if (key === STORE) return store;
+        if (typeof key === 'symbol') return Reflect.get(obj, key, receiver);
+        
+        if (Array.isArray(obj) && ARRAY_MUTATORS.has(key)) {
+          return (...args) => batch(() => Array.prototype[key].apply(receiver, args));
+        }
+        
+        // Inherited members (array methods, toString) aren't state
+        if (!Object.prototype.hasOwnProperty.call(obj, key) && key in obj) {
+          return Reflect.get(obj, key, receiver);
+        }
+        
+        return store._read(joinPath(path, key));
+      },
+      
+      set(obj, key, value, receiver) {
+        if (typeof key === 'symbol') return Reflect.set(obj, key, value, receiver);
+        store._write(joinPath(path, key), value);
+        return true;
+      },
+      
+      deleteProperty(obj, key) {
+        if (typeof key === 'symbol') return Reflect.deleteProperty(obj, key);
+        store._delete(joinPath(path, key));
+        return true;
+      },
+      
+      has(obj, key) {
+        // Adding or deleting a key notifies the object's own path
+        if (typeof key !== 'symbol') store._read(path);
+        return Reflect.has(obj, key);
+      },
+      
+      ownKeys(obj) {
+        store._read(path);
+        return Reflect.ownKeys(obj);
+      }
+    });
+  }
+  
+  /**
+   * Dispose every path observable
+   */
+  dispose() {
+    this._paths.forEach(observable => observable.dispose());
+    this._paths.clear();
+    this._proxies.clear();
+  }
+}
+
+/**
+ * Create a deeply reactive store
+ * @param {Object|Array} initialState - Plain object or array; the store takes ownership of it
+ * @param {Object} options - Store options
+ * @param {string} options.name - Prefix for path names in metrics and hotspots
+ * @param {string} options.key - Stable key prefix used by snapshot(), hydrate() and time travel sessions
+ * @returns {Proxy} Proxy for the state; reads are tracked and writes notify per path
+ */
+function createStore(initialState = {}, options = {}) {
+  if (!isContainer(initialState)) {
+    throw new Error('Store state must be a plain object or array');
+  }
+  
+  const store = new Store(toRaw(initialState), options);
+  return store._wrap(store._state, '');
+}
+
+/**
+ * Get the store behind a store proxy
+ * @param {Proxy} proxy - Proxy returned by createStore() or read from it
+ * @returns {Store} The store
+ * @private
+ */
+function getStore(proxy) {
+  const store = proxy !== null && typeof proxy === 'object' ? proxy[STORE] : undefined;
+  if (!store) {
+    throw new Error('Not a store created by createStore()');
+  }
+  return store;
+}
+
+/**
+ * Get the observable for a property path of a store
+ * Subscribe to it to hear about changes to just that path.
+ * @param {Proxy} storeProxy - Proxy returned by createStore()
+ * @param {string|Array<string>} path - Dotted path such as 'user.profile.name' (escape dots
+ *   inside a key with a backslash), an array of keys such as ['files', 'a.txt'], or '' for the whole state
+ * @returns {Observable} The path's observable
+ */
+function storePath(storeProxy, path = '') {
+  const store = getStore(storeProxy);
+  return store.path(Array.isArray(path) ? path.reduce(joinPath, '') : String(path));
+}
+
+/**
+ * Dispose a store's path observables so their metrics stop being collected
+ * @param {Proxy} storeProxy - Proxy returned by createStore()
+ */
+function disposeStore(storeProxy) {
+  getStore(storeProxy).dispose();
+}
+
+export { createStore, storePath, disposeStore };
\ No newline at end of file
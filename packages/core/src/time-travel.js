@@ -0,0 +1,266 @@
+/**
+ * Time Travel - Ordered write log with step back / forward and session replay
+ *
+ * While detailed mode is on, every committed write to a registered
+ * observable is appended to one global, bounded log (a batch is one entry).
+ * Stepping moves a cursor through the log: values are restored with
+ * silentSet() and then propagated, so computeds and components update as if
+ * the writes had happened. A session can be exported as JSON and imported
+ * elsewhere to replay a bug.
+ */
+
+import { ObservabilitySystem } from './observability.js';
+import { propagate, isBatching, onCommit } from './propagation.js';
+import { createCause } from './causality.js';
+import { encode, decode } from './snapshot.js';
+
+const SESSION_VERSION = 1;
+
+const TimeTravel = {
+  _entries: [],
+  _cursor: 0, // number of entries applied; equals _entries.length when live
+  _nextSeq: 1,
+  _replaying: false,
+  _unsubscribe: null,
+  
+  /**
+   * Start listening for writes (done automatically when the module loads)
+   */
+  install() {
+    if (this._unsubscribe) return;
+    this._unsubscribe = onCommit(changes => this._record(changes));
+  },
+  
+  /**
+   * Append committed changes to the log
+   * @private
+   */
+  _record(changes) {
+    if (this._replaying || !ObservabilitySystem.isDetailedMode) return;
+    
+    // Computed values follow from their sources, so only sources are logged;
+    // store paths are written directly as well as derived from their parent
+    const logged = changes.filter(change => !change.observable._dependencies || change.observable._storePath !== undefined);
+    if (logged.length === 0) return;
+    
+    // Writing while stepped back discards the undone future, as with undo/redo
+    if (this._cursor < this._entries.length) {
+      this._entries.length = this._cursor;
+    }
+    
+    this._entries.push({
+      seq: this._nextSeq++,
+      timestamp: Date.now(),
+      changes: logged.map(({ observable, oldValue, newValue }) => ({
+        id: observable._id,
+        key: observable._key,
+        oldValue,
+        newValue
+      }))
+    });
+    
+    // Keep the log bounded; the oldest entries can no longer be stepped back over
+    const overflow = this._entries.length - ObservabilitySystem.maxWriteLogEntries;
+    if (overflow > 0) {
+      this._entries.splice(0, overflow);
+    }
+    this._cursor = this._entries.length;
+  },
+  
+  /**
+   * Get the write log
+   * @returns {Array<Object>} Entries ({ seq, timestamp, changes: [{ id, key, oldValue, newValue }] }), oldest first
+   */
+  getLog() {
+    return this._entries.map(entry => ({
+      ...entry,
+      changes: entry.changes.map(change => ({ ...change }))
+    }));
+  },
+  
+  /**
+   * Number of log entries currently applied
+   * @returns {number} Position between 0 and the log length
+   */
+  getPosition() {
+    return this._cursor;
+  },
+  
+  /**
+   * Check whether the app shows the latest state
+   * @returns {boolean} True when no entries are undone
+   */
+  isLive() {
+    return this._cursor === this._entries.length;
+  },
+  
+  /**
+   * Undo log entries
+   * @param {number} steps - Number of entries to undo
+   * @returns {number} New position
+   */
+  stepBack(steps = 1) {
+    return this.goTo(this._cursor - steps);
+  },
+  
+  /**
+   * Redo undone log entries
+   * @param {number} steps - Number of entries to redo
+   * @returns {number} New position
+   */
+  stepForward(steps = 1) {
+    return this.goTo(this._cursor + steps);
+  },
+  
+  /**
+   * Return to the latest state
+   * @returns {number} New position
+   */
+  resume() {
+    return this.goTo(this._entries.length);
+  },
+  
+  /**
+   * Move to a position in the log, restoring the values it implies
+   * @param {number} position - Number of entries to have applied
+   * @returns {number} New position
+   */
+  goTo(position) {
+    if (isBatching()) {
+      throw new Error('Cannot time travel inside batch()');
+    }
+    
+    const target = Math.max(0, Math.min(this._entries.length, position));
+    if (target === this._cursor) return this._cursor;
+    
+    const startTime = performance.now();
+    const touched = new Map(); // observable -> value before the move
+    
+    const restore = (change, value) => {
+      const observable = this._resolve(change);
+      // Observables disposed since the write can't be restored
+      if (!observable) return;
+      if (!touched.has(observable)) touched.set(observable, observable._value);
+      observable.silentSet(value);
+    };
+    
+    if (target < this._cursor) {
+      for (let i = this._cursor - 1; i >= target; i--) {
+        const changes = this._entries[i].changes;
+        for (let j = changes.length - 1; j >= 0; j--) {
+          restore(changes[j], changes[j].oldValue);
+        }
+      }
+    } else {
+      for (let i = this._cursor; i < target; i++) {
+        this._entries[i].changes.forEach(change => restore(change, change.newValue));
+      }
+    }
+    
+    const moved = Math.abs(target - this._cursor);
+    this._cursor = target;
+    
+    const sources = [];
+    touched.forEach((before, observable) => {
+      if (!Object.is(before, observable._value)) {
+        observable._cause = createCause(observable, 'timeTravel');
+        sources.push(observable);
+      }
+    });
+    
+    // Writes made by subscribers while catching up are not part of the log
+    this._replaying = true;
+    try {
+      if (sources.length > 0) propagate(sources);
+    } finally {
+      this._replaying = false;
+    }
+    
+    ObservabilitySystem.recordMetric('timeTravelTime', performance.now() - startTime, {
+      entries: moved,
+      observables: sources.length
+    });
+    
+    return this._cursor;
+  },
+  
+  /**
+   * Find the observable a logged change belongs to, by key or else by id
+   * @private
+   */
+  _resolve(change) {
+    return change.key !== undefined
+      ? ObservabilitySystem.getObservableByKey(change.key)
+      : ObservabilitySystem._getObservable(change.id);
+  },
+  
+  /**
+   * Export the log as a JSON-serializable session
+   * @returns {Object} Session for importSession()
+   */
+  exportSession() {
+    return {
+      version: SESSION_VERSION,
+      exportedAt: Date.now(),
+      position: this._cursor,
+      entries: this._entries.map(entry => ({
+        ...entry,
+        changes: entry.changes.map(change => ({
+          ...change,
+          oldValue: encode(change.oldValue),
+          newValue: encode(change.newValue)
+        }))
+      }))
+    };
+  },
+  
+  /**
+   * Load an exported session and rewind to its start
+   * Observables are matched by key, or else by id, in which case the app must
+   * create them in the same order as the one that exported the session.
+   * Step forward to replay.
+   * @param {Object|string} session - Session object or its JSON
+   * @returns {Object} { entries, missing } where missing lists keys or ids with no observable
+   */
+  importSession(session) {
+    const data = typeof session === 'string' ? JSON.parse(session) : session;
+    if (!data || data.version !== SESSION_VERSION || !Array.isArray(data.entries)) {
+      throw new Error('Unsupported time travel session');
+    }
+    
+    // Put every observable the session touches back to its starting value
+    this._entries = data.entries.map(entry => ({
+      ...entry,
+      changes: entry.changes.map(change => ({
+        ...change,
+        oldValue: decode(change.oldValue),
+        newValue: decode(change.newValue)
+      }))
+    }));
+    this._cursor = this._entries.length;
+    this._nextSeq = this._entries.reduce((max, entry) => Math.max(max, entry.seq + 1), this._nextSeq);
+    
+    const missing = new Set();
+    this._entries.forEach(entry => {
+      entry.changes.forEach(change => {
+        if (!this._resolve(change)) missing.add(change.key !== undefined ? change.key : change.id);
+      });
+    });
+    
+    this.goTo(0);
+    
+    return { entries: this._entries.length, missing: Array.from(missing) };
+  },
+  
+  /**
+   * Discard the log without changing any values
+   */
+  clear() {
+    this._entries = [];
+    this._cursor = 0;
+  }
+};
+
+TimeTravel.install();
+
+export { TimeTravel };
\ No newline at end of file
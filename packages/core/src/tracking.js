@@ -0,0 +1,66 @@
+/**
+ * Tracking - Records which observables are read during a computation
+ *
+ * Used by computed values to discover their own dependencies instead of
+ * relying on a hand-maintained dependency list.
+ */
+
+// Stack of dependency sets, one per computation currently running.
+// Nested computations (e.g. a lazy computed read inside another) push their own frame.
+const trackingStack = [];
+
+/**
+ * Run a function while recording every observable read inside it
+ * Pass in the set to record into when the reads matter even if fn throws:
+ * a computation that fails still has to be linked to what it read, so it
+ * runs again once those observables change.
+ * @param {Function} fn - Function to run
+ * @param {Set} dependencies - Set to record reads into (default: a new one)
+ * @returns {Object} The function result and the set of observables read ({ result, dependencies })
+ */
+function track(fn, dependencies = new Set()) {
+  trackingStack.push(dependencies);
+  
+  try {
+    const result = fn();
+    return { result, dependencies };
+  } finally {
+    trackingStack.pop();
+  }
+}
+
+/**
+ * Run a function without recording any reads it performs
+ * @param {Function} fn - Function to run
+ * @returns {any} The function result
+ */
+function untracked(fn) {
+  trackingStack.push(null);
+  
+  try {
+    return fn();
+  } finally {
+    trackingStack.pop();
+  }
+}
+
+/**
+ * Report a read to the computation currently being tracked, if any
+ * @param {Observable} observable - The observable that was read
+ */
+function recordRead(observable) {
+  const current = trackingStack[trackingStack.length - 1];
+  if (current) {
+    current.add(observable);
+  }
+}
+
+/**
+ * Check whether a computation is currently recording reads
+ * @returns {boolean} True inside track(), unless inside untracked()
+ */
+function isTracking() {
+  return Boolean(trackingStack[trackingStack.length - 1]);
+}
+
+export { track, untracked, recordRead, isTracking };
\ No newline at end of file
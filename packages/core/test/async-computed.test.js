@@ -0,0 +1,124 @@
+import { createObservable, asyncComputed, ObservabilitySystem } from '../src/index.js';
+
+/**
+ * Create a promise with its resolve and reject functions exposed
+ * @returns {Object} { promise, resolve, reject }
+ */
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+/**
+ * Let pending promise callbacks run
+ * @returns {Promise} Resolves after the microtask queue drains
+ */
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('asyncComputed', () => {
+  test('moves from loading to success and keeps the last value while reloading', async () => {
+    const id = createObservable(1);
+    const runs = [];
+    const user = asyncComputed(() => {
+      const run = deferred();
+      runs.push({ id: id.value, run });
+      return run.promise;
+    }, { initialValue: 'none' });
+    
+    expect(user.value).toEqual({ status: 'loading', value: 'none', error: null });
+    runs[0].run.resolve('user 1');
+    await settle();
+    expect(user.value).toEqual({ status: 'success', value: 'user 1', error: null });
+    
+    id.value = 2;
+    expect(user.value).toEqual({ status: 'loading', value: 'user 1', error: null });
+    runs[1].run.resolve('user 2');
+    await settle();
+    expect(user.value.value).toBe('user 2');
+    user.dispose();
+  });
+  
+  test('aborts the run in flight and ignores its result', async () => {
+    const query = createObservable('a');
+    const runs = [];
+    const results = asyncComputed((signal) => {
+      const run = deferred();
+      runs.push({ query: query.value, signal, run });
+      return run.promise;
+    });
+    const seen = [];
+    results.subscribe(state => seen.push(state.status));
+    
+    query.value = 'ab';
+    expect(runs[0].signal.aborted).toBe(true);
+    expect(results.getMetrics().compute.cancelled).toBe(1);
+    
+    runs[1].run.resolve('results for ab');
+    runs[0].run.resolve('results for a');
+    await settle();
+    expect(results.value.value).toBe('results for ab');
+    expect(seen[seen.length - 1]).toBe('success');
+    results.dispose();
+  });
+  
+  test('reports a rejected run as an error state with the last value', async () => {
+    const id = createObservable(1);
+    const user = asyncComputed(async () => {
+      if (id.value === 2) throw new Error('not found');
+      return `user ${id.value}`;
+    });
+    await settle();
+    const errorsBefore = ObservabilitySystem._metrics.global.errors.length;
+    
+    id.value = 2;
+    await settle();
+    expect(user.value).toMatchObject({ status: 'error', value: 'user 1' });
+    expect(user.value.error.message).toBe('not found');
+    expect(ObservabilitySystem._metrics.global.errors.slice(errorsBefore).map(error => error.type))
+      .toContain('asyncComputeError');
+    user.dispose();
+  });
+  
+  test('keeps its dependencies when computeFn throws synchronously', async () => {
+    const ready = createObservable(false);
+    const data = asyncComputed(() => {
+      if (!ready.value) throw new Error('not ready');
+      return Promise.resolve('data');
+    });
+    await settle();
+    expect(data.value.status).toBe('error');
+    expect(data.getMetrics().dependencies).toEqual([ready._id]);
+    
+    ready.value = true;
+    await settle();
+    expect(data.value).toEqual({ status: 'success', value: 'data', error: null });
+    data.dispose();
+  });
+  
+  test('dispose() aborts the run and unlinks its dependencies', () => {
+    const id = createObservable(1);
+    let signal;
+    const user = asyncComputed((runSignal) => {
+      signal = runSignal;
+      return new Promise(() => {}).then(() => id.value);
+    });
+    // Reads after the first await are not dependencies
+    expect(id._dependents.size).toBe(0);
+    user.dispose();
+    
+    const profile = asyncComputed((runSignal) => {
+      signal = runSignal;
+      return new Promise(() => `profile ${id.value}`);
+    });
+    expect(id._dependents.has(profile)).toBe(true);
+    
+    profile.dispose();
+    expect(signal.aborted).toBe(true);
+    expect(id._dependents.size).toBe(0);
+  });
+});
\ No newline at end of file
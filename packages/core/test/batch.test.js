@@ -0,0 +1,189 @@
+import { jest } from '@jest/globals';
+import { createObservable, computed, batch, use, createRecorderSink, createStore, storePath } from '../src/index.js';
+
+describe('batch', () => {
+  let recorder;
+  let detach;
+  
+  beforeEach(() => {
+    recorder = createRecorderSink({ filter: { names: ['batchTime'] } });
+    detach = use(recorder);
+  });
+  
+  afterEach(() => {
+    detach();
+    jest.restoreAllMocks();
+  });
+  
+  test('notifies once after the function returns', () => {
+    const count = createObservable(1);
+    const multiplier = createObservable(2);
+    const product = computed(() => count.value * multiplier.value);
+    const seen = [];
+    product.subscribe(value => seen.push(value));
+    
+    batch(() => {
+      count.value++;
+      multiplier.value = 3;
+      expect(seen).toEqual([]);
+    });
+    expect(seen).toEqual([6]);
+  });
+  
+  test('records one batchTime sample with the number of writes', () => {
+    const a = createObservable(0);
+    const b = createObservable(0);
+    
+    batch(() => {
+      a.value = 1;
+      a.value = 2;
+      b.value = 1;
+    });
+    expect(recorder.events).toHaveLength(1);
+    expect(recorder.events[0].tags).toMatchObject({ writes: 3, observables: 2 });
+  });
+  
+  test('reads of a computed inside the batch see its writes', () => {
+    const a = createObservable(1);
+    const doubled = computed(() => a.value * 2);
+    const seen = [];
+    doubled.subscribe(value => seen.push(value));
+    
+    batch(() => {
+      a.value = 5;
+      expect(doubled.value).toBe(10);
+      a.value = 6;
+      expect(doubled.value).toBe(12);
+    });
+    expect(doubled.value).toBe(12);
+    // Already up to date when the batch ended, but still notified once
+    expect(seen).toEqual([12]);
+  });
+  
+  test('reads through a chain of computeds see its writes', () => {
+    const a = createObservable(1);
+    const b = computed(() => a.value + 1);
+    const c = computed(() => b.value * 10);
+    
+    batch(() => {
+      a.value = 2;
+      expect(c.value).toBe(30);
+    });
+    expect(c.value).toBe(30);
+  });
+  
+  test('reads of a store path see writes to its parent', () => {
+    const store = createStore({ user: { name: 'ada' } });
+    const name = storePath(store, 'user.name');
+    const seen = [];
+    name.subscribe(value => seen.push(value));
+    
+    batch(() => {
+      store.user = { name: 'grace' };
+      expect(store.user.name).toBe('grace');
+    });
+    expect(seen).toEqual(['grace']);
+  });
+  
+  test('only the outermost of nested batches propagates', () => {
+    const a = createObservable(0);
+    const seen = [];
+    a.subscribe(value => seen.push(value));
+    
+    batch(() => {
+      a.value = 1;
+      batch(() => {
+        a.value = 2;
+      });
+      expect(seen).toEqual([]);
+      a.value = 3;
+    });
+    expect(seen).toEqual([3]);
+    expect(recorder.events).toHaveLength(1);
+    expect(recorder.events[0].tags.writes).toBe(3);
+  });
+  
+  test('rolls back every write if the function throws', () => {
+    const a = createObservable(1);
+    const b = createObservable('x');
+    const seen = [];
+    a.subscribe(value => seen.push(value));
+    
+    expect(() => batch(() => {
+      a.value = 2;
+      b.value = 'y';
+      throw new Error('abort');
+    })).toThrow('abort');
+    expect(a.value).toBe(1);
+    expect(b.value).toBe('x');
+    expect(seen).toEqual([]);
+    expect(recorder.events[0].tags.rolledBack).toBe(true);
+  });
+  
+  test('rolls back in-place mutations to the value from before the batch', () => {
+    const list = createObservable([1, 2]);
+    const length = computed(() => list.value.length);
+    const seen = [];
+    list.subscribe(value => seen.push(value));
+    
+    expect(() => batch(() => {
+      list.mutate(items => items.push(3));
+      list.mutate(items => items.push(4));
+      expect(length.value).toBe(4);
+      throw new Error('abort');
+    })).toThrow('abort');
+    expect(Array.from(list.value)).toEqual([1, 2]);
+    expect(length.value).toBe(2);
+    expect(seen).toEqual([]);
+  });
+  
+  test('a computed read before a rollback returns to its old value', () => {
+    const a = createObservable(1);
+    const doubled = computed(() => a.value * 2);
+    
+    expect(() => batch(() => {
+      a.value = 5;
+      expect(doubled.value).toBe(10);
+      throw new Error('abort');
+    })).toThrow('abort');
+    expect(doubled.value).toBe(2);
+    
+    a.value = 3;
+    expect(doubled.value).toBe(6);
+  });
+  
+  test('a nested rollback keeps the writes of the enclosing batch', () => {
+    const a = createObservable(0);
+    const b = createObservable(0);
+    const sum = computed(() => a.value + b.value);
+    const seen = [];
+    sum.subscribe(value => seen.push(value));
+    
+    batch(() => {
+      a.value = 1;
+      expect(() => batch(() => {
+        b.value = 10;
+        expect(sum.value).toBe(11);
+        throw new Error('inner');
+      })).toThrow('inner');
+      expect(b.value).toBe(0);
+      expect(sum.value).toBe(1);
+    });
+    expect(seen).toEqual([1]);
+  });
+  
+  test('writes undone within the batch notify nothing', () => {
+    const a = createObservable(1);
+    const doubled = computed(() => a.value * 2);
+    const seen = [];
+    doubled.subscribe(value => seen.push(value));
+    
+    batch(() => {
+      a.value = 2;
+      expect(doubled.value).toBe(4);
+      a.value = 1;
+    });
+    expect(doubled.value).toBe(2);
+    expect(seen).toEqual([]);
+  });
+});
\ No newline at end of file
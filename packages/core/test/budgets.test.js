@@ -0,0 +1,80 @@
+import { jest } from '@jest/globals';
+import { ObservabilitySystem, configure, assertBudgets } from '../src/index.js';
+import { BudgetSet } from '../src/budgets.js';
+import { MetricStats } from '../src/stats.js';
+
+describe('budgets', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('an updateTime budget limits the observable updateTime metric', () => {
+    const budgets = new BudgetSet();
+    budgets.configure({ updateTime: 5 });
+    
+    expect(budgets.check('updateTime', 8, {})).toMatchObject({ rule: 'updateTime', metric: 'updateTime', limit: 5 });
+    expect(budgets.check('componentUpdateTime', 8, {})).toBeNull();
+  });
+  
+  test('short names resolve to the component and computed metrics', () => {
+    const budgets = new BudgetSet();
+    budgets.configure({ mountTime: 50, patchCount: 100 });
+    
+    expect(budgets.check('componentRenderTime', 20, {})).toMatchObject({ rule: 'renderTime', limit: 16 });
+    expect(budgets.check('componentMountTime', 60, {})).toMatchObject({ rule: 'mountTime' });
+    expect(budgets.check('componentPatchCount', 101, {})).toMatchObject({ rule: 'patchCount' });
+    expect(budgets.check('derivedComputeTime', 11, {})).toMatchObject({ rule: 'computeTime' });
+  });
+  
+  test('a component or computed rule replaces the global one', () => {
+    const budgets = new BudgetSet();
+    budgets.configure({
+      components: { DataGrid: { renderTime: 32 } },
+      computeds: { rows: { computeTime: 1 } }
+    });
+    
+    expect(budgets.check('componentRenderTime', 20, { component: 'DataGrid' })).toBeNull();
+    expect(budgets.check('componentRenderTime', 40, { component: 'DataGrid' }))
+      .toMatchObject({ rule: 'components.DataGrid.renderTime', limit: 32 });
+    expect(budgets.check('componentRenderTime', 20, { component: 'Counter' })).toMatchObject({ rule: 'renderTime' });
+    expect(budgets.check('derivedComputeTime', 2, { name: 'rows' })).toMatchObject({ rule: 'computeds.rows.computeTime' });
+  });
+  
+  test('null disables a default budget', () => {
+    const budgets = new BudgetSet();
+    budgets.configure({ renderTime: null });
+    
+    expect(budgets.check('componentRenderTime', 100, {})).toBeNull();
+  });
+  
+  test('statistical limits are evaluated against the window statistics', () => {
+    const budgets = new BudgetSet();
+    budgets.configure({ components: { List: { renderTime: { p95: 10, minCount: 5 } } } });
+    const stats = new MetricStats();
+    const getStats = (name, options) => stats.query(name, options);
+    
+    for (let i = 0; i < 4; i++) stats.add('componentRenderTime', 20, { component: 'List' });
+    expect(budgets.evaluate(getStats)).toEqual([]);
+    
+    stats.add('componentRenderTime', 20, { component: 'List' });
+    const [violation] = budgets.evaluate(getStats);
+    expect(violation).toMatchObject({ rule: 'components.List.renderTime', statistic: 'p95', limit: 10, count: 5 });
+  });
+  
+  test('rejects an unknown window', () => {
+    expect(() => new BudgetSet().configure({ renderTime: { p95: 10, window: '1h' } }))
+      .toThrow('Unknown budget window for renderTime: 1h');
+  });
+  
+  test('assertBudgets() lists every rule that fired', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    configure({ budgets: { updateTime: 1 } });
+    
+    ObservabilitySystem.recordMetric('updateTime', 3);
+    ObservabilitySystem.recordMetric('updateTime', 5);
+    expect(() => assertBudgets()).toThrow('updateTime: max updateTime 5 > 1 (2 samples)');
+    
+    configure({ budgets: {} });
+    expect(assertBudgets()).toEqual([]);
+  });
+});
\ No newline at end of file
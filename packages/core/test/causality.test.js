@@ -0,0 +1,76 @@
+import { createObservable, computed, batch, getCurrentCause } from '../src/index.js';
+import { traceRender } from '../src/causality.js';
+
+describe('causality', () => {
+  /**
+   * Collect the cause current in each notification of an observable
+   * @param {Observable} observable - Observable to watch
+   * @returns {Array<Object>} Causes, in order
+   */
+  const causesOf = (observable) => {
+    const causes = [];
+    observable.subscribe(() => causes.push(getCurrentCause()));
+    return causes;
+  };
+  
+  test('a write reaches subscribers with its trace and the computeds it passed through', () => {
+    const count = createObservable(1, { name: 'count' });
+    const doubled = computed(() => count.value * 2, [], { name: 'doubled' });
+    const label = computed(() => `${doubled.value}`, [], { name: 'label' });
+    const causes = causesOf(label);
+    
+    count.value = 2;
+    const [cause] = causes;
+    expect(cause.writes).toHaveLength(1);
+    expect(cause.writes[0]).toMatchObject({ name: 'count', origin: 'write', causedBy: null });
+    expect(cause.writes[0].traceId).toMatch(/^trace_\d+$/);
+    expect(cause.via.map(step => step.name)).toEqual(['doubled', 'label']);
+    expect(getCurrentCause()).toBeNull();
+  });
+  
+  test('a batch hands every write it made to the computeds they reach', () => {
+    const first = createObservable('Ada', { name: 'first' });
+    const last = createObservable('Lovelace', { name: 'last' });
+    const full = computed(() => `${first.value} ${last.value}`, [], { name: 'full' });
+    const causes = causesOf(full);
+    
+    batch(() => {
+      first.value = 'Grace';
+      last.value = 'Hopper';
+    });
+    expect(causes).toHaveLength(1);
+    expect(causes[0].writes.map(write => write.name).sort()).toEqual(['first', 'last']);
+  });
+  
+  test('a write made by a subscriber links back to the write it reacted to', () => {
+    const query = createObservable('', { name: 'query' });
+    const page = createObservable(1, { name: 'page' });
+    query.subscribe(() => {
+      page.value = 1 + query.value.length;
+    });
+    const causes = causesOf(page);
+    
+    query.value = 'abc';
+    const [write] = causes[0].writes;
+    expect(write.name).toBe('page');
+    expect(write.causedBy.writes[0].name).toBe('query');
+    expect(write.depth).toBe(1);
+  });
+  
+  test('traceRender() counts the writes at the start of each chain as render sources', () => {
+    const query = createObservable('', { name: 'query' });
+    const page = createObservable(1, { name: 'page' });
+    query.subscribe(() => {
+      page.value = 2;
+    });
+    const causes = causesOf(page);
+    query.value = 'a';
+    const component = { _metrics: {} };
+    
+    const trace = traceRender(component, [causes[0], null]);
+    expect(trace.sources).toEqual(['query']);
+    expect(trace.traceIds).toEqual([causes[0].writes[0].traceId]);
+    expect(component._metrics.renderSources).toEqual({ query: 1 });
+    expect(traceRender(component, [])).toBeNull();
+  });
+});
\ No newline at end of file
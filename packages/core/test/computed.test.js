@@ -0,0 +1,83 @@
+import { jest } from '@jest/globals';
+import { createObservable, computed } from '../src/index.js';
+
+describe('computed', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('finds its dependencies without a deps array', () => {
+    const count = createObservable(1);
+    const multiplier = createObservable(2);
+    const product = computed(() => count.value * multiplier.value);
+    
+    expect(product.value).toBe(2);
+    multiplier.value = 5;
+    expect(product.value).toBe(5);
+    expect(product.getMetrics().dependencies).toEqual([count._id, multiplier._id]);
+  });
+  
+  test('follows conditional branches', () => {
+    const useA = createObservable(true);
+    const a = createObservable('a');
+    const b = createObservable('b');
+    const pick = computed(() => (useA.value ? a.value : b.value));
+    
+    expect(pick._dependencies.has(b)).toBe(false);
+    useA.value = false;
+    expect(pick.value).toBe('b');
+    expect(pick._dependencies.has(a)).toBe(false);
+    expect(pick._dependencies.has(b)).toBe(true);
+  });
+  
+  test('keeps explicit deps working', () => {
+    const trigger = createObservable(0);
+    let runs = 0;
+    computed(() => ++runs, [trigger]);
+    
+    trigger.value = 1;
+    expect(runs).toBe(2);
+  });
+  
+  test('recovers after its first evaluation throws', () => {
+    const input = createObservable(null);
+    const length = computed(() => input.value.length, [], { name: 'length' });
+    
+    expect(() => length.value).toThrow(TypeError);
+    expect(length.getMetrics().error).toMatch(/null/);
+    
+    input.value = 'abc';
+    expect(length.value).toBe(3);
+    expect(length.getMetrics().error).toBeNull();
+  });
+  
+  test('rethrows the error on read until an input changes', () => {
+    const input = createObservable(1);
+    const checked = computed(() => {
+      if (input.value < 0) throw new Error('negative');
+      return input.value;
+    });
+    const seen = [];
+    checked.subscribe(value => seen.push(value));
+    
+    input.value = -1;
+    expect(() => checked.value).toThrow('negative');
+    input.value = 1;
+    expect(checked.value).toBe(1);
+    // Recovering to the previous value still notifies
+    expect(seen).toEqual([1, 1]);
+  });
+  
+  test('recompute() throws what the computation threw', () => {
+    const broken = computed(() => {
+      throw new Error('broken');
+    });
+    
+    expect(() => broken.recompute()).toThrow('broken');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,101 @@
+import { jest } from '@jest/globals';
+import { createObservable, computed, batch, effect, ObservabilitySystem } from '../src/index.js';
+
+describe('effect', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  /**
+   * Count the errors of one type recorded since a point in the error log
+   * @param {string} type - Error type
+   * @param {number} since - Length of the error log to count from
+   * @returns {number} Number of errors
+   */
+  const errorsOf = (type, since) => ObservabilitySystem._metrics.global.errors
+    .slice(since)
+    .filter(error => error.type === type).length;
+  
+  test('runs now and again after the observables it read change', () => {
+    const count = createObservable(1);
+    const doubled = computed(() => count.value * 2);
+    const seen = [];
+    const logger = effect(() => seen.push(doubled.value), { name: 'logger' });
+    
+    count.value = 2;
+    batch(() => {
+      count.value = 3;
+      count.value = 4;
+    });
+    expect(seen).toEqual([2, 4, 8]);
+    expect(logger.getMetrics()).toMatchObject({ name: 'logger', runs: 3, errors: 0 });
+    logger.dispose();
+  });
+  
+  test('follows only what the last run read', () => {
+    const showDetails = createObservable(false);
+    const details = createObservable('a');
+    let runs = 0;
+    const view = effect(() => {
+      runs++;
+      if (showDetails.value) details.value;
+    });
+    
+    details.value = 'b';
+    expect(runs).toBe(1);
+    showDetails.value = true;
+    details.value = 'c';
+    expect(runs).toBe(3);
+    view.dispose();
+  });
+  
+  test('runs the cleanup before the next run and on dispose', () => {
+    const count = createObservable(1);
+    const calls = [];
+    const ticker = effect(() => {
+      const value = count.value;
+      calls.push(`run ${value}`);
+      return () => calls.push(`cleanup ${value}`);
+    });
+    
+    count.value = 2;
+    ticker.dispose();
+    count.value = 3;
+    expect(calls).toEqual(['run 1', 'cleanup 1', 'run 2', 'cleanup 2']);
+  });
+  
+  test('keeps its dependencies when its first run throws', () => {
+    const ready = createObservable(false);
+    const errorsBefore = ObservabilitySystem._metrics.global.errors.length;
+    const seen = [];
+    const loader = effect(() => {
+      if (!ready.value) throw new Error('not ready');
+      seen.push('loaded');
+    }, { name: 'loader' });
+    
+    expect(errorsOf('effectError', errorsBefore)).toBe(1);
+    expect(loader.getMetrics().errors).toBe(1);
+    
+    ready.value = true;
+    expect(seen).toEqual(['loaded']);
+    loader.dispose();
+  });
+  
+  test('reports an effect that keeps invalidating itself', () => {
+    const count = createObservable(0);
+    const errorsBefore = ObservabilitySystem._metrics.global.errors.length;
+    const runaway = effect(() => {
+      count.value = count.value + 1;
+    });
+    
+    // Its own writes only invalidate it once it is linked, after the first run
+    count.value = 10;
+    expect(count.value).toBe(110);
+    expect(errorsOf('effectLoop', errorsBefore)).toBe(1);
+    runaway.dispose();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import { createObservable, computed, configure } from '../src/index.js';
+import { shallowEqual, deepEqual, resolveEquals } from '../src/equality.js';
+
+describe('equality', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('shallowEqual compares one level of keys and entries', () => {
+    const item = { id: 1 };
+    
+    expect(shallowEqual({ a: item }, { a: item })).toBe(true);
+    expect(shallowEqual({ a: { id: 1 } }, { a: { id: 1 } })).toBe(false);
+    expect(shallowEqual([1, 2], [1, 2])).toBe(true);
+    expect(shallowEqual([1, 2], { 0: 1, 1: 2 })).toBe(false);
+    expect(shallowEqual(new Map([['a', item]]), new Map([['a', item]]))).toBe(true);
+    expect(shallowEqual(new Set([1]), new Set([2]))).toBe(false);
+  });
+  
+  test('deepEqual compares structure, Dates and cycles', () => {
+    const a = { list: [1, { when: new Date(5) }], tags: new Set(['x']), lookup: new Map([['k', [1]]]) };
+    const b = { list: [1, { when: new Date(5) }], tags: new Set(['x']), lookup: new Map([['k', [1]]]) };
+    a.self = a;
+    b.self = b;
+    
+    expect(deepEqual(a, b)).toBe(true);
+    b.lookup.get('k').push(2);
+    expect(deepEqual(a, b)).toBe(false);
+    expect(deepEqual(NaN, NaN)).toBe(true);
+    expect(() => resolveEquals('loose')).toThrow('Unknown equality: loose');
+  });
+  
+  test('an equal write is skipped and does not notify', () => {
+    const point = createObservable({ x: 1, y: 2 }, { equals: 'shallow' });
+    const listener = jest.fn();
+    point.subscribe(listener);
+    
+    point.value = { x: 1, y: 2 };
+    expect(listener).not.toHaveBeenCalled();
+    expect(point.getMetrics()).toMatchObject({ writes: 1, skippedWrites: 1 });
+    
+    point.value = { x: 2, y: 2 };
+    expect(listener).toHaveBeenCalledTimes(1);
+    point.dispose();
+  });
+  
+  test('a custom comparator decides what counts as a change', () => {
+    const sameId = (a, b) => a.id === b.id;
+    const user = createObservable({ id: 1, seenAt: 1 }, { equals: sameId });
+    const label = computed(() => `user ${user.value.id}`);
+    const listener = jest.fn();
+    label.subscribe(listener);
+    
+    user.value = { id: 1, seenAt: 2 };
+    expect(listener).not.toHaveBeenCalled();
+    user.value = { id: 2, seenAt: 3 };
+    expect(label.value).toBe('user 2');
+    label.dispose();
+    user.dispose();
+  });
+  
+  test('mutate() notifies for in-place changes and skips ones that changed nothing', () => {
+    // Compares contents only: under Jest, structuredClone copies come from another realm
+    const list = createObservable([1, 2], { equals: (a, b) => a.join() === b.join() });
+    const seen = [];
+    list.subscribe(value => seen.push(value.length));
+    
+    list.mutate(items => items.push(3));
+    expect(seen).toEqual([3]);
+    
+    list.mutate(items => items.sort());
+    expect(seen).toEqual([3]);
+    expect(list.getMetrics().skippedWrites).toBe(1);
+    expect(() => list.mutate()).toThrow('mutate requires a function');
+    list.dispose();
+  });
+  
+  test('counts notified writes that changed nothing structurally in detailed mode', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    configure({ isDetailedMode: true });
+    const filters = createObservable({ tags: ['a'] });
+    
+    filters.value = { tags: ['a'] };
+    filters.value = { tags: ['b'] };
+    expect(filters.getMetrics()).toMatchObject({ writes: 2, skippedWrites: 0, wastedWrites: 1 });
+    
+    configure({ isDetailedMode: false });
+    filters.dispose();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,99 @@
+import { jest } from '@jest/globals';
+import {
+  createObservable,
+  computed,
+  effect,
+  createStore,
+  storePath,
+  disposeStore,
+  map,
+  configure,
+  getDependencyGraph
+} from '../src/index.js';
+import { previewValue } from '../src/graph.js';
+
+describe('getDependencyGraph', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  /**
+   * Find the edges between two nodes
+   * @param {Object} graph - Result of getDependencyGraph()
+   * @param {string} from - Source node id
+   * @param {string} to - Target node id
+   * @returns {Array<string>} Edge types
+   */
+  const edgesBetween = (graph, from, to) => graph.edges
+    .filter(edge => edge.from === from && edge.to === to)
+    .map(edge => edge.type);
+  
+  test('draws observables, computeds and effects with their dependency edges', () => {
+    const count = createObservable(1, { name: 'count' });
+    const doubled = computed(() => count.value * 2, [], { name: 'doubled' });
+    const logger = effect(() => doubled.value, { name: 'logger' });
+    
+    const graph = getDependencyGraph();
+    const node = id => graph.nodes.find(entry => entry.id === id);
+    expect(node(count._id)).toMatchObject({ type: 'observable', label: 'count', value: '1' });
+    expect(node(doubled._id)).toMatchObject({ type: 'computed', label: 'doubled', value: '2' });
+    expect(node(logger._id)).toMatchObject({ type: 'effect', label: 'logger', metrics: { runs: 1 } });
+    expect(edgesBetween(graph, count._id, doubled._id)).toEqual(['dependency']);
+    expect(edgesBetween(graph, doubled._id, logger._id)).toEqual(['dependency']);
+    
+    logger.dispose();
+    doubled.dispose();
+    count.dispose();
+  });
+  
+  test('draws store paths and operator outputs', () => {
+    const store = createStore({ user: { name: 'Ada' } }, { name: 'app' });
+    const name = storePath(store, 'user.name');
+    const upper = name.pipe(map(value => value.toUpperCase()));
+    const unsubscribe = upper.subscribe(() => {});
+    
+    const graph = getDependencyGraph();
+    const node = id => graph.nodes.find(entry => entry.id === id);
+    expect(node(name._id)).toMatchObject({ type: 'storePath', label: 'app.user.name' });
+    expect(node(upper._id).type).toBe('operator');
+    expect(edgesBetween(graph, storePath(store, 'user')._id, name._id)).toEqual(['dependency']);
+    expect(edgesBetween(graph, name._id, upper._id)).toEqual(['operator']);
+    
+    unsubscribe();
+    upper.dispose();
+    disposeStore(store);
+  });
+  
+  test('leaves out disposed observables and their edges', () => {
+    const count = createObservable(1);
+    const doubled = computed(() => count.value * 2);
+    doubled.dispose();
+    
+    const graph = getDependencyGraph();
+    expect(graph.nodes.some(node => node.id === doubled._id)).toBe(false);
+    expect(graph.edges.some(edge => edge.from === count._id)).toBe(false);
+    count.dispose();
+  });
+  
+  test('lists recent writes in detailed mode', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    configure({ isDetailedMode: true });
+    const count = createObservable(0);
+    for (let i = 1; i <= 7; i++) count.value = i;
+    
+    const node = getDependencyGraph().nodes.find(entry => entry.id === count._id);
+    expect(node.recentWrites.map(write => write.newValue)).toEqual(['3', '4', '5', '6', '7']);
+    
+    configure({ isDetailedMode: false });
+    count.dispose();
+  });
+  
+  test('previews values that JSON cannot represent', () => {
+    const node = { name: 'root' };
+    node.self = node;
+    
+    expect(previewValue(node)).toBe('[object Object]');
+    expect(previewValue(10n)).toBe('10');
+    expect(previewValue('x'.repeat(300))).toHaveLength(100);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,231 @@
+import { jest } from '@jest/globals';
+import { createObservable, from, map, use, createRecorderSink, ObservabilitySystem } from '../src/index.js';
+
+/**
+ * Let pending promise callbacks run
+ * @returns {Promise} Resolves on the next macrotask
+ */
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Make an async iterable that yields some values, then optionally throws
+ * @param {Array} values - Values to yield
+ * @param {Error} error - Error to throw after the values
+ * @returns {Object} Async iterable with a finished flag set by its finally block
+ */
+function asyncValues(values, error) {
+  const iterable = {
+    finished: false,
+    async *[Symbol.asyncIterator]() {
+      try {
+        for (const value of values) {
+          await null;
+          yield value;
+        }
+        if (error) throw error;
+      } finally {
+        iterable.finished = true;
+      }
+    }
+  };
+  return iterable;
+}
+
+/**
+ * Make a minimal TC39-style observable that hands its observer out
+ * @returns {Object} Observable, its current observer and an unsubscribed flag
+ */
+function manualObservable() {
+  const source = {
+    observer: null,
+    unsubscribed: false,
+    [Symbol.observable || '@@observable']() {
+      return source;
+    },
+    subscribe(observer) {
+      source.observer = observer;
+      return { unsubscribe: () => { source.unsubscribed = true; } };
+    }
+  };
+  return source;
+}
+
+describe('interop', () => {
+  let recorder;
+  let detach;
+  
+  beforeEach(() => {
+    recorder = createRecorderSink({ filter: { names: ['streamTime'] } });
+    detach = use(recorder);
+  });
+  
+  afterEach(() => {
+    detach();
+  });
+  
+  test('from() a promise takes its value, then completes', async () => {
+    const completedBefore = ObservabilitySystem._metrics.global.completedStreams;
+    const user = from(Promise.resolve('Ada'), { name: 'user', initialValue: null });
+    const complete = jest.fn();
+    user.subscribe({ complete });
+    
+    expect(user.value).toBeNull();
+    await settle();
+    expect(user.value).toBe('Ada');
+    expect(complete).toHaveBeenCalledTimes(1);
+    expect(user.getMetrics().stream).toMatchObject({ source: 'promise', state: 'complete', values: 1 });
+    expect(ObservabilitySystem._metrics.global.completedStreams).toBe(completedBefore + 1);
+    expect(recorder.events).toHaveLength(1);
+    expect(recorder.events[0].tags).toMatchObject({ name: 'user', source: 'promise', outcome: 'complete' });
+    user.dispose();
+  });
+  
+  test('from() an async iterable that throws fails its observers and counts the failure', async () => {
+    const failedBefore = ObservabilitySystem._metrics.global.failedStreams;
+    const errorsBefore = ObservabilitySystem._metrics.global.errors.length;
+    const ticks = from(asyncValues([1, 2], new Error('lost connection')), { name: 'ticks' });
+    const seen = [];
+    const error = jest.fn();
+    ticks.subscribe({ next: value => seen.push(value), error });
+    
+    await settle();
+    expect(seen).toEqual([1, 2]);
+    expect(error).toHaveBeenCalledWith(expect.objectContaining({ message: 'lost connection' }));
+    expect(ticks.getMetrics().stream).toMatchObject({ source: 'asyncIterable', state: 'error', error: 'lost connection' });
+    expect(ObservabilitySystem._metrics.global.failedStreams).toBe(failedBefore + 1);
+    const streamErrors = ObservabilitySystem._metrics.global.errors
+      .slice(errorsBefore)
+      .filter(entry => entry.type === 'streamError');
+    expect(streamErrors).toHaveLength(1);
+    expect(recorder.events[0].tags.outcome).toBe('error');
+    ticks.dispose();
+  });
+  
+  test('a source that fails with undefined still fails, not completes', async () => {
+    const rejected = from(Promise.reject(undefined), { name: 'rejected' });
+    const complete = jest.fn();
+    const error = jest.fn();
+    rejected.subscribe({ complete, error });
+    const iterator = rejected[Symbol.asyncIterator]();
+    await iterator.next();
+    
+    await expect(iterator.next()).rejects.toBeUndefined();
+    expect(rejected.getMetrics().stream).toMatchObject({ state: 'error', error: 'undefined' });
+    expect(error).toHaveBeenCalledWith(undefined);
+    expect(complete).not.toHaveBeenCalled();
+    rejected.dispose();
+    
+    const source = manualObservable();
+    const doubled = from(source, { initialValue: 1 }).pipe(map(value => value * 2));
+    const operatorError = jest.fn();
+    doubled.subscribe({ error: operatorError, complete });
+    source.observer.error(undefined);
+    expect(operatorError).toHaveBeenCalledWith(undefined);
+    expect(complete).not.toHaveBeenCalled();
+    doubled.dispose();
+  });
+  
+  test('disposing a from() observable stops the iterable it reads', async () => {
+    const source = asyncValues([1, 2, 3, 4]);
+    const numbers = from(source);
+    
+    await null;
+    numbers.dispose();
+    await settle();
+    expect(source.finished).toBe(true);
+    expect(numbers.getMetrics().stream.state).toBe('disposed');
+    expect(numbers.value).not.toBe(4);
+    expect(recorder.events).toHaveLength(0);
+  });
+  
+  test('from() an interop observable follows it and unsubscribes on dispose', () => {
+    const source = manualObservable();
+    const prices = from(source, { initialValue: 0 });
+    
+    source.observer.next(10);
+    source.observer.next(12);
+    expect(prices.value).toBe(12);
+    expect(prices.getMetrics().stream).toMatchObject({ source: 'observable', values: 2 });
+    
+    prices.dispose();
+    expect(source.unsubscribed).toBe(true);
+    source.observer.next(99);
+    expect(prices.value).toBe(12);
+  });
+  
+  test('from() an EventTarget takes each event of the given type', () => {
+    const target = new EventTarget();
+    const clicks = from(target, { event: 'click', name: 'clicks' });
+    const event = new Event('click');
+    
+    target.dispatchEvent(event);
+    expect(clicks.value).toBe(event);
+    clicks.dispose();
+    target.dispatchEvent(new Event('click'));
+    expect(clicks.getMetrics().stream.values).toBe(1);
+    
+    expect(() => from(new EventTarget())).toThrow(/options\.event/);
+    expect(() => from(42)).toThrow(/requires an observable/);
+  });
+  
+  test('Symbol.observable hands the current value and then every change to an observer', () => {
+    const count = createObservable(1);
+    const interop = count[Symbol.observable || '@@observable']();
+    const seen = [];
+    const complete = jest.fn();
+    const subscription = interop.subscribe({ next: value => seen.push(value), complete });
+    
+    count.value = 2;
+    subscription.unsubscribe();
+    count.value = 3;
+    expect(seen).toEqual([1, 2]);
+    
+    interop.subscribe(value => seen.push(value), null, complete);
+    count.dispose();
+    expect(complete).toHaveBeenCalledTimes(1);
+    expect(seen).toEqual([1, 2, 3]);
+  });
+  
+  test('for await reads the current value and buffered changes, and ends on dispose', async () => {
+    const count = createObservable(1);
+    const iterator = count[Symbol.asyncIterator]();
+    
+    count.value = 2;
+    count.value = 3;
+    expect(await iterator.next()).toEqual({ value: 1, done: false });
+    expect(await iterator.next()).toEqual({ value: 2, done: false });
+    expect(await iterator.next()).toEqual({ value: 3, done: false });
+    
+    const pending = iterator.next();
+    count.dispose();
+    expect(await pending).toEqual({ value: undefined, done: true });
+  });
+  
+  test('a for await loop over a failing source throws, and operator outputs end with it', async () => {
+    const source = manualObservable();
+    const prices = from(source, { initialValue: 0 });
+    const doubled = prices.pipe(map(value => value * 2));
+    const complete = jest.fn();
+    const error = jest.fn();
+    doubled.subscribe({ complete, error });
+    const seen = [];
+    
+    const loop = (async () => {
+      for await (const value of prices) {
+        seen.push(value);
+        if (value === 5) source.observer.error(new Error('feed closed'));
+      }
+    })();
+    
+    await null;
+    source.observer.next(5);
+    await expect(loop).rejects.toThrow('feed closed');
+    expect(seen).toEqual([0, 5]);
+    expect(doubled.value).toBe(10);
+    expect(error).toHaveBeenCalledWith(expect.objectContaining({ message: 'feed closed' }));
+    expect(complete).not.toHaveBeenCalled();
+    doubled.dispose();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,68 @@
+import { jest } from '@jest/globals';
+import { ObservabilitySystem } from '../src/index.js';
+import { createMetricsMiddleware, startMetricsServer } from '../src/node.js';
+
+describe('node metrics endpoints', () => {
+  let metricsServer;
+  let baseUrl;
+  
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    metricsServer = await startMetricsServer({ port: 0, host: '127.0.0.1', collectInterval: false });
+    baseUrl = `http://127.0.0.1:${metricsServer.port}`;
+  });
+  
+  afterEach(async () => {
+    await metricsServer.close();
+    jest.restoreAllMocks();
+  });
+  
+  test('serves the Prometheus format of the main entry\'s metrics at /metrics', async () => {
+    ObservabilitySystem.recordMetric('writeTime', 1, { name: 'served' });
+    
+    const response = await fetch(`${baseUrl}/metrics`);
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('text/plain; version=0.0.4; charset=utf-8');
+    expect(await response.text()).toContain('js_write_time_seconds_count{name="served"}');
+  });
+  
+  test('serves getMetrics(true) at /metrics.json', async () => {
+    const response = await fetch(`${baseUrl}/metrics.json`);
+    const body = await response.json();
+    
+    expect(response.headers.get('content-type')).toBe('application/json; charset=utf-8');
+    expect(body.global).toBeDefined();
+    expect(body.registry).toBeDefined();
+  });
+  
+  test('answers HEAD without a body and rejects other methods', async () => {
+    const head = await fetch(`${baseUrl}/metrics`, { method: 'HEAD' });
+    expect(head.status).toBe(200);
+    expect(await head.text()).toBe('');
+    
+    const post = await fetch(`${baseUrl}/metrics`, { method: 'POST' });
+    expect(post.status).toBe(405);
+    expect(post.headers.get('allow')).toBe('GET, HEAD');
+  });
+  
+  test('answers 404 for other paths', async () => {
+    const response = await fetch(`${baseUrl}/other`);
+    expect(response.status).toBe(404);
+  });
+  
+  test('listens on the loopback interface unless given a host', async () => {
+    const local = await startMetricsServer({ port: 0, collectInterval: false });
+    
+    expect(local.server.address().address).toBe('127.0.0.1');
+    expect(local.url).toBe(`http://127.0.0.1:${local.port}/metrics`);
+    await local.close();
+  });
+  
+  test('the middleware hands other paths to next()', () => {
+    const middleware = createMetricsMiddleware({ path: '/prom' });
+    const next = jest.fn();
+    
+    middleware({ url: '/metrics', method: 'GET' }, {}, next);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
\ No newline at end of file
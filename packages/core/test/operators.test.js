@@ -0,0 +1,174 @@
+import { jest } from '@jest/globals';
+import {
+  createObservable,
+  batch,
+  map,
+  filter,
+  distinctUntilChanged,
+  debounce,
+  throttle,
+  combineLatest,
+  merge,
+  ObservabilitySystem
+} from '../src/index.js';
+
+describe('operators', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+  
+  /**
+   * Count the operatorErrors recorded since a point in the error log
+   * @param {number} since - Length of the error log to count from
+   * @returns {number} Number of operatorErrors
+   */
+  const operatorErrors = (since) => ObservabilitySystem._metrics.global.errors
+    .slice(since)
+    .filter(error => error.type === 'operatorError').length;
+  
+  test('map and filter follow the source and count what they drop', () => {
+    const query = createObservable(' Ada ');
+    const search = query.pipe(
+      map(text => text.trim().toLowerCase()),
+      filter(text => text.length > 2)
+    );
+    const seen = [];
+    search.subscribe(value => seen.push(value));
+    
+    query.value = 'Al';
+    query.value = 'Grace';
+    expect(search.value).toBe('grace');
+    expect(seen).toEqual(['grace']);
+    expect(search.getMetrics().operator).toMatchObject({ type: 'filter', received: 2, emitted: 1, dropped: 1 });
+    expect(search.getMetrics().name).toBe(`filter(map(${query._id}))`);
+    search.dispose();
+  });
+  
+  test('a mapper that throws on the first value is recorded, not thrown', () => {
+    const text = createObservable(null);
+    const errorsBefore = ObservabilitySystem._metrics.global.errors.length;
+    let length;
+    
+    expect(() => {
+      length = text.pipe(map(value => value.length));
+    }).not.toThrow();
+    expect(length.value).toBeUndefined();
+    expect(operatorErrors(errorsBefore)).toBe(1);
+    
+    text.value = 'abc';
+    expect(length.value).toBe(3);
+    length.dispose();
+  });
+  
+  test('a predicate that throws on the first value falls back to initialValue', () => {
+    const user = createObservable(null);
+    const errorsBefore = ObservabilitySystem._metrics.global.errors.length;
+    const admin = user.pipe(filter(value => value.isAdmin, { initialValue: 'nobody' }));
+    
+    expect(admin.value).toBe('nobody');
+    expect(operatorErrors(errorsBefore)).toBe(1);
+    
+    user.value = { isAdmin: false };
+    user.value = { isAdmin: true };
+    expect(admin.value).toEqual({ isAdmin: true });
+    admin.dispose();
+  });
+  
+  test('a later exception drops the value', () => {
+    const source = createObservable(1);
+    const errorsBefore = ObservabilitySystem._metrics.global.errors.length;
+    const checked = source.pipe(map(value => {
+      if (value < 0) throw new Error('negative');
+      return value;
+    }));
+    
+    source.value = -1;
+    expect(checked.value).toBe(1);
+    expect(checked.getMetrics().operator.dropped).toBe(1);
+    expect(operatorErrors(errorsBefore)).toBe(1);
+    checked.dispose();
+  });
+  
+  test('distinctUntilChanged drops values equal to the previous one', () => {
+    const point = createObservable({ x: 1 });
+    const distinct = point.pipe(distinctUntilChanged('shallow'));
+    const listener = jest.fn();
+    distinct.subscribe(listener);
+    
+    point.value = { x: 1 };
+    point.value = { x: 2 };
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(distinct.getMetrics().operator.dropped).toBe(1);
+    distinct.dispose();
+  });
+  
+  test('debounce passes on the last value once the source is quiet', () => {
+    jest.useFakeTimers();
+    const query = createObservable('');
+    const debounced = query.pipe(debounce(300));
+    
+    query.value = 'a';
+    query.value = 'ab';
+    jest.advanceTimersByTime(299);
+    expect(debounced.value).toBe('');
+    jest.advanceTimersByTime(1);
+    expect(debounced.value).toBe('ab');
+    expect(debounced.getMetrics().operator).toMatchObject({ emitted: 1, dropped: 1 });
+    
+    query.value = 'abc';
+    debounced.dispose();
+    jest.advanceTimersByTime(300);
+    expect(debounced.value).toBe('ab');
+  });
+  
+  test('throttle passes on the first and last value of each interval', () => {
+    jest.useFakeTimers();
+    const position = createObservable(0);
+    const throttled = position.pipe(throttle(100));
+    const leading = position.pipe(throttle(100, { trailing: false }));
+    
+    position.value = 1;
+    position.value = 2;
+    position.value = 3;
+    expect([throttled.value, leading.value]).toEqual([1, 1]);
+    jest.advanceTimersByTime(100);
+    expect([throttled.value, leading.value]).toEqual([3, 1]);
+    expect(throttled.getMetrics().operator.dropped).toBe(1);
+    expect(leading.getMetrics().operator.dropped).toBe(2);
+    throttled.dispose();
+    leading.dispose();
+  });
+  
+  test('combineLatest makes one array per batch and merge follows whichever changed', () => {
+    const x = createObservable(0);
+    const y = createObservable(0);
+    const position = combineLatest([x, y]);
+    const either = merge([x, y], { name: 'either' });
+    const seen = [];
+    position.subscribe(value => seen.push(value));
+    
+    batch(() => {
+      x.value = 1;
+      y.value = 2;
+    });
+    expect(seen).toEqual([[1, 2]]);
+    x.value = 5;
+    expect(either.value).toBe(5);
+    y.value = 6;
+    expect(either.value).toBe(6);
+    expect(either.getMetrics().name).toBe('either');
+    expect(() => merge(x, y)).toThrow('merge requires Observable sources');
+    position.dispose();
+    either.dispose();
+  });
+  
+  test('disposing a pipe() result disposes the intermediate outputs', () => {
+    const source = createObservable(1);
+    const result = source.pipe(map(value => value + 1), map(value => value * 2));
+    
+    expect(result.value).toBe(4);
+    expect(source._subscribers.size).toBe(1);
+    result.dispose();
+    expect(source._subscribers.size).toBe(0);
+  });
+});
\ No newline at end of file
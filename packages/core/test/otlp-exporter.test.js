@@ -0,0 +1,189 @@
+import { jest } from '@jest/globals';
+import http from 'node:http';
+import { createOTLPExporter, ObservabilitySystem } from '../src/index.js';
+
+/**
+ * Start a stub OTLP collector on a free local port
+ * Requests are recorded; statuses are answered in order, then 200.
+ * @param {Array<number>} statuses - Status codes for the first requests
+ * @returns {Promise<Object>} { endpoint, requests, close }
+ */
+function startCollector(statuses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.statusCode = statuses.length > 0 ? statuses.shift() : 200;
+      res.end('{}');
+    });
+  });
+  
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Find an exported sum by name in a metrics request
+ * @param {Object} request - Recorded request to /v1/metrics
+ * @param {string} name - Metric name
+ * @returns {number} The sum's value
+ */
+function sumValue(request, name) {
+  const metrics = request.body.resourceMetrics[0].scopeMetrics[0].metrics;
+  return Number(metrics.find(metric => metric.name === name).sum.dataPoints[0].asInt);
+}
+
+describe('OTLPExporter', () => {
+  let collector;
+  
+  beforeEach(async () => {
+    collector = await startCollector();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  
+  afterEach(async () => {
+    await collector.close();
+    jest.restoreAllMocks();
+  });
+  
+  test('sends spans and histograms with resource attributes', async () => {
+    const exporter = createOTLPExporter({
+      endpoint: collector.endpoint,
+      serviceName: 'test-app',
+      headers: { 'x-api-key': 'secret' }
+    });
+    // Earlier samples are not this test's to export
+    exporter.collect();
+    exporter._spanQueue = [];
+    exporter._metricQueue = [];
+    
+    ObservabilitySystem.recordMetric('componentRenderTime', 4, { component: 'List', renderId: 1 });
+    ObservabilitySystem.recordMetric('componentRenderTime', 6, { component: 'List', renderId: 2 });
+    await exporter.shutdown();
+    
+    const traces = collector.requests.find(request => request.path === '/v1/traces');
+    const { resource, scopeSpans } = traces.body.resourceSpans[0];
+    expect(resource.attributes).toContainEqual({ key: 'service.name', value: { stringValue: 'test-app' } });
+    expect(scopeSpans[0].spans.map(span => span.name)).toEqual(['component.render', 'component.render']);
+    expect(traces.headers['x-api-key']).toBe('secret');
+    
+    const metrics = collector.requests.find(request => request.path === '/v1/metrics');
+    const histogram = metrics.body.resourceMetrics[0].scopeMetrics[0].metrics
+      .find(metric => metric.name === 'observablejs.componentRenderTime').histogram;
+    // renderId is not an attribute, so both samples share one data point
+    expect(histogram.dataPoints).toHaveLength(1);
+    expect(histogram.dataPoints[0]).toMatchObject({ count: '2', sum: 10, min: 4, max: 6 });
+    expect(exporter.getStats()).toMatchObject({ exportedSpans: 2, failedRequests: 0 });
+  });
+  
+  test('keeps cumulative counters monotonic across resetMetrics()', async () => {
+    const exporter = createOTLPExporter({ endpoint: collector.endpoint });
+    
+    ObservabilitySystem._metrics.global.effectRuns += 3;
+    exporter.collect();
+    await exporter.flush();
+    const before = sumValue(collector.requests[collector.requests.length - 1], 'observablejs.effect_runs');
+    
+    ObservabilitySystem.resetMetrics();
+    ObservabilitySystem._metrics.global.effectRuns += 2;
+    exporter.collect();
+    await exporter.flush();
+    const after = sumValue(collector.requests[collector.requests.length - 1], 'observablejs.effect_runs');
+    
+    expect(after - before).toBe(2);
+  });
+  
+  test('retries server errors with backoff until the collector accepts', async () => {
+    await collector.close();
+    collector = await startCollector([503, 503]);
+    const exporter = createOTLPExporter({ endpoint: collector.endpoint, initialBackoff: 1, maxBackoff: 2 });
+    
+    exporter._enqueueMetrics([{ name: 'test' }]);
+    await exporter.flush();
+    
+    expect(collector.requests).toHaveLength(3);
+    expect(exporter.getStats()).toMatchObject({ retries: 2, exportedMetrics: 1, failedRequests: 0 });
+  });
+  
+  test('gives up on client errors without retrying', async () => {
+    await collector.close();
+    collector = await startCollector([400]);
+    const exporter = createOTLPExporter({ endpoint: collector.endpoint, initialBackoff: 1 });
+    
+    exporter._enqueueMetrics([{ name: 'test' }]);
+    await exporter.flush();
+    
+    expect(collector.requests).toHaveLength(1);
+    expect(exporter.getStats()).toMatchObject({ retries: 0, droppedMetrics: 1, failedRequests: 1 });
+  });
+  
+  test('bounds the queue so a dead collector cannot grow memory', async () => {
+    const exporter = createOTLPExporter({
+      fetch: () => Promise.reject(new Error('connection refused')),
+      maxQueueSize: 2,
+      maxRetries: 0
+    });
+    
+    ['a', 'b', 'c'].forEach(name => exporter._enqueueSpan({ name }));
+    expect(exporter._spanQueue.map(span => span.name)).toEqual(['b', 'c']);
+    
+    // A batch that still fails is kept for the next flush
+    await exporter.flush();
+    expect(exporter.getStats()).toMatchObject({ droppedSpans: 1, failedSpans: 2, queuedSpans: 2, failedRequests: 1 });
+    exporter._detach();
+  });
+  
+  test('requeues a batch that fails after its retries and sends it later', async () => {
+    await collector.close();
+    collector = await startCollector([503]);
+    const exporter = createOTLPExporter({ endpoint: collector.endpoint, maxRetries: 0 });
+    
+    exporter._enqueueMetrics([{ name: 'test' }]);
+    await exporter.flush();
+    expect(exporter.getStats()).toMatchObject({ failedMetrics: 1, queuedMetrics: 1, exportedMetrics: 0 });
+    
+    await exporter.flush();
+    expect(collector.requests).toHaveLength(2);
+    expect(exporter.getStats()).toMatchObject({ queuedMetrics: 0, exportedMetrics: 1, droppedMetrics: 0 });
+    exporter._detach();
+  });
+  
+  test('exports every sample recorded between collections, beyond the trimmed history', async () => {
+    const exporter = createOTLPExporter({ endpoint: collector.endpoint, maxBufferSize: 3000 });
+    const samples = ObservabilitySystem.maxHistoryItems + 500;
+    
+    for (let i = 0; i < samples; i++) {
+      ObservabilitySystem.recordMetric('queueDepth', 1, { name: 'jobs' });
+    }
+    expect(ObservabilitySystem._metrics.detailed.queueDepth.length).toBeLessThan(samples);
+    await exporter.shutdown();
+    
+    const metrics = collector.requests.find(request => request.path === '/v1/metrics');
+    const histogram = metrics.body.resourceMetrics[0].scopeMetrics[0].metrics
+      .find(metric => metric.name === 'observablejs.queueDepth').histogram;
+    expect(histogram.dataPoints[0].count).toBe(String(samples));
+    
+    // Once shut down, the exporter no longer receives samples
+    ObservabilitySystem.recordMetric('queueDepth', 1);
+    expect(exporter.getStats().bufferedSamples).toBe(0);
+  });
+  
+  test('counts samples dropped from a full buffer', async () => {
+    const exporter = createOTLPExporter({ endpoint: collector.endpoint, maxBufferSize: 2 });
+    
+    ['a', 'b', 'c'].forEach(name => ObservabilitySystem.recordMetric('queueDepth', 1, { name }));
+    expect(exporter.getStats()).toMatchObject({ droppedSamples: 1, bufferedSamples: 2 });
+    await exporter.shutdown();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,130 @@
+import { jest } from '@jest/globals';
+import { ObservabilitySystem } from '../src/index.js';
+import { PrometheusRegistry } from '../src/prometheus.js';
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const SAMPLE = /^([a-zA-Z_:][a-zA-Z0-9_:]*)(\{(.*)\})? (\S+)$/;
+const LABEL = /^([a-zA-Z_][a-zA-Z0-9_]*)="((?:[^"\\]|\\[\\"n])*)"(,|$)/;
+const SUFFIXES = {
+  histogram: ['_bucket', '_sum', '_count'],
+  summary: ['_sum', '_count'],
+  counter: [''],
+  gauge: ['']
+};
+
+/**
+ * Parse the Prometheus text format strictly, failing on anything malformed
+ * @param {string} text - Exposition text
+ * @returns {Array<Object>} Samples as { name, family, labels, value }
+ */
+function parseExposition(text) {
+  expect(text.endsWith('\n')).toBe(true);
+  const types = new Map();
+  const helped = new Set();
+  const samples = [];
+  
+  text.slice(0, -1).split('\n').forEach(line => {
+    if (line.startsWith('# HELP ')) {
+      const [name] = line.slice(7).split(' ');
+      expect(name).toMatch(METRIC_NAME);
+      expect(helped.has(name)).toBe(false);
+      helped.add(name);
+      return;
+    }
+    if (line.startsWith('# TYPE ')) {
+      const [name, type] = line.slice(7).split(' ');
+      expect(Object.keys(SUFFIXES)).toContain(type);
+      expect(types.has(name)).toBe(false);
+      types.set(name, type);
+      return;
+    }
+    
+    const match = SAMPLE.exec(line);
+    if (!match) throw new Error(`Malformed line: ${line}`);
+    const [, name, , labelText = '', value] = match;
+    
+    const labels = {};
+    let rest = labelText;
+    while (rest.length > 0) {
+      const label = LABEL.exec(rest);
+      if (!label) throw new Error(`Malformed labels: ${labelText}`);
+      labels[label[1]] = label[2].replace(/\\(.)/g, (all, char) => (char === 'n' ? '\n' : char));
+      rest = rest.slice(label[0].length);
+    }
+    
+    expect(['NaN', '+Inf', '-Inf'].includes(value) || !Number.isNaN(Number(value))).toBe(true);
+    const family = Array.from(types.keys()).find(familyName =>
+      SUFFIXES[types.get(familyName)].some(suffix => familyName + suffix === name));
+    if (!family) throw new Error(`Sample before its TYPE line: ${line}`);
+    samples.push({ name, family, labels, value: Number(value) });
+  });
+  
+  return samples;
+}
+
+describe('Prometheus exposition', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('writes timing metrics as cumulative histograms in seconds', () => {
+    const registry = new PrometheusRegistry();
+    registry.configure({ buckets: [5, 10] });
+    registry.observe('componentRenderTime', 4, { component: 'List', renderId: 1 });
+    registry.observe('componentRenderTime', 8, { component: 'List', renderId: 2 });
+    registry.observe('componentRenderTime', 20, { component: 'List', renderId: 3 });
+    
+    const samples = parseExposition(registry.write());
+    const series = samples.filter(sample => sample.family === 'js_component_render_time_seconds');
+    expect(series.map(sample => [sample.name, sample.labels.le, sample.value])).toEqual([
+      ['js_component_render_time_seconds_bucket', '0.005', 1],
+      ['js_component_render_time_seconds_bucket', '0.01', 2],
+      ['js_component_render_time_seconds_bucket', '+Inf', 3],
+      ['js_component_render_time_seconds_sum', undefined, 0.032],
+      ['js_component_render_time_seconds_count', undefined, 3]
+    ]);
+    // renderId is not a label, so the three samples are one series
+    expect(series[0].labels).toEqual({ component: 'List', le: '0.005' });
+  });
+  
+  test('writes other metrics as summaries', () => {
+    const registry = new PrometheusRegistry();
+    registry.observe('componentPatchCount', 3, { component: 'List' });
+    
+    const text = registry.write();
+    expect(text).toContain('# TYPE js_component_patch_count summary');
+    expect(text).toContain('js_component_patch_count_count{component="List"} 1');
+  });
+  
+  test('escapes label values so they parse back unchanged', () => {
+    const registry = new PrometheusRegistry();
+    const name = 'say "hi"\\\nbye';
+    registry.observe('derivedComputeTime', 1, { name });
+    
+    const [sample] = parseExposition(registry.write()).filter(s => s.name === 'js_derived_compute_time_seconds_count');
+    expect(sample.labels.name).toBe(name);
+  });
+  
+  test('exportToPrometheus() output passes a strict parser', () => {
+    ObservabilitySystem.recordMetric('writeTime', 0.5, { name: 'count' });
+    
+    const samples = parseExposition(ObservabilitySystem.exportToPrometheus());
+    expect(samples.some(sample => sample.name === 'js_write_time_seconds_count')).toBe(true);
+    expect(samples.some(sample => sample.name === 'js_metrics_reset_timestamp_seconds')).toBe(true);
+  });
+  
+  test('counters survive resetMetrics()', () => {
+    const read = () => parseExposition(ObservabilitySystem.exportToPrometheus())
+      .find(sample => sample.name === 'js_effect_runs').value;
+    ObservabilitySystem._metrics.global.effectRuns += 4;
+    const before = read();
+    
+    ObservabilitySystem.resetMetrics();
+    ObservabilitySystem._metrics.global.effectRuns += 1;
+    expect(read()).toBe(before + 1);
+  });
+});
\ No newline at end of file
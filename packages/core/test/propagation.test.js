@@ -0,0 +1,81 @@
+import { createObservable, computed, ObservabilitySystem } from '../src/index.js';
+
+describe('propagation', () => {
+  test('recomputes each node of a diamond once per change', () => {
+    const count = createObservable(1);
+    let leftRuns = 0;
+    let rightRuns = 0;
+    let sumRuns = 0;
+    const left = computed(() => {
+      leftRuns++;
+      return count.value * 2;
+    });
+    const right = computed(() => {
+      rightRuns++;
+      return count.value * 3;
+    });
+    const sum = computed(() => {
+      sumRuns++;
+      return left.value + right.value;
+    });
+    
+    count.value = 2;
+    expect(sum.value).toBe(10);
+    expect([leftRuns, rightRuns, sumRuns]).toEqual([2, 2, 2]);
+  });
+  
+  test('notifies subscribers only once the graph is consistent', () => {
+    const count = createObservable(1);
+    const doubled = computed(() => count.value * 2);
+    const seen = [];
+    count.subscribe(value => seen.push(['count', value, doubled.value]));
+    doubled.subscribe(value => seen.push(['doubled', value, count.value]));
+    
+    count.value = 3;
+    expect(seen).toEqual([['count', 3, 6], ['doubled', 6, 3]]);
+  });
+  
+  test('a computed that starts reading a dirty computed gets its new value', () => {
+    const src = createObservable(1);
+    const tenfold = computed(() => src.value * 10);
+    let runs = 0;
+    const gated = computed(() => {
+      runs++;
+      return src.value > 1 ? tenfold.value : 0;
+    });
+    const seen = [];
+    gated.subscribe(value => seen.push(value));
+    
+    src.value = 2;
+    expect(seen).toEqual([20]);
+    expect(gated.value).toBe(20);
+    expect(runs).toBe(2);
+    
+    src.value = 3;
+    expect(seen).toEqual([20, 30]);
+    expect(tenfold._computeMetrics.totalComputations).toBe(3);
+  });
+  
+  test('skips dependents whose inputs did not change', () => {
+    const count = createObservable(1);
+    const isPositive = computed(() => count.value > 0);
+    let runs = 0;
+    computed(() => {
+      runs++;
+      return isPositive.value;
+    });
+    
+    count.value = 2;
+    expect(runs).toBe(1);
+  });
+  
+  test('counts the recomputations it avoided', () => {
+    const a = createObservable(1);
+    const b = computed(() => a.value + 1);
+    computed(() => a.value + b.value);
+    const before = ObservabilitySystem.getMetrics().global.avoidedComputations;
+    
+    a.value = 2;
+    expect(ObservabilitySystem.getMetrics().global.avoidedComputations - before).toBe(1);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,77 @@
+import { jest } from '@jest/globals';
+import { createObservable, computed, effect, ObservabilitySystem } from '../src/index.js';
+
+describe('registry', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    ObservabilitySystem.configure({ weakRegistry: false });
+    jest.restoreAllMocks();
+  });
+  
+  test('dispose() removes an observable and counts it as disposed', () => {
+    const before = ObservabilitySystem.getRegistryStats();
+    const count = createObservable(0);
+    expect(ObservabilitySystem.getRegistryStats().observables.live).toBe(before.observables.live + 1);
+    
+    count.dispose();
+    const after = ObservabilitySystem.getRegistryStats();
+    expect(after.observables.live).toBe(before.observables.live);
+    expect(after.observables.disposed).toBe(before.observables.disposed + 1);
+    expect(ObservabilitySystem._observables.has(count._id)).toBe(false);
+  });
+  
+  test('keeps the reads and writes of disposed observables in the totals', () => {
+    ObservabilitySystem.updateGlobalCounters();
+    const before = ObservabilitySystem.getMetrics().global;
+    const count = createObservable(0);
+    count.value = 1;
+    count.value = 2;
+    
+    count.dispose();
+    ObservabilitySystem.updateGlobalCounters();
+    const after = ObservabilitySystem.getMetrics().global;
+    expect(after.totalWrites - before.totalWrites).toBe(2);
+  });
+  
+  test('a disposed computed stops following its dependencies', () => {
+    const count = createObservable(1);
+    const doubled = computed(() => count.value * 2);
+    
+    doubled.dispose();
+    expect(count._dependents.has(doubled)).toBe(false);
+    expect(ObservabilitySystem._observables.has(doubled._id)).toBe(false);
+  });
+  
+  test('frees the key of a disposed observable for reuse', () => {
+    const first = createObservable(0, { key: 'registry-test' });
+    expect(() => createObservable(0, { key: 'registry-test' })).toThrow('already registered');
+    
+    first.dispose();
+    const second = createObservable(0, { key: 'registry-test' });
+    expect(ObservabilitySystem.getObservableByKey('registry-test')).toBe(second);
+    second.dispose();
+  });
+  
+  test('counts disposed effects', () => {
+    const before = ObservabilitySystem.getRegistryStats().effects;
+    const instance = effect(() => {});
+    
+    instance.dispose();
+    const after = ObservabilitySystem.getRegistryStats().effects;
+    expect(after.live).toBe(before.live);
+    expect(after.disposed).toBe(before.disposed + 1);
+  });
+  
+  test('weak tracking keeps live observables reachable', () => {
+    const count = createObservable(5);
+    ObservabilitySystem.configure({ weakRegistry: true });
+    
+    expect(ObservabilitySystem.getRegistryStats().observables.weak).toBe(true);
+    expect(ObservabilitySystem._getObservable(count._id)).toBe(count);
+    count.dispose();
+    expect(ObservabilitySystem._getObservable(count._id)).toBeUndefined();
+  });
+});
\ No newline at end of file
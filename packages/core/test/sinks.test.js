@@ -0,0 +1,98 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import { use, createLocalStorageSink, createBeaconSink, ObservabilitySystem } from '../src/index.js';
+
+/**
+ * Storage whose writes fail until it is told otherwise
+ * @returns {Object} Storage-like object with a `full` switch
+ */
+function createFullStorage() {
+  const data = new Map();
+  return {
+    full: true,
+    getItem: key => (data.has(key) ? data.get(key) : null),
+    setItem(key, value) {
+      if (this.full) throw new Error('QuotaExceededError');
+      data.set(key, value);
+    },
+    removeItem: key => data.delete(key)
+  };
+}
+
+describe('sinks', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+  
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    delete navigator.sendBeacon;
+  });
+  
+  /**
+   * Count the sinkErrors recorded for a sink (they never reach other sinks)
+   * @param {string} name - Sink name
+   * @returns {number} Number of sinkErrors
+   */
+  const sinkErrors = (name) => ObservabilitySystem._metrics.global.errors
+    .filter(error => error.type === 'sinkError' && error.context.sink === name).length;
+  
+  test('a localStorage write failing in its timer is recorded, not thrown', () => {
+    const storage = createFullStorage();
+    const sink = createLocalStorageSink({ storage, flushInterval: 10, filter: { names: ['sinkTest'] } });
+    const detach = use(sink);
+    const before = sinkErrors('localStorage');
+    
+    ObservabilitySystem.recordMetric('sinkTest', 1);
+    expect(() => jest.advanceTimersByTime(10)).not.toThrow();
+    expect(sinkErrors('localStorage')).toBe(before + 1);
+    expect(sink.getStats()).toMatchObject({ writes: 0, failures: 1, buffered: 1 });
+    
+    // The buffer is kept and written once there is room
+    storage.full = false;
+    ObservabilitySystem.recordMetric('sinkTest', 2);
+    jest.advanceTimersByTime(10);
+    expect(sink.getStats()).toMatchObject({ writes: 1, failures: 1 });
+    expect(JSON.parse(storage.getItem('observablejs:events'))).toHaveLength(2);
+    detach();
+  });
+  
+  test('a beacon failing in its timer is recorded and the events stay queued', () => {
+    navigator.sendBeacon = jest.fn(() => {
+      throw new TypeError('Illegal invocation');
+    });
+    const sink = createBeaconSink({ url: '/telemetry', flushInterval: 10, filter: { names: ['sinkTest'] } });
+    const detach = use(sink);
+    const before = sinkErrors('beacon');
+    
+    ObservabilitySystem.recordMetric('sinkTest', 1);
+    expect(() => jest.advanceTimersByTime(10)).not.toThrow();
+    expect(sinkErrors('beacon')).toBe(before + 1);
+    expect(sink.getStats()).toMatchObject({ sent: 0, failures: 1, queued: 1 });
+    
+    navigator.sendBeacon = jest.fn(() => true);
+    detach();
+    expect(navigator.sendBeacon).toHaveBeenCalledTimes(1);
+    expect(sink.getStats()).toMatchObject({ sent: 1, queued: 0 });
+  });
+  
+  test('a beacon failing on pagehide is recorded, not thrown', () => {
+    navigator.sendBeacon = jest.fn(() => {
+      throw new Error('beacon failed');
+    });
+    const sink = createBeaconSink({ url: '/telemetry', filter: { names: ['sinkTest'] } });
+    const detach = use(sink);
+    const before = sinkErrors('beacon');
+    
+    ObservabilitySystem.recordMetric('sinkTest', 1);
+    expect(() => window.dispatchEvent(new Event('pagehide'))).not.toThrow();
+    expect(sinkErrors('beacon')).toBe(before + 1);
+    expect(sink.getStats().failures).toBe(1);
+    
+    navigator.sendBeacon = jest.fn(() => true);
+    detach();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,128 @@
+import { createObservable, computed, batch, map, from, snapshot, hydrate, ObservabilitySystem } from '../src/index.js';
+import { encode, decode } from '../src/snapshot.js';
+
+describe('snapshot', () => {
+  const disposables = [];
+  
+  /**
+   * Create an observable that is disposed after the test
+   * @param {any} value - Initial value
+   * @param {Object} options - Observable options
+   * @returns {Observable} The observable
+   */
+  const track = (value, options) => {
+    const observable = createObservable(value, options);
+    disposables.push(observable);
+    return observable;
+  };
+  
+  afterEach(() => {
+    disposables.splice(0).forEach(observable => observable.dispose());
+  });
+  
+  test('getMetrics() previews a cyclic value instead of throwing', () => {
+    const node = { name: 'root' };
+    node.self = node;
+    const cyclic = track(node, { key: 'snap-cyclic' });
+    
+    expect(typeof cyclic.getMetrics().value).toBe('string');
+    expect(() => ObservabilitySystem.getMetrics(true)).not.toThrow();
+    
+    const errorsBefore = ObservabilitySystem._metrics.global.errors.length;
+    for (let i = 0; i < 25; i++) {
+      const next = { count: i };
+      next.self = next;
+      cyclic.value = next;
+    }
+    const { hotObservables } = ObservabilitySystem.findHotspots();
+    expect(hotObservables.find(entry => entry.id === cyclic._id)).toMatchObject({ writes: 25 });
+    expect(ObservabilitySystem._metrics.global.errors.slice(errorsBefore)
+      .filter(error => error.type === 'hotspotAnalysisError')).toEqual([]);
+  });
+  
+  test('round-trips Dates, Maps, Sets, special numbers and shared references', () => {
+    const shared = { id: 1 };
+    const value = {
+      when: new Date(1000),
+      lookup: new Map([['a', shared]]),
+      tags: new Set(['x']),
+      missing: undefined,
+      ratio: NaN,
+      limit: -Infinity,
+      again: shared,
+      literal: { $t: 'Date' }
+    };
+    value.self = value;
+    
+    const decoded = decode(JSON.parse(JSON.stringify(encode(value))));
+    expect(decoded.when.getTime()).toBe(1000);
+    expect(decoded.lookup.get('a')).toBe(decoded.again);
+    expect(Array.from(decoded.tags)).toEqual(['x']);
+    expect('missing' in decoded && decoded.missing === undefined).toBe(true);
+    expect(decoded.ratio).toBeNaN();
+    expect(decoded.limit).toBe(-Infinity);
+    expect(decoded.self).toBe(decoded);
+    expect(decoded.literal).toEqual({ $t: 'Date' });
+  });
+  
+  test('captures source observables by key and leaves computeds out', () => {
+    const count = track(1, { key: 'snap-count' });
+    const doubled = computed(() => count.value * 2);
+    disposables.push(doubled);
+    track('anonymous');
+    
+    const { values } = snapshot({ keyedOnly: true });
+    expect(values).toEqual({ 'snap-count': 1 });
+    expect(Object.values(snapshot().values)).toContain('anonymous');
+  });
+  
+  test('hydrate() restores values without counting writes and updates computeds once', () => {
+    const first = track('Ada', { key: 'snap-first' });
+    const last = track('Lovelace', { key: 'snap-last' });
+    let computes = 0;
+    const full = computed(() => {
+      computes++;
+      return `${first.value} ${last.value}`;
+    });
+    disposables.push(full);
+    const seen = [];
+    full.subscribe(value => seen.push(value));
+    const saved = JSON.stringify(snapshot({ keyedOnly: true }));
+    
+    first.value = 'Grace';
+    last.value = 'Hopper';
+    const writes = first.getMetrics().writes;
+    computes = 0;
+    seen.length = 0;
+    
+    expect(hydrate(saved)).toEqual({ hydrated: 2, missing: [] });
+    expect(full.value).toBe('Ada Lovelace');
+    expect(computes).toBe(1);
+    expect(seen).toEqual(['Ada Lovelace']);
+    expect(first.getMetrics().writes).toBe(writes);
+  });
+  
+  test('leaves operator outputs and from() streams out of snapshot and hydrate', () => {
+    const base = track(1, { key: 'snap-base' });
+    const plusOne = base.pipe(map(value => value + 1));
+    const loaded = from(new Promise(() => {}), { initialValue: 'pending' });
+    disposables.push(plusOne, loaded);
+    
+    const { values } = snapshot();
+    expect(values[plusOne._id]).toBeUndefined();
+    expect(values[loaded._id]).toBeUndefined();
+    
+    const snap = { version: 1, values: { 'snap-base': 1, [plusOne._id]: 999, [loaded._id]: 'done' } };
+    expect(hydrate(snap)).toEqual({ hydrated: 0, missing: [plusOne._id, loaded._id] });
+    expect(plusOne.value).toBe(2);
+    expect(loaded.value).toBe('pending');
+  });
+  
+  test('hydrate() reports keys with no observable and rejects bad input', () => {
+    const snap = { version: 1, values: { 'snap-nowhere': 1 } };
+    
+    expect(hydrate(snap)).toEqual({ hydrated: 0, missing: ['snap-nowhere'] });
+    expect(() => hydrate({ version: 2, values: {} })).toThrow('Unsupported snapshot');
+    expect(() => batch(() => hydrate(snap))).toThrow('Cannot hydrate inside batch()');
+  });
+});
\ No newline at end of file
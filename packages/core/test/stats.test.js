@@ -0,0 +1,78 @@
+import { jest } from '@jest/globals';
+import { ObservabilitySystem } from '../src/index.js';
+import { MetricStats } from '../src/stats.js';
+
+describe('MetricStats', () => {
+  const now = 1700000000000;
+  
+  test('keeps per-tag series bounded for per-render tags', () => {
+    const stats = new MetricStats();
+    
+    for (let renderId = 1; renderId <= 2000; renderId++) {
+      stats.add('componentRenderTime', renderId % 20, {
+        component: renderId % 2 ? 'List' : 'Item',
+        renderId,
+        id: `comp_${renderId}`,
+        exclusive: renderId / 7,
+        traceId: `trace_${renderId}`
+      }, now);
+    }
+    
+    expect(stats.droppedSeries).toBe(0);
+    expect(Object.keys(stats.query('componentRenderTime', { groupBy: 'component', now }))).toEqual(['List', 'Item']);
+    expect(stats.query('componentRenderTime', { groupBy: 'renderId', now })).toEqual({});
+    expect(stats.query('componentRenderTime', { now }).count).toBe(2000);
+  });
+  
+  test('groups by the tags configured for a metric', () => {
+    const stats = new MetricStats();
+    stats.configure({ componentRenderTime: ['causedBy'] });
+    
+    stats.add('componentRenderTime', 5, { component: 'Item', causedBy: 'comp_1' }, now);
+    stats.add('writeTime', 1, { name: 'count' }, now);
+    
+    expect(Object.keys(stats.query('componentRenderTime', { groupBy: 'causedBy', now }))).toEqual(['comp_1']);
+    expect(stats.query('componentRenderTime', { groupBy: 'component', now })).toEqual({});
+    // Other metrics keep the defaults
+    expect(Object.keys(stats.query('writeTime', { groupBy: 'name', now }))).toEqual(['count']);
+  });
+  
+  test('caps the values of one tag and counts what it drops', () => {
+    const stats = new MetricStats();
+    
+    for (let i = 0; i < 150; i++) {
+      stats.add('derivedComputeTime', 1, { name: `computed${i}` }, now);
+    }
+    
+    expect(Object.keys(stats.query('derivedComputeTime', { groupBy: 'name', now }))).toHaveLength(100);
+    expect(stats.droppedSeries).toBe(50);
+  });
+  
+  test('answers quantiles within 1% over the requested window', () => {
+    const stats = new MetricStats();
+    for (let value = 1; value <= 1000; value++) {
+      stats.add('writeTime', value, {}, now);
+    }
+    stats.add('writeTime', 5000, {}, now - 4 * 60 * 1000);
+    
+    const lastMinute = stats.query('writeTime', { window: '1m', now });
+    expect(lastMinute.count).toBe(1000);
+    expect(lastMinute.max).toBe(1000);
+    expect(Math.abs(lastMinute.p50 - 500) / 500).toBeLessThan(0.01);
+    expect(Math.abs(lastMinute.p99 - 990) / 990).toBeLessThan(0.01);
+    expect(stats.query('writeTime', { window: '5m', now }).max).toBe(5000);
+    expect(() => stats.query('writeTime', { window: '1h' })).toThrow('Unknown stats window: 1h');
+  });
+  
+  test('is configured through ObservabilitySystem.configure()', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    ObservabilitySystem.configure({ statsGroupTags: { operatorTime: ['operator'] } });
+    
+    ObservabilitySystem.recordMetric('operatorTime', 1, { operator: 'map', name: 'map(count)' });
+    expect(Object.keys(ObservabilitySystem.getStats('operatorTime', { groupBy: 'operator' }))).toEqual(['map']);
+    expect(ObservabilitySystem.getStats('operatorTime', { groupBy: 'name' })).toEqual({});
+    
+    ObservabilitySystem.configure({ statsGroupTags: { operatorTime: null } });
+    jest.restoreAllMocks();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,183 @@
+import { createObservable, createStore, storePath, disposeStore, computed, effect, ObservabilitySystem } from '../src/index.js';
+
+describe('createStore', () => {
+  let store;
+  
+  afterEach(() => {
+    disposeStore(store);
+  });
+  
+  /**
+   * Count the registered observables for store paths
+   * @returns {number} Number of live path observables
+   */
+  const livePaths = () => {
+    let count = 0;
+    ObservabilitySystem._forEachObservable(observable => {
+      if (observable._storePath !== undefined) count++;
+    });
+    return count;
+  };
+  
+  test('a computed recomputes only for the paths it read', () => {
+    store = createStore({ user: { profile: { name: 'Ada', age: 36 } } });
+    let computes = 0;
+    const greeting = computed(() => {
+      computes++;
+      return `Hello, ${store.user.profile.name}`;
+    });
+    
+    store.user.profile.age = 37;
+    expect(computes).toBe(1);
+    store.user.profile.name = 'Grace';
+    expect(greeting.value).toBe('Hello, Grace');
+    
+    // Replacing an object notifies only the paths below it whose value changed
+    const names = [];
+    const unsubscribe = storePath(store, 'user.profile.name').subscribe(name => names.push(name));
+    store.user = { profile: { name: 'Grace', age: 40 } };
+    expect(names).toEqual([]);
+    store.user = { profile: { name: 'Ada', age: 40 } };
+    expect(names).toEqual(['Ada']);
+    unsubscribe();
+    greeting.dispose();
+  });
+  
+  test('adding and deleting keys notifies what enumerates the object', () => {
+    store = createStore({ todos: {} });
+    const keys = computed(() => Object.keys(store.todos).join());
+    
+    store.todos.a = 'Write docs';
+    expect(keys.value).toBe('a');
+    delete store.todos.a;
+    expect(keys.value).toBe('');
+    keys.dispose();
+  });
+  
+  test('a key containing a dot is not a nested path', () => {
+    store = createStore({ a: { b: 1 }, 'a.b': 5 });
+    const seen = [];
+    storePath(store, 'a.b').subscribe(value => seen.push(value));
+    
+    expect(store['a.b']).toBe(5);
+    store['a.b'] = 9;
+    expect(store.a.b).toBe(1);
+    expect(store['a.b']).toBe(9);
+    expect(seen).toEqual([]);
+    
+    store.a.b = 2;
+    expect(seen).toEqual([2]);
+    expect(storePath(store, ['a.b']).value).toBe(9);
+    expect(storePath(store, 'a\\.b').getMetrics().name).toBe('a\\.b');
+  });
+  
+  test('keys containing backslashes round-trip through paths', () => {
+    store = createStore({ 'dir\\': { 'x.y': 1 } });
+    
+    expect(store['dir\\']['x.y']).toBe(1);
+    store['dir\\']['x.y'] = 2;
+    expect(storePath(store, ['dir\\', 'x.y']).value).toBe(2);
+  });
+  
+  test('releases a path observable when its last subscriber goes away', () => {
+    store = createStore({ user: { name: 'Ada' } });
+    const before = livePaths();
+    
+    const unsubscribe = storePath(store, 'user.name').subscribe(() => {});
+    expect(livePaths()).toBe(before + 2);
+    unsubscribe();
+    expect(livePaths()).toBe(before);
+  });
+  
+  test('releases a path observable when its last dependent goes away', () => {
+    store = createStore({ user: { name: 'Ada' } });
+    const before = livePaths();
+    const name = computed(() => store.user.name);
+    const logged = [];
+    const logger = effect(() => logged.push(name.value));
+    
+    expect(livePaths()).toBe(before + 2);
+    logger.dispose();
+    name.dispose();
+    expect(livePaths()).toBe(before);
+    expect(logged).toEqual(['Ada']);
+  });
+  
+  test('does not keep an observable for every key a store ever held', () => {
+    store = createStore({ sessions: {} });
+    const count = computed(() => Object.keys(store.sessions).length);
+    const paths = storePath(store)._store._paths;
+    const before = livePaths();
+    const held = paths.size;
+    
+    for (let i = 0; i < 100; i++) {
+      store.sessions[`s${i}`] = { user: i };
+      expect(store.sessions[`s${i}`].user).toBe(i);
+      delete store.sessions[`s${i}`];
+    }
+    expect(livePaths()).toBe(before);
+    expect(paths.size).toBe(held);
+    expect(count.value).toBe(0);
+    count.dispose();
+  });
+  
+  test('plain reads outside a computation create no path observables', () => {
+    store = createStore({ items: Array.from({ length: 1000 }, (_, i) => ({ id: i })) });
+    const paths = storePath(store)._store._paths;
+    const before = ObservabilitySystem.getRegistryStats().observables.live;
+    
+    let total = 0;
+    store.items.forEach(item => {
+      total += item.id;
+    });
+    expect(total).toBe(499500);
+    expect(Object.keys(store.items[0])).toEqual(['id']);
+    expect(store.items[0]).toBe(store.items[0]);
+    expect(ObservabilitySystem.getRegistryStats().observables.live).toBe(before);
+    
+    // Proxies cached for the reads go with the key
+    delete store.items[0];
+    expect(paths.has('items.0')).toBe(false);
+    expect(storePath(store)._store._proxies.has('items.0')).toBe(false);
+  });
+  
+  test('a released path observable comes back when it is used again', () => {
+    store = createStore({ count: 1 });
+    const path = storePath(store, 'count');
+    const seen = [];
+    
+    path.subscribe(() => {})();
+    store.count = 2;
+    const unsubscribe = path.subscribe(value => seen.push(value));
+    expect(path.value).toBe(2);
+    
+    store.count = 3;
+    expect(seen).toEqual([3]);
+    unsubscribe();
+    
+    // The store has a new observable for the path by now; the old one follows it
+    const current = storePath(store, 'count');
+    const stopCurrent = current.subscribe(() => {});
+    const stopOld = path.subscribe(value => seen.push(value));
+    expect(current).not.toBe(path);
+    store.count = 4;
+    expect(seen).toEqual([3, 4]);
+    stopOld();
+    stopCurrent();
+  });
+  
+  test('a computed that moves from a path to its parent keeps the parent', () => {
+    store = createStore({ user: { name: 'Ada' } });
+    const name = storePath(store, 'user.name');
+    const showAll = createObservable(false);
+    // Switching drops the only dependent of user.name, which releases user too
+    const view = computed(() => (showAll.value ? Object.keys(storePath(store, 'user').value).join() : name.value));
+    
+    const seen = [];
+    view.subscribe(value => seen.push(value));
+    showAll.value = true;
+    store.user = { name: 'Grace', age: 40 };
+    expect(seen).toEqual(['name', 'name,age']);
+    view.dispose();
+  });
+});
\ No newline at end of file
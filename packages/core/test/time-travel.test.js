@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+import { createObservable, computed, batch, configure, TimeTravel, ObservabilitySystem } from '../src/index.js';
+
+describe('TimeTravel', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    configure({ isDetailedMode: true, maxWriteLogEntries: 1000, maxObservableHistory: 100 });
+    TimeTravel.clear();
+  });
+  
+  afterEach(() => {
+    TimeTravel.clear();
+    jest.restoreAllMocks();
+  });
+  
+  test('steps back and forward, updating computeds and subscribers', () => {
+    const count = createObservable(0);
+    const doubled = computed(() => count.value * 2);
+    const seen = [];
+    doubled.subscribe(value => seen.push(value));
+    
+    count.value = 1;
+    count.value = 2;
+    expect(TimeTravel.getLog().map(entry => entry.changes[0].newValue)).toEqual([1, 2]);
+    
+    TimeTravel.stepBack();
+    expect(count.value).toBe(1);
+    expect(doubled.value).toBe(2);
+    expect(TimeTravel.isLive()).toBe(false);
+    
+    TimeTravel.stepBack(5);
+    expect(count.value).toBe(0);
+    expect(TimeTravel.getPosition()).toBe(0);
+    
+    TimeTravel.resume();
+    expect(doubled.value).toBe(4);
+    expect(seen).toEqual([2, 4, 2, 0, 4]);
+    // Replayed values are not logged as new writes
+    expect(TimeTravel.getLog()).toHaveLength(2);
+  });
+  
+  test('logs a batch as one entry', () => {
+    const a = createObservable(0);
+    const b = createObservable(0);
+    
+    batch(() => {
+      a.value = 1;
+      b.value = 1;
+    });
+    expect(TimeTravel.getLog()).toHaveLength(1);
+    
+    TimeTravel.stepBack();
+    expect([a.value, b.value]).toEqual([0, 0]);
+  });
+  
+  test('writing while stepped back discards the undone entries', () => {
+    const count = createObservable(0);
+    count.value = 1;
+    count.value = 2;
+    
+    TimeTravel.stepBack();
+    count.value = 10;
+    expect(TimeTravel.getLog().map(entry => entry.changes[0].newValue)).toEqual([1, 10]);
+    expect(TimeTravel.isLive()).toBe(true);
+  });
+  
+  test('keeps the log and per-observable history bounded', () => {
+    configure({ maxWriteLogEntries: 3, maxObservableHistory: 2 });
+    const count = createObservable(0);
+    
+    for (let i = 1; i <= 5; i++) count.value = i;
+    expect(TimeTravel.getLog().map(entry => entry.changes[0].newValue)).toEqual([3, 4, 5]);
+    expect(count.getMetrics().history).toHaveLength(2);
+    
+    TimeTravel.stepBack(3);
+    expect(count.value).toBe(2);
+  });
+  
+  test('records nothing outside detailed mode', () => {
+    configure({ isDetailedMode: false });
+    const count = createObservable(0);
+    
+    count.value = 1;
+    expect(TimeTravel.getLog()).toEqual([]);
+  });
+  
+  test('replays an exported session by key', () => {
+    const when = createObservable(new Date(0), { key: 'tt-when' });
+    const tags = createObservable(new Set(), { key: 'tt-tags' });
+    when.value = new Date(1000);
+    tags.value = new Set(['a']);
+    const session = JSON.stringify(TimeTravel.exportSession());
+    
+    // Another run of the app, with its own observables under the same keys
+    when.dispose();
+    tags.dispose();
+    const replayWhen = createObservable(new Date(5000), { key: 'tt-when' });
+    const replayTags = createObservable(new Set(['z']), { key: 'tt-tags' });
+    
+    expect(TimeTravel.importSession(session)).toEqual({ entries: 2, missing: [] });
+    expect(replayWhen.value.getTime()).toBe(0);
+    expect(replayTags.value.size).toBe(0);
+    
+    TimeTravel.stepForward(2);
+    expect(replayWhen.value.getTime()).toBe(1000);
+    expect(Array.from(replayTags.value)).toEqual(['a']);
+    replayWhen.dispose();
+    replayTags.dispose();
+  });
+  
+  test('reports observables a session refers to that do not exist', () => {
+    const session = {
+      version: 1,
+      entries: [{ seq: 1, timestamp: 0, changes: [{ key: 'tt-nowhere', oldValue: 0, newValue: 1 }] }]
+    };
+    
+    expect(TimeTravel.importSession(session).missing).toEqual(['tt-nowhere']);
+    expect(() => TimeTravel.importSession({ version: 99, entries: [] })).toThrow('Unsupported time travel session');
+  });
+  
+  test('cannot move inside a batch', () => {
+    const count = createObservable(0);
+    count.value = 1;
+    
+    expect(() => batch(() => TimeTravel.stepBack())).toThrow('Cannot time travel inside batch()');
+    expect(ObservabilitySystem._metrics.global.errors.some(error => error.type === 'batchError')).toBe(true);
+  });
+});
\ No newline at end of file
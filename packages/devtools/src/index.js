@@ -9,6 +9,79 @@
 
 import { ObservabilitySystem } from '@observablejs/core';
 
+// Fill colors for dependency graph nodes
+const NODE_COLORS = {
+  observable: '#4a90d9',
+  computed: '#7b61c9',
+  asyncComputed: '#b05cc6',
+  storePath: '#2a9d8f',
+  operator: '#8a9a2b',
+  stream: '#5c8a5c',
+  effect: '#d64545',
+  component: '#e07a2e'
+};
+
+const GRAPH_ROW_HEIGHT = 24;
+
+/**
+ * Escape text for insertion into HTML
+ * @param {any} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Place graph nodes in columns, each node to the right of everything it depends on
+ * @param {Array<Object>} nodes - Graph nodes
+ * @param {Array<Object>} edges - Graph edges
+ * @param {number} width - Drawing width
+ * @returns {Object} { positions: Map of id -> { x, y }, height }
+ */
+function layoutGraph(nodes, edges, width) {
+  const depth = new Map(nodes.map(node => [node.id, 0]));
+  
+  // Longest-path layering; the pass limit guards against cycles
+  for (let pass = 0; pass < nodes.length; pass++) {
+    let moved = false;
+    edges.forEach(edge => {
+      if (!depth.has(edge.from) || !depth.has(edge.to)) return;
+      const next = depth.get(edge.from) + 1;
+      if (next > depth.get(edge.to)) {
+        depth.set(edge.to, next);
+        moved = true;
+      }
+    });
+    if (!moved) break;
+  }
+  
+  const layers = [];
+  nodes.forEach(node => {
+    const layer = depth.get(node.id);
+    (layers[layer] = layers[layer] || []).push(node);
+  });
+  
+  const columnWidth = width / Math.max(layers.length, 1);
+  const positions = new Map();
+  let rows = 1;
+  layers.forEach((layer, column) => {
+    rows = Math.max(rows, layer.length);
+    layer.forEach((node, row) => {
+      positions.set(node.id, {
+        x: columnWidth * column + 10,
+        y: GRAPH_ROW_HEIGHT * (row + 0.5)
+      });
+    });
+  });
+  
+  return { positions, height: GRAPH_ROW_HEIGHT * rows };
+}
+
 /**
  * Dashboard component for visualizing performance metrics
  */
@@ -19,11 +92,14 @@ class Dashboard {
       updateInterval: 2000,
       showHotspots: true,
       showMetrics: true,
+      showGraph: true,
+      graphMaxNodes: 60, // Larger graphs are cut off
       ...options
     };
     
     this._container = null;
     this._updateInterval = null;
+    this._selectedNodeId = null; // Graph node whose details are shown
   }
   
   /**
@@ -101,6 +177,12 @@ class Dashboard {
     
     const metrics = ObservabilitySystem.getMetrics();
     const hotspots = ObservabilitySystem.findHotspots();
+    const renderStats = ObservabilitySystem.getStats('componentRenderTime', { window: '1m', groupBy: 'component' });
+    const renderStatsRows = Object.keys(renderStats)
+      .map(component => ({ component, ...renderStats[component] }))
+      .sort((a, b) => b.p95 - a.p95)
+      .slice(0, 5);
+    const renderSources = ObservabilitySystem.getRenderSources(3);
     
     // Create HTML for the dashboard
     let html = `
@@ -133,6 +215,38 @@ class Dashboard {
               <td>Slow Renders:</td>
               <td>${metrics.global.slowRenders}</td>
             </tr>
+            <tr>
+              <td>Scheduled Renders:</td>
+              <td>${metrics.global.scheduledRenders}</td>
+            </tr>
+            <tr>
+              <td>Coalesced Updates:</td>
+              <td>${metrics.global.coalescedUpdates}</td>
+            </tr>
+            <tr>
+              <td>Skipped Writes:</td>
+              <td>${metrics.global.skippedWrites}</td>
+            </tr>
+            <tr>
+              <td>Wasted Writes:</td>
+              <td>${metrics.global.wastedWrites}</td>
+            </tr>
+            <tr>
+              <td>Effect Runs:</td>
+              <td>${metrics.global.effectRuns}</td>
+            </tr>
+            <tr>
+              <td>Dropped Values:</td>
+              <td>${metrics.global.droppedValues}</td>
+            </tr>
+            <tr>
+              <td>Streams Completed / Failed:</td>
+              <td>${metrics.global.completedStreams} / ${metrics.global.failedStreams}</td>
+            </tr>
+            <tr>
+              <td>Avoided Recomputations:</td>
+              <td>${metrics.global.avoidedComputations}</td>
+            </tr>
             <tr>
               <td>Performance Issues:</td>
               <td>${metrics.global.performanceIssues.length}</td>
@@ -142,6 +256,26 @@ class Dashboard {
               <td>${metrics.global.errors.length}</td>
             </tr>
           </table>
+          
+          <h3>Registry</h3>
+          <table class="metrics-table">
+            <tr>
+              <td>Live Observables:</td>
+              <td>${metrics.registry.observables.live}</td>
+            </tr>
+            <tr>
+              <td>Disposed / Collected:</td>
+              <td>${metrics.registry.observables.disposed} / ${metrics.registry.observables.collected}</td>
+            </tr>
+            <tr>
+              <td>Live Components:</td>
+              <td>${metrics.registry.components.live}</td>
+            </tr>
+            <tr>
+              <td>Unmounted Components:</td>
+              <td>${metrics.registry.components.unmounted}</td>
+            </tr>
+          </table>
         </div>
       `;
     }
@@ -159,17 +293,75 @@ class Dashboard {
                 <th>Component</th>
                 <th>Renders</th>
                 <th>Avg Time</th>
+                <th>Self Time</th>
               </tr>
               ${hotspots.hotComponents.map(comp => `
                 <tr>
                   <td>${comp.component}</td>
                   <td>${comp.renders}</td>
                   <td>${comp.averageRenderTime.toFixed(2)}ms</td>
+                  <td>${comp.averageExclusiveRenderTime.toFixed(2)}ms</td>
                 </tr>
               `).join('')}
             </table>
           ` : '<p>No component hotspots detected</p>'}
           
+          <h4>Render Time, Last Minute (${renderStatsRows.length})</h4>
+          ${renderStatsRows.length > 0 ? `
+            <table class="hotspots-table">
+              <tr>
+                <th>Component</th>
+                <th>Renders</th>
+                <th>p50</th>
+                <th>p95</th>
+                <th>p99</th>
+              </tr>
+              ${renderStatsRows.map(row => `
+                <tr>
+                  <td>${row.component}</td>
+                  <td>${row.count}</td>
+                  <td>${row.p50.toFixed(2)}ms</td>
+                  <td>${row.p95.toFixed(2)}ms</td>
+                  <td>${row.p99.toFixed(2)}ms</td>
+                </tr>
+              `).join('')}
+            </table>
+          ` : '<p>No renders in the last minute</p>'}
+          
+          <h4>Render Sources (${Object.keys(renderSources).length})</h4>
+          ${Object.keys(renderSources).length > 0 ? `
+            <table class="hotspots-table">
+              <tr>
+                <th>Component</th>
+                <th>Caused Most Renders</th>
+              </tr>
+              ${Object.keys(renderSources).map(component => `
+                <tr>
+                  <td>${component}</td>
+                  <td>${renderSources[component].map(entry => `${escapeHtml(entry.source)} (${entry.renders})`).join(', ')}</td>
+                </tr>
+              `).join('')}
+            </table>
+          ` : '<p>No traced renders yet</p>'}
+          
+          <h4>Render Cascades (${hotspots.cascades.length})</h4>
+          ${hotspots.cascades.length > 0 ? `
+            <table class="hotspots-table">
+              <tr>
+                <th>Parent</th>
+                <th>Renders</th>
+                <th>Child Renders Caused</th>
+              </tr>
+              ${hotspots.cascades.map(cascade => `
+                <tr>
+                  <td>${cascade.component} (${cascade.id})</td>
+                  <td>${cascade.renders}</td>
+                  <td>${cascade.childRenders}</td>
+                </tr>
+              `).join('')}
+            </table>
+          ` : '<p>No render cascades detected</p>'}
+          
           <h4>Hot Observables (${hotspots.hotObservables.length})</h4>
           ${hotspots.hotObservables.length > 0 ? `
             <table class="hotspots-table">
@@ -181,18 +373,44 @@ class Dashboard {
               </tr>
               ${hotspots.hotObservables.map(obs => `
                 <tr>
-                  <td>${obs.id}</td>
-                  <td>${obs.writes}</td>
-                  <td>${obs.reads}</td>
-                  <td>${obs.value}</td>
+                  <td>${escapeHtml(obs.name || obs.id)}</td>
+                  <td>${escapeHtml(obs.writes)}</td>
+                  <td>${escapeHtml(obs.reads)}</td>
+                  <td>${escapeHtml(obs.value)}</td>
                 </tr>
               `).join('')}
             </table>
           ` : '<p>No observable hotspots detected</p>'}
+          
+          <h4>Wasted Updates (${hotspots.wastedUpdates.length})</h4>
+          ${hotspots.wastedUpdates.length > 0 ? `
+            <table class="hotspots-table">
+              <tr>
+                <th>ID</th>
+                <th>Writes</th>
+                <th>Skipped</th>
+                <th>Wasted</th>
+                <th>Value</th>
+              </tr>
+              ${hotspots.wastedUpdates.map(obs => `
+                <tr>
+                  <td>${escapeHtml(obs.name || (obs.key !== undefined ? obs.key : obs.id))}</td>
+                  <td>${escapeHtml(obs.writes)}</td>
+                  <td>${escapeHtml(obs.skippedWrites)}</td>
+                  <td>${escapeHtml(obs.wastedWrites)}</td>
+                  <td>${escapeHtml(obs.value)}</td>
+                </tr>
+              `).join('')}
+            </table>
+          ` : '<p>No wasted updates detected</p>'}
         </div>
       `;
     }
     
+    if (this.options.showGraph) {
+      html += this._renderGraph(ObservabilitySystem.getDependencyGraph());
+    }
+    
     // Display recent performance issues
     if (metrics.global.performanceIssues.length > 0) {
       const recentIssues = metrics.global.performanceIssues
@@ -206,6 +424,7 @@ class Dashboard {
             ${recentIssues.map(issue => `
               <li>
                 <strong>${issue.type}</strong>: 
+                ${issue.rule ? `[${issue.rule}] ` : ''}
                 ${issue.component ? `${issue.component} ` : ''}
                 ${issue.renderTime ? `(${issue.renderTime.toFixed(2)}ms)` : ''}
                 ${issue.computeTime ? `(${issue.computeTime.toFixed(2)}ms)` : ''}
@@ -229,6 +448,140 @@ class Dashboard {
       ObservabilitySystem.resetMetrics();
       this._updateDashboard();
     });
+    
+    this._container.querySelectorAll('[data-node-id]').forEach(element => {
+      element.addEventListener('click', () => {
+        const id = element.getAttribute('data-node-id');
+        this._selectedNodeId = this._selectedNodeId === id ? null : id;
+        this._updateDashboard();
+      });
+    });
+  }
+  
+  /**
+   * Render the dependency graph and the selected node's details
+   * @param {Object} graph - Result of getDependencyGraph()
+   * @returns {string} HTML
+   * @private
+   */
+  _renderGraph(graph) {
+    const width = 370;
+    const nodes = graph.nodes.slice(0, this.options.graphMaxNodes);
+    const shown = new Set(nodes.map(node => node.id));
+    const edges = graph.edges.filter(edge => shown.has(edge.from) && shown.has(edge.to));
+    const { positions, height } = layoutGraph(nodes, edges, width);
+    const selected = graph.nodes.find(node => node.id === this._selectedNodeId);
+    
+    return `
+      <div class="graph-section">
+        <h3>Dependency Graph (${graph.nodes.length} nodes, ${graph.edges.length} edges)</h3>
+        ${graph.nodes.length > nodes.length ? `<p>Showing the first ${nodes.length} nodes</p>` : ''}
+        ${nodes.length > 0 ? `
+          <svg class="dependency-graph" width="${width}" height="${height}">
+            ${edges.map(edge => {
+              const from = positions.get(edge.from);
+              const to = positions.get(edge.to);
+              return `<line x1="${from.x}" y1="${from.y}" x2="${to.x}" y2="${to.y}"
+                stroke="#bbb" ${edge.type === 'subscription' ? 'stroke-dasharray="4 2"' : ''} />`;
+            }).join('')}
+            ${nodes.map(node => {
+              const { x, y } = positions.get(node.id);
+              const label = node.label.length > 16 ? `${node.label.substring(0, 15)}…` : node.label;
+              return `
+                <g class="graph-node" data-node-id="${escapeHtml(node.id)}" style="cursor: pointer">
+                  <title>${escapeHtml(node.label)} (${node.type})</title>
+                  <circle cx="${x}" cy="${y}" r="6" fill="${NODE_COLORS[node.type]}"
+                    stroke="#000" stroke-width="${node.id === this._selectedNodeId ? 2 : 0}" />
+                  <text x="${x + 9}" y="${y + 4}" font-size="10">${escapeHtml(label)}</text>
+                </g>
+              `;
+            }).join('')}
+          </svg>
+        ` : '<p>No observables or components registered</p>'}
+        ${selected ? this._renderNodeDetails(selected) : ''}
+      </div>
+    `;
+  }
+  
+  /**
+   * Render the details of a graph node
+   * @param {Object} node - Graph node
+   * @returns {string} HTML
+   * @private
+   */
+  _renderNodeDetails(node) {
+    if (node.type === 'effect') {
+      return `
+        <div class="graph-node-details">
+          <h4>${escapeHtml(node.label)} (effect)</h4>
+          <table class="metrics-table">
+            <tr>
+              <td>Runs:</td>
+              <td>${node.metrics.runs}</td>
+            </tr>
+            <tr>
+              <td>Average Run:</td>
+              <td>${node.metrics.averageRunTime.toFixed(2)}ms</td>
+            </tr>
+            <tr>
+              <td>Errors:</td>
+              <td>${node.metrics.errors}</td>
+            </tr>
+          </table>
+        </div>
+      `;
+    }
+    
+    const rows = node.type === 'component'
+      ? [
+        ['Renders', node.metrics.renders],
+        ['Last Render', `${node.metrics.lastRenderTime.toFixed(2)}ms`],
+        ['Subscriptions', node.metrics.subscriptions],
+        ['Mounted', node.metrics.mounted]
+      ]
+      : [
+        ['Value', node.value],
+        ['Subscribers', node.metrics.subscribers],
+        ['Reads', node.metrics.reads],
+        ['Writes', node.metrics.writes],
+        ...(node.metrics.operator ? [
+          ['Received', node.metrics.operator.received],
+          ['Emitted', node.metrics.operator.emitted],
+          ['Dropped', node.metrics.operator.dropped]
+        ] : []),
+        ...(node.metrics.stream ? [
+          ['Source', node.metrics.stream.source],
+          ['State', node.metrics.stream.state],
+          ['Values', node.metrics.stream.values]
+        ] : [])
+      ];
+    
+    return `
+      <div class="graph-node-details">
+        <h4>${escapeHtml(node.label)} (${node.type})</h4>
+        <table class="metrics-table">
+          ${rows.map(([label, value]) => `
+            <tr>
+              <td>${label}:</td>
+              <td>${escapeHtml(value)}</td>
+            </tr>
+          `).join('')}
+        </table>
+        ${node.type === 'component' ? '' : `
+          <h5>Recent Writes</h5>
+          ${node.recentWrites.length > 0 ? `
+            <ul>
+              ${node.recentWrites.slice().reverse().map(write => `
+                <li>
+                  ${new Date(write.timestamp).toLocaleTimeString()}:
+                  ${escapeHtml(write.oldValue)} → ${escapeHtml(write.newValue)}
+                </li>
+              `).join('')}
+            </ul>
+          ` : '<p>No writes recorded (writes are recorded in detailed mode)</p>'}
+        `}
+      </div>
+    `;
   }
 }
 
@@ -0,0 +1,53 @@
+import { jest } from '@jest/globals';
+import { createObservable } from '@observablejs/core';
+import { createDashboard } from '../src/index.js';
+
+describe('Dashboard', () => {
+  let dashboard;
+  
+  beforeEach(() => {
+    jest.useFakeTimers();
+    dashboard = createDashboard({ showGraph: false });
+  });
+  
+  afterEach(() => {
+    dashboard.close();
+    jest.useRealTimers();
+  });
+  
+  /**
+   * Find the table row whose first cell has the given text
+   * @param {string} heading - Text the table's heading starts with
+   * @param {string} label - Text of the row's first cell
+   * @returns {Array<string>} Text of the row's cells
+   */
+  const rowOf = (heading, label) => {
+    const title = Array.from(document.querySelectorAll('h4')).find(h4 => h4.textContent.startsWith(heading));
+    const row = Array.from(title.nextElementSibling.querySelectorAll('tr'))
+      .find(tr => tr.cells[0].textContent === label);
+    return row && Array.from(row.cells, cell => cell.textContent);
+  };
+  
+  test('shows hot observable names and values as text', () => {
+    const name = '<img src=x onerror="window.hacked = true">';
+    const hot = createObservable('', { name });
+    for (let i = 0; i < 25; i++) hot.value = `<b>${i}</b>`;
+    
+    dashboard.open();
+    expect(document.querySelector('.hotspots-section img')).toBeNull();
+    expect(document.querySelector('.hotspots-section b')).toBeNull();
+    expect(rowOf('Hot Observables', name)).toEqual([name, '25', '0', '"<b>24</b>"']);
+    hot.dispose();
+  });
+  
+  test('shows wasted update keys and values as text', () => {
+    const key = '<script>window.hacked = true</script>';
+    const wasted = createObservable('<i>same</i>', { key });
+    for (let i = 0; i < 6; i++) wasted.value = '<i>same</i>';
+    
+    dashboard.open();
+    expect(document.querySelector('.hotspots-section script, .hotspots-section i')).toBeNull();
+    expect(rowOf('Wasted Updates', key)).toEqual([key, '6', '6', '0', '"<i>same</i>"']);
+    wasted.dispose();
+  });
+});
\ No newline at end of file
@@ -15,7 +15,8 @@ import {
   
   import {
     Component,
-    mount
+    mount,
+    h
   } from '@observablejs/components';
   
   // Initialize observability with development settings
@@ -37,7 +38,9 @@ import {
         metrics: getMetrics(),
         hotspots: findHotspots()
       };
-      
+    }
+    
+    onMount() {
       // Update metrics every 2 seconds
       this._metricsInterval = setInterval(() => {
         this.setState({
@@ -47,51 +50,36 @@ import {
       }, 2000);
     }
     
-    render() {
-      super.render();
-      
-      if (this._element) {
-        const { metrics, hotspots } = this.state;
-        
-        this._element.innerHTML = `
-          <div class="dashboard">
-            <h3>Performance Metrics</h3>
-            <div class="metrics">
-              <p>Total Reads: ${metrics.global.totalReads}</p>
-              <p>Total Writes: ${metrics.global.totalWrites}</p>
-              <p>Total Renders: ${metrics.global.totalRenders}</p>
-              <p>Slow Renders: ${metrics.global.slowRenders}</p>
-            </div>
-            
-            <h3>Hotspots</h3>
-            <div class="hotspots">
-              <h4>Hot Components (${hotspots.hotComponents.length})</h4>
-              <ul>
-                ${hotspots.hotComponents.map(comp => `
-                  <li>${comp.component}: ${comp.renders} renders, avg ${comp.averageRenderTime.toFixed(2)}ms</li>
-                `).join('')}
-              </ul>
-              
-              <h4>Hot Observables (${hotspots.hotObservables.length})</h4>
-              <ul>
-                ${hotspots.hotObservables.map(obs => `
-                  <li>ID ${obs.id}: ${obs.writes} writes, ${obs.reads} reads</li>
-                `).join('')}
-              </ul>
-            </div>
-          </div>
-        `;
-      }
-      
-      return Promise.resolve();
+    // Clean up when unmounted
+    onUnmount() {
+      clearInterval(this._metricsInterval);
     }
     
-    // Clean up when unmounted
-    unmount() {
-      if (this._metricsInterval) {
-        clearInterval(this._metricsInterval);
-      }
-      super.unmount();
+    view() {
+      const { metrics, hotspots } = this.state;
+      
+      return h('div', { class: 'dashboard' },
+        h('h3', null, 'Performance Metrics'),
+        h('div', { class: 'metrics' },
+          h('p', null, `Total Reads: ${metrics.global.totalReads}`),
+          h('p', null, `Total Writes: ${metrics.global.totalWrites}`),
+          h('p', null, `Total Renders: ${metrics.global.totalRenders}`),
+          h('p', null, `Slow Renders: ${metrics.global.slowRenders}`)
+        ),
+        
+        h('h3', null, 'Hotspots'),
+        h('div', { class: 'hotspots' },
+          h('h4', null, `Hot Components (${hotspots.hotComponents.length})`),
+          h('ul', null, hotspots.hotComponents.map(comp =>
+            h('li', { key: comp.id }, `${comp.component}: ${comp.renders} renders, avg ${comp.averageRenderTime.toFixed(2)}ms`)
+          )),
+          
+          h('h4', null, `Hot Observables (${hotspots.hotObservables.length})`),
+          h('ul', null, hotspots.hotObservables.map(obs =>
+            h('li', { key: obs.id }, `ID ${obs.id}: ${obs.writes} writes, ${obs.reads} reads`)
+          ))
+        )
+      );
     }
   }
   
@@ -112,75 +100,64 @@ import {
       this.subscribe(isEven, newIsEven => {
         this.setState({ isEven: newIsEven });
       });
+      
+      // Event handlers are created once so the renderer can keep them attached
+      this.increment = () => {
+        count.value++;
+      };
+      
+      this.decrement = () => {
+        count.value--;
+      };
+      
+      this.changeMultiplier = (e) => {
+        multiplier.value = Number(e.target.value);
+      };
+      
+      this.stressTest = () => {
+        // Perform many updates in quick succession to test performance
+        for (let i = 0; i < 100; i++) {
+          setTimeout(() => {
+            count.value++;
+          }, i * 10);
+        }
+      };
     }
     
-    render() {
-      super.render();
-      
-      if (this._element) {
-        // Sometimes add an artificial delay to demonstrate slow renders
-        if (count.value > 0 && count.value % 10 === 0) {
-          const start = performance.now();
-          while (performance.now() - start < 20) {
-            // Simulate a slow operation
-          }
+    view() {
+      // Sometimes add an artificial delay to demonstrate slow renders
+      if (count.value > 0 && count.value % 10 === 0) {
+        const start = performance.now();
+        while (performance.now() - start < 20) {
+          // Simulate a slow operation
         }
+      }
+      
+      return h('div', { class: `counter ${isEven.value ? 'even' : 'odd'}` },
+        h('h2', null, 'Counter Example'),
         
-        this._element.innerHTML = `
-          <div class="counter ${isEven.value ? 'even' : 'odd'}">
-            <h2>Counter Example</h2>
-            
-            <div class="value">
-              <p>Count: <span>${count.value}</span></p>
-              <p>Doubled: <span>${doubled.value}</span></p>
-              <p>Is Even: <span>${isEven.value ? 'Yes' : 'No'}</span></p>
-            </div>
-            
-            <div class="controls">
-              <button id="decrement">-</button>
-              <button id="increment">+</button>
-            </div>
-            
-            <div class="multiplier">
-              <label>
-                Multiplier:
-                <select id="multiplier">
-                  <option value="2" ${multiplier.value === 2 ? 'selected' : ''}>2</option>
-                  <option value="3" ${multiplier.value === 3 ? 'selected' : ''}>3</option>
-                  <option value="5" ${multiplier.value === 5 ? 'selected' : ''}>5</option>
-                  <option value="10" ${multiplier.value === 10 ? 'selected' : ''}>10</option>
-                </select>
-              </label>
-            </div>
-            
-            <button id="stress-test">Stress Test (100 updates)</button>
-          </div>
-        `;
-        
-        // Add event handlers
-        this._element.querySelector('#increment').addEventListener('click', () => {
-          count.value++;
-        });
+        h('div', { class: 'value' },
+          h('p', null, 'Count: ', h('span', null, count.value)),
+          h('p', null, 'Doubled: ', h('span', null, doubled.value)),
+          h('p', null, 'Is Even: ', h('span', null, isEven.value ? 'Yes' : 'No'))
+        ),
         
-        this._element.querySelector('#decrement').addEventListener('click', () => {
-          count.value--;
-        });
+        h('div', { class: 'controls' },
+          h('button', { id: 'decrement', onClick: this.decrement }, '-'),
+          h('button', { id: 'increment', onClick: this.increment }, '+')
+        ),
         
-        this._element.querySelector('#multiplier').addEventListener('change', (e) => {
-          multiplier.value = Number(e.target.value);
-        });
+        h('div', { class: 'multiplier' },
+          h('label', null,
+            'Multiplier:',
+            h('select', { id: 'multiplier', value: String(multiplier.value), onChange: this.changeMultiplier },
+              [2, 3, 5, 10].map(option => h('option', { value: String(option) }, option))
+            )
+          )
+        ),
         
-        this._element.querySelector('#stress-test').addEventListener('click', () => {
-          // Perform many updates in quick succession to test performance
-          for (let i = 0; i < 100; i++) {
-            setTimeout(() => {
-              count.value++;
-            }, i * 10);
-          }
-        });
-      }
-      
-      return Promise.resolve();
+        h('button', { id: 'stress-test', onClick: this.stressTest }, 'Stress Test (100 updates)')
+      );
     }
   }
   
@@ -38,6 +38,14 @@ packages.forEach(pkg => {
   fs.writeFileSync(distEsmFile, `export * from '../src/index.js';\n`);
 });
 
+// The core package also has a Node.js entry point (@observablejs/core/node)
+['node.js', 'node.esm.js'].forEach(file => {
+  const distFile = path.join('packages', 'core', 'dist', file);
+  
+  console.log(`Creating dist file: ${distFile}`);
+  fs.writeFileSync(distFile, `export * from '../src/node.js';\n`);
+});
+
 // Update package dependencies if needed
 const updatePackageDependencies = () => {
   packages.forEach(pkg => {